@@ -11,6 +11,18 @@ let busesCollection = null;
 let bookingsCollection = null;
 let schedulesCollection = null;
 let usersCollection = null;
+let seatHoldsCollection = null;
+let paymentsCollection = null;
+let idempotencyKeysCollection = null;
+let timetablesCollection = null;
+let vehiclesCollection = null;
+let seatLayoutsCollection = null;
+let pricingRulesCollection = null;
+let holidaysCollection = null;
+let promotionsCollection = null;
+let promoRedemptionsCollection = null;
+let savedPassengersCollection = null;
+let bookingOtpsCollection = null;
 
 export async function connectToDatabase() {
   try {
@@ -23,13 +35,27 @@ export async function connectToDatabase() {
     });
     
     await client.connect();
-    db = client.db("busVaraDB");
+    db = client.db(process.env.MONGODB_DB_NAME || "busVaraDB");
     
     // Initialize collections
     busesCollection = db.collection("buses");
     bookingsCollection = db.collection("bookings");
     schedulesCollection = db.collection("schedules");
     usersCollection = db.collection("users");
+    seatHoldsCollection = db.collection("seatHolds");
+    paymentsCollection = db.collection("payments");
+    idempotencyKeysCollection = db.collection("idempotencyKeys");
+    timetablesCollection = db.collection("timetables");
+    vehiclesCollection = db.collection("vehicles");
+    seatLayoutsCollection = db.collection("seatLayouts");
+    pricingRulesCollection = db.collection("pricingRules");
+    holidaysCollection = db.collection("holidays");
+    promotionsCollection = db.collection("promotions");
+    promoRedemptionsCollection = db.collection("promoRedemptions");
+    savedPassengersCollection = db.collection("savedPassengers");
+    bookingOtpsCollection = db.collection("bookingOtps");
+    
+    await ensureIndexes();
     
     // console.log("✅ Connected to MongoDB");
     return true;
@@ -39,6 +65,66 @@ export async function connectToDatabase() {
   }
 }
 
+// Create indexes the application relies on (safe to run on every start)
+async function ensureIndexes() {
+  // Seat holds expire on their own and a seat can only be held once per bus
+  await seatHoldsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await seatHoldsCollection.createIndex({ busId: 1, seatNumber: 1 }, { unique: true });
+  await seatHoldsCollection.createIndex({ holderId: 1 });
+
+  // Lets the expiry job find overdue pending bookings quickly
+  await bookingsCollection.createIndex({ status: 1, paymentDeadline: 1 });
+
+  // PNRs must never repeat; old data with duplicates needs cleaning up first
+  try {
+    await bookingsCollection.createIndex({ pnr: 1 }, { unique: true });
+  } catch (error) {
+    console.error("❌ Could not create unique PNR index (duplicate PNRs in bookings?):", error.message);
+  }
+
+  // A signed-in user's bookings, newest first
+  await bookingsCollection.createIndex({ userId: 1, bookingDate: -1 });
+
+  try {
+    await usersCollection.createIndex({ uid: 1 }, { unique: true });
+  } catch (error) {
+    console.error("❌ Could not create unique uid index (duplicate users?):", error.message);
+  }
+
+  await paymentsCollection.createIndex({ bookingId: 1 });
+  await paymentsCollection.createIndex({ status: 1, gateway: 1 });
+
+  // Stored idempotent responses are kept for 24 hours
+  await idempotencyKeysCollection.createIndex({ key: 1, scope: 1 }, { unique: true });
+  await idempotencyKeysCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // One trip per timetable per day, so schedule generation can run again safely
+  await busesCollection.createIndex(
+    { timetableId: 1, scheduleDate: 1 },
+    { unique: true, partialFilterExpression: { timetableId: { $exists: true } } }
+  );
+  await timetablesCollection.createIndex({ active: 1, operator: 1 });
+
+  await vehiclesCollection.createIndex({ registration: 1 }, { unique: true });
+  await vehiclesCollection.createIndex({ operator: 1, busType: 1, status: 1 });
+
+  await seatLayoutsCollection.createIndex({ key: 1 }, { unique: true });
+  await seatLayoutsCollection.createIndex({ busTypes: 1 });
+
+  await pricingRulesCollection.createIndex({ active: 1, operator: 1 });
+  await holidaysCollection.createIndex({ endDate: 1 });
+
+  await promotionsCollection.createIndex({ code: 1 }, { unique: true });
+  // One redemption counter per promotion per customer
+  await promoRedemptionsCollection.createIndex({ promotionId: 1, customer: 1 }, { unique: true });
+
+  await savedPassengersCollection.createIndex({ uid: 1, createdAt: 1 });
+
+  // One OTP record per PNR, cleared an hour after its send window opened
+  await bookingOtpsCollection.createIndex({ pnr: 1 }, { unique: true });
+  await bookingOtpsCollection.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+}
+
 // Individual collection getters
 export function getBusesCollection() {
   if (!busesCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
@@ -60,17 +146,96 @@ export function getUsersCollection() {
   return usersCollection;
 }
 
+export function getSeatHoldsCollection() {
+  if (!seatHoldsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return seatHoldsCollection;
+}
+
+export function getPaymentsCollection() {
+  if (!paymentsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return paymentsCollection;
+}
+
+export function getIdempotencyKeysCollection() {
+  if (!idempotencyKeysCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return idempotencyKeysCollection;
+}
+
+export function getTimetablesCollection() {
+  if (!timetablesCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return timetablesCollection;
+}
+
+export function getVehiclesCollection() {
+  if (!vehiclesCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return vehiclesCollection;
+}
+
+export function getSeatLayoutsCollection() {
+  if (!seatLayoutsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return seatLayoutsCollection;
+}
+
+export function getPricingRulesCollection() {
+  if (!pricingRulesCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return pricingRulesCollection;
+}
+
+export function getHolidaysCollection() {
+  if (!holidaysCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return holidaysCollection;
+}
+
+export function getPromotionsCollection() {
+  if (!promotionsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return promotionsCollection;
+}
+
+export function getPromoRedemptionsCollection() {
+  if (!promoRedemptionsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return promoRedemptionsCollection;
+}
+
+export function getSavedPassengersCollection() {
+  if (!savedPassengersCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return savedPassengersCollection;
+}
+
+export function getBookingOtpsCollection() {
+  if (!bookingOtpsCollection) throw new Error("Database not connected. Call connectToDatabase() first.");
+  return bookingOtpsCollection;
+}
+
 // Client getter for transactions
 export function getClient() {
   return client;
 }
 
+export async function closeDatabase() {
+  if (client) {
+    await client.close();
+    client = null;
+  }
+}
+
 // Get all collections
 export function getAllCollections() {
   return {
     busesCollection,
     bookingsCollection,
     schedulesCollection,
-    usersCollection
+    usersCollection,
+    seatHoldsCollection,
+    paymentsCollection,
+    idempotencyKeysCollection,
+    timetablesCollection,
+    vehiclesCollection,
+    seatLayoutsCollection,
+    pricingRulesCollection,
+    holidaysCollection,
+    promotionsCollection,
+    promoRedemptionsCollection,
+    savedPassengersCollection,
+    bookingOtpsCollection
   };
 }
\ No newline at end of file
@@ -7,7 +7,28 @@ export const BUS_OPERATORS = [
     maxPrice: 1200,
     amenities: ["ac", "charging", "water", "wifi", "snacks", "blanket", "newspaper"],
     rating: 4.5,
-    features: ["Punctual", "Comfortable", "Professional Staff", "On-time Service"]
+    features: ["Punctual", "Comfortable", "Professional Staff", "On-time Service"],
+    // Hours before departure that unsold reserved seats open to everyone
+    reservedSeatReleaseHours: { ladies: 6, staff: null },
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 48, refundPercentage: 90 },
+          { minHoursBefore: 12, refundPercentage: 50 }
+        ],
+        cancellationFee: 50
+      },
+      byType: {
+        "AC Business": {
+          tiers: [
+            { minHoursBefore: 48, refundPercentage: 90 },
+            { minHoursBefore: 24, refundPercentage: 60 },
+            { minHoursBefore: 6, refundPercentage: 30 }
+          ],
+          cancellationFee: 100
+        }
+      }
+    }
   },
   {
     name: "Shyamoli Paribahan",
@@ -17,7 +38,18 @@ export const BUS_OPERATORS = [
     maxPrice: 900,
     amenities: ["ac", "charging", "water", "blanket"],
     rating: 4.2,
-    features: ["Economical", "Frequent Service", "Reliable"]
+    features: ["Economical", "Frequent Service", "Reliable"],
+    // Concession fares that differ from the defaults (null: not offered)
+    passengerFares: { student: { discountPercent: 10 }, senior: null },
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 24, refundPercentage: 80 },
+          { minHoursBefore: 6, refundPercentage: 40 }
+        ],
+        cancellationFee: 30
+      }
+    }
   },
   {
     name: "ENA Paribahan",
@@ -27,7 +59,26 @@ export const BUS_OPERATORS = [
     maxPrice: 1500,
     amenities: ["ac", "charging", "water", "wifi", "entertainment", "blanket", "hot-meal"],
     rating: 4.7,
-    features: ["Luxury", "Premium Service", "Entertainment", "Meal Service"]
+    features: ["Luxury", "Premium Service", "Entertainment", "Meal Service"],
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 72, refundPercentage: 95 },
+          { minHoursBefore: 24, refundPercentage: 70 },
+          { minHoursBefore: 6, refundPercentage: 25 }
+        ],
+        cancellationFee: 100
+      },
+      byType: {
+        "AC Sleeper": {
+          tiers: [
+            { minHoursBefore: 72, refundPercentage: 90 },
+            { minHoursBefore: 24, refundPercentage: 50 }
+          ],
+          cancellationFee: 150
+        }
+      }
+    }
   },
   {
     name: "Liton Enterprise",
@@ -37,7 +88,15 @@ export const BUS_OPERATORS = [
     maxPrice: 950,
     amenities: ["ac", "charging", "water"],
     rating: 4.0,
-    features: ["Economical", "Good Service", "Value for Money"]
+    features: ["Economical", "Good Service", "Value for Money"],
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 24, refundPercentage: 70 }
+        ],
+        cancellationFee: 0
+      }
+    }
   },
   {
     name: "Green Line Paribahan",
@@ -47,7 +106,26 @@ export const BUS_OPERATORS = [
     maxPrice: 1800,
     amenities: ["ac", "charging", "water", "wifi", "entertainment", "blanket", "hot-meal", "newspaper"],
     rating: 4.8,
-    features: ["Premium", "Luxury", "Executive Service", "Meal Included"]
+    features: ["Premium", "Luxury", "Executive Service", "Meal Included"],
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 48, refundPercentage: 90 },
+          { minHoursBefore: 12, refundPercentage: 50 }
+        ],
+        cancellationFee: 100
+      },
+      byType: {
+        "Executive": {
+          tiers: [
+            { minHoursBefore: 72, refundPercentage: 90 },
+            { minHoursBefore: 24, refundPercentage: 60 },
+            { minHoursBefore: 12, refundPercentage: 30 }
+          ],
+          cancellationFee: 150
+        }
+      }
+    }
   },
   {
     name: "Saintmartin Travels",
@@ -57,7 +135,16 @@ export const BUS_OPERATORS = [
     maxPrice: 850,
     amenities: ["ac", "charging", "water"],
     rating: 3.8,
-    features: ["Budget Friendly", "Frequent Service"]
+    features: ["Budget Friendly", "Frequent Service"],
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 24, refundPercentage: 60 },
+          { minHoursBefore: 12, refundPercentage: 30 }
+        ],
+        cancellationFee: 20
+      }
+    }
   },
   {
     name: "Soudia Paribahan",
@@ -67,6 +154,15 @@ export const BUS_OPERATORS = [
     maxPrice: 950,
     amenities: ["ac", "water", "blanket", "snacks"],
     rating: 4.0,
-    features: ["AC", "Comfortable", "Reliable"]
+    features: ["AC", "Comfortable", "Reliable"],
+    cancellationPolicy: {
+      default: {
+        tiers: [
+          { minHoursBefore: 48, refundPercentage: 80 },
+          { minHoursBefore: 12, refundPercentage: 40 }
+        ],
+        cancellationFee: 50
+      }
+    }
   }
 ];
\ No newline at end of file
@@ -2,7 +2,8 @@ import { POPULAR_ROUTES } from "./popularRoutes.js";
 
 export const ALL_CITIES = [...new Set([
   ...POPULAR_ROUTES.map(r => r.from),
-  ...POPULAR_ROUTES.map(r => r.to)
+  ...POPULAR_ROUTES.map(r => r.to),
+  ...POPULAR_ROUTES.flatMap(r => (r.stops || []).map(stop => stop.city))
 ])];
 
 export function getTerminals(city) {
@@ -13,7 +14,9 @@ export function getTerminals(city) {
     "Sylhet": ["Kadamtali", "Subidbazar", "Ambarkhana"],
     "Khulna": ["Sonadanga", "Gollamari", "Rupsha"],
     "Rajshahi": ["Shaheb Bazar", "New Market", "Terminal"],
-    "Barisal": ["Natun Bazar", "Rupatali", "Nobogram"]
+    "Barisal": ["Natun Bazar", "Rupatali", "Nobogram"],
+    "Comilla": ["Jangalia", "Shashongacha"],
+    "Feni": ["Mohipal", "Feni Bus Terminal"]
   };
   
   return terminals[city] || ["Main Terminal"];
@@ -1,12 +1,21 @@
+// stops: intermediate stops in travel order, with distance (km) and
+// duration (hours) from the origin
 export const POPULAR_ROUTES = [
-  { from: "Dhaka", to: "Chittagong", distance: 250, duration: 5.5 },
-  { from: "Dhaka", to: "Cox's Bazar", distance: 390, duration: 8 },
+  { from: "Dhaka", to: "Chittagong", distance: 250, duration: 5.5,
+    stops: [{ city: "Comilla", distance: 100, duration: 2 }, { city: "Feni", distance: 160, duration: 3.25 }] },
+  { from: "Dhaka", to: "Cox's Bazar", distance: 390, duration: 8,
+    stops: [
+      { city: "Comilla", distance: 100, duration: 2 },
+      { city: "Feni", distance: 160, duration: 3.25 },
+      { city: "Chittagong", distance: 250, duration: 5.5 }
+    ] },
   { from: "Dhaka", to: "Sylhet", distance: 240, duration: 5 },
   { from: "Dhaka", to: "Khulna", distance: 200, duration: 4.5 },
   { from: "Dhaka", to: "Rajshahi", distance: 240, duration: 5 },
   { from: "Dhaka", to: "Barisal", distance: 180, duration: 4 },
   { from: "Chittagong", to: "Cox's Bazar", distance: 150, duration: 3 },
-  { from: "Chittagong", to: "Sylhet", distance: 280, duration: 6 },
+  { from: "Chittagong", to: "Sylhet", distance: 280, duration: 6,
+    stops: [{ city: "Feni", distance: 90, duration: 1.75 }, { city: "Comilla", distance: 150, duration: 3 }] },
   { from: "Sylhet", to: "Dhaka", distance: 240, duration: 5 },
   { from: "Khulna", to: "Dhaka", distance: 200, duration: 4.5 },
 ];
\ No newline at end of file
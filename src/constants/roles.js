@@ -0,0 +1,27 @@
+// User roles (users.role). Operator staff also carry users.operator, the
+// bus operator they work for, and only see that operator's trips and bookings.
+export const ROLES = ["admin", "operator_manager", "counter_agent", "user"];
+
+export const OPERATOR_ROLES = ["operator_manager", "counter_agent"];
+
+// What each role may do. Routes declare the permission they need with
+// authorize(); "*" grants everything.
+export const ROLE_PERMISSIONS = {
+  admin: ["*"],
+  operator_manager: [
+    "bookings:read",
+    "bookings:update-status",
+    "payments:read",
+    "payments:record",
+    "stats:read",
+    "trips:read",
+    "trips:manage"
+  ],
+  counter_agent: [
+    "bookings:read",
+    "payments:read",
+    "payments:record",
+    "trips:read"
+  ],
+  user: []
+};
@@ -1,16 +1,22 @@
+import { ObjectId } from "mongodb";
 import { generateDailySchedules } from "../services/schedulingService.js";
 import { getBusesCollection, getBookingsCollection, getUsersCollection } from "../config/database.js";
+import { SEAT_CATEGORIES } from "../services/seatCategoryService.js";
+import { pairPassengersWithSeats } from "../services/cancellationService.js";
+import { getActiveLegs } from "../services/tripService.js";
+import { getOperatorScope, operatorBookingFilter, canAccessOperator } from "../services/accessService.js";
+import { ROLES, OPERATOR_ROLES } from "../constants/roles.js";
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import {
+  DEFAULT_PASSENGER_FARES,
+  DEFAULT_PASSENGER_TYPE,
+  getPassengerFareRules
+} from "../services/passengerTypeService.js";
 
 // Generate schedules (admin)
 export const generateSchedules = async (req, res) => {
   try {
     const { date, days = 1 } = req.body;
-    const authHeader = req.headers.authorization;
-    
-    // Simple admin check (in production, use proper authentication)
-    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
     
     if (!date) {
       return res.status(400).json({ error: "Date is required" });
@@ -48,12 +54,6 @@ export const generateSchedules = async (req, res) => {
 // Get system stats (admin)
 export const getSystemStats = async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-    
     const busesCollection = getBusesCollection();
     const bookingsCollection = getBookingsCollection();
     const usersCollection = getUsersCollection();
@@ -151,20 +151,14 @@ export const getSystemStats = async (req, res) => {
   }
 };
 
-// Get all bookings (admin)
+// Get all bookings (admin, or operator staff for their operator)
 export const getAllBookingsAdmin = async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-    
     const bookingsCollection = getBookingsCollection();
     const { page = 1, limit = 20, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    const query = {};
+    const query = operatorBookingFilter(req.user);
     if (status) {
       query.status = status;
     }
@@ -213,13 +207,6 @@ export const getAllBookingsAdmin = async (req, res) => {
 export const deleteBus = async (req, res) => {
   try {
     const { id } = req.params;
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
-      return res.status(401).json({ error: "Unauthorized" });
-    }
-    
-    const { ObjectId } = await import('mongodb');
     const busesCollection = getBusesCollection();
     
     if (!ObjectId.isValid(id)) {
@@ -257,4 +244,190 @@ export const deleteBus = async (req, res) => {
       details: error.message 
     });
   }
-};
\ No newline at end of file
+};
+// Open a trip's unsold reserved seats to everyone now, ahead of the
+// operator's automatic release time (admin)
+export const releaseReservedSeats = async (req, res) => {
+  try {
+    const { busId } = req.params;
+    const categories = req.body.categories || Object.keys(SEAT_CATEGORIES);
+
+    if (!ObjectId.isValid(busId)) {
+      return res.status(400).json({ error: "Invalid bus ID format" });
+    }
+
+    if (!Array.isArray(categories) || categories.some(category => !SEAT_CATEGORIES[category])) {
+      return res.status(400).json({ 
+        error: `categories must be a list of ${Object.keys(SEAT_CATEGORIES).join(", ")}` 
+      });
+    }
+
+    // Operator staff can only release seats on their own operator's trips
+    const operator = getOperatorScope(req.user);
+
+    const bus = await getBusesCollection().findOneAndUpdate(
+      { _id: new ObjectId(busId), ...(operator !== null && { operator }) },
+      {
+        $addToSet: { releasedSeatCategories: { $each: categories } },
+        $set: { updatedAt: new Date() }
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!bus) {
+      return res.status(404).json({ error: "Bus not found" });
+    }
+
+    res.json({
+      success: true,
+      message: `Released ${categories.join(", ")} seats to all passengers`,
+      releasedSeatCategories: bus.releasedSeatCategories
+    });
+    
+  } catch (error) {
+    console.error("Release reserved seats error:", error);
+    res.status(500).json({ 
+      error: "Failed to release reserved seats",
+      details: error.message 
+    });
+  }
+};
+
+// Passenger manifest for a trip: who sits where, with their fare type (admin)
+export const getBusManifest = async (req, res) => {
+  try {
+    const { busId } = req.params;
+
+    if (!ObjectId.isValid(busId)) {
+      return res.status(400).json({ error: "Invalid bus ID format" });
+    }
+
+    const bus = await getBusesCollection().findOne({ _id: new ObjectId(busId) });
+
+    if (!bus || !canAccessOperator(req.user, bus.operator)) {
+      return res.status(404).json({ error: "Bus not found" });
+    }
+
+    const bookings = await getBookingsCollection().find({
+      $or: [{ busId }, { "legs.busId": busId }],
+      status: { $in: ["pending", "confirmed"] }
+    }).toArray();
+
+    const fareRules = getPassengerFareRules(bus.operator);
+    const typeName = type => (fareRules[type] || DEFAULT_PASSENGER_FARES[type])?.name || type;
+    const passengers = [];
+
+    for (const booking of bookings) {
+      const leg = getActiveLegs(booking).find(l => l.busId === busId);
+      if (!leg) continue;
+
+      for (const { seat, passenger } of pairPassengersWithSeats({ ...booking, selectedSeats: leg.selectedSeats })) {
+        const type = passenger?.type || DEFAULT_PASSENGER_TYPE;
+
+        passengers.push({
+          seatNumber: seat.seatNumber,
+          seatLabel: seat.label || String(seat.seatNumber),
+          name: passenger?.name || null,
+          age: passenger?.age ?? null,
+          gender: passenger?.gender || null,
+          type,
+          typeName: typeName(type),
+          documentId: passenger?.studentId || passenger?.freedomFighterId || null,
+          lapInfant: passenger?.lapInfant
+            ? { name: passenger.lapInfant.name || null, age: passenger.lapInfant.age ?? null }
+            : null,
+          boarding: leg.busDetails?.route?.from?.city || bus.route.from.city,
+          dropping: leg.busDetails?.route?.to?.city || bus.route.to.city,
+          pnr: booking.pnr,
+          bookingStatus: booking.status,
+          phone: booking.contactInfo?.phone || null
+        });
+      }
+    }
+
+    passengers.sort((a, b) => a.seatNumber - b.seatNumber);
+
+    const byType = {};
+    for (const passenger of passengers) {
+      byType[passenger.type] = (byType[passenger.type] || 0) + 1;
+    }
+
+    res.json({
+      success: true,
+      bus: {
+        _id: bus._id.toString(),
+        operator: bus.operator,
+        busNumber: bus.busNumber,
+        type: bus.type,
+        route: `${bus.route.from.city} to ${bus.route.to.city}`,
+        departureTime: new Date(bus.departureTime).toISOString()
+      },
+      passengers,
+      summary: {
+        seated: passengers.length,
+        lapInfants: passengers.filter(passenger => passenger.lapInfant).length,
+        byType
+      }
+    });
+    
+  } catch (error) {
+    console.error("Get bus manifest error:", error);
+    res.status(500).json({ 
+      error: "Failed to fetch manifest",
+      details: error.message 
+    });
+  }
+};
+
+// Give a user a role; operator staff also need the operator they work for (admin)
+export const updateUserRole = async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const { role, operator } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+    }
+
+    const isOperatorRole = OPERATOR_ROLES.includes(role);
+
+    if (isOperatorRole && !BUS_OPERATORS.some(op => op.name === operator)) {
+      return res.status(400).json({ error: `${role} needs the operator they work for` });
+    }
+
+    const user = await getUsersCollection().findOneAndUpdate(
+      { uid },
+      {
+        $set: {
+          role,
+          operator: isOperatorRole ? operator : null,
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      success: true,
+      message: `${user.email} is now ${role}${isOperatorRole ? ` for ${operator}` : ""}`,
+      user: {
+        uid: user.uid,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        operator: user.operator
+      }
+    });
+    
+  } catch (error) {
+    console.error("Update user role error:", error);
+    res.status(500).json({ 
+      error: "Failed to update user role",
+      details: error.message 
+    });
+  }
+};
@@ -0,0 +1,88 @@
+import { getBookingsCollection } from "../config/database.js";
+import { sendBookingOtp, verifyBookingOtp, BookingAccessError } from "../services/bookingAccessService.js";
+import { normalizePNR, pnrNotFoundBody } from "../services/pnrService.js";
+
+function sendAccessError(res, error) {
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  return res.status(error.status).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Text a one-time code to the phone on a booking
+export const requestBookingOtp = async (req, res) => {
+  try {
+    const pnr = normalizePNR(req.params.pnr);
+    const booking = await getBookingsCollection().findOne(
+      { pnr },
+      { projection: { pnr: 1, contactInfo: 1 } }
+    );
+
+    if (!booking) {
+      return res.status(404).json(pnrNotFoundBody(pnr));
+    }
+
+    const { sentTo, expiresAt } = await sendBookingOtp(booking);
+
+    res.json({
+      success: true,
+      message: `We sent a code to ${sentTo}`,
+      sentTo,
+      expiresAt: expiresAt.toISOString()
+    });
+  } catch (error) {
+    if (error instanceof BookingAccessError) {
+      return sendAccessError(res, error);
+    }
+
+    console.error("Booking OTP error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to send code",
+      details: error.message
+    });
+  }
+};
+
+// Trade a code for a booking token (send it back as X-Booking-Token)
+export const verifyBookingOtpCode = async (req, res) => {
+  try {
+    const pnr = normalizePNR(req.params.pnr);
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: "code is required"
+      });
+    }
+
+    const { token, expiresAt, scopes } = await verifyBookingOtp(pnr, code);
+
+    res.json({
+      success: true,
+      bookingToken: token,
+      expiresAt: expiresAt.toISOString(),
+      scopes
+    });
+  } catch (error) {
+    if (error instanceof BookingAccessError) {
+      return sendAccessError(res, error);
+    }
+
+    console.error("Verify booking OTP error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify code",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  requestBookingOtp,
+  verifyBookingOtpCode
+};
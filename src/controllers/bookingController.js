@@ -3,141 +3,345 @@ import {
   getBusesCollection, 
   getBookingsCollection, 
   getUsersCollection,
+  getPaymentsCollection,
   getClient 
 } from "../config/database.js";
-import { generatePNR } from "../services/pnrService.js";
+import {
+  generatePNR,
+  normalizePNR,
+  pnrNotFoundBody,
+  isDuplicatePNRError,
+  PNR_MAX_ATTEMPTS
+} from "../services/pnrService.js";
+import { findUnheldSeats, consumeHolds, getHeldQuotes, SeatHoldError } from "../services/seatHoldService.js";
+import { claimSeats, releaseSeats, SeatConflictError } from "../services/seatService.js";
+import {
+  getCancellationPolicy,
+  normalizeCancellationPolicy,
+  describeCancellationPolicy,
+  evaluateCancellation,
+  evaluateLegCancellations,
+  calculateRefund,
+  pairPassengersWithSeats,
+  fareForSeats
+} from "../services/cancellationService.js";
+import {
+  BOOKING_STATUSES,
+  BOOKING_TRANSITIONS,
+  PAYMENT_WINDOW_MINUTES,
+  MODIFICATION_CUTOFF_HOURS,
+  canTransition,
+  getPaymentDeadline,
+  statusHistoryEntry,
+  releaseBookingSeats,
+  BookingChangedError
+} from "../services/bookingLifecycleService.js";
+import {
+  MAX_LEGS,
+  getActiveLegs,
+  getBookingLegs,
+  mirrorLeg,
+  legAsBooking,
+  validateLegSequence,
+  getTripType,
+  priceLegs
+} from "../services/tripService.js";
+import {
+  getFullSegment,
+  findSegment,
+  resolveSegment,
+  segmentView
+} from "../services/segmentService.js";
+import { recordManualPayment, getAmountDue, priceBookingForPaymentMethod, PaymentError } from "../services/paymentService.js";
+import { getSeatMap, describeSeats } from "../services/seatLayoutService.js";
+import { findRestrictedSeats } from "../services/seatCategoryService.js";
+import { loadPricingContext, priceBus, applyQuote } from "../services/pricingService.js";
+import { priceSeats, applyPassengerFares, sumFares, buildFareBreakdown, reduceFareBreakdown } from "../services/fareService.js";
+import { validatePassengers, getPassengerFareRules } from "../services/passengerTypeService.js";
+import { operatorBookingFilter, canAccessBooking } from "../services/accessService.js";
+import { formatUserBooking, categorizeBookings } from "../services/userService.js";
+import { resolveSavedPassengers, SavedPassengerError } from "../services/savedPassengerService.js";
+import { issueBookingToken } from "../services/bookingAccessService.js";
+import {
+  quotePromotion,
+  applyPromotion,
+  redeemPromotion,
+  releasePromotion,
+  getPromotionCustomer,
+  PromotionError
+} from "../services/promotionService.js";
 
 // Create booking
 export const createBooking = async (req, res) => {
   try {
-    const { busId, passengers, selectedSeats, contactInfo, paymentMethod } = req.body;
+    const { busId, selectedSeats, from, to, contactInfo, paymentMethod, promoCode } = req.body;
+    const holderId = getRequestHolderId(req);
+
+    // Saved passengers ({ savedPassengerId }) are filled in from the caller's list
+    const passengers = await resolveSavedPassengers(req.body.passengers, req.user?.uid);
+
+    // One-way bookings send busId/selectedSeats; round trips and transfers
+    // send one { busId, selectedSeats } per leg. from/to pick the boarding
+    // and dropping stops when only part of a bus route is travelled.
+    const legRequests = Array.isArray(req.body.legs) && req.body.legs.length > 0
+      ? req.body.legs
+      : [{ busId, selectedSeats, from, to }];
     
-    if (!busId || !passengers || !selectedSeats || !contactInfo) {
+    if (!passengers || !contactInfo || legRequests.some(leg => !leg.busId || !leg.selectedSeats)) {
       return res.status(400).json({ 
         success: false,
         error: "Missing required booking information" 
       });
     }
 
+    if (legRequests.length > MAX_LEGS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `A booking can have at most ${MAX_LEGS} legs` 
+      });
+    }
+
     const busesCollection = getBusesCollection();
     const bookingsCollection = getBookingsCollection();
     const client = getClient();
 
-    if (!ObjectId.isValid(busId)) {
+    if (legRequests.some(leg => !ObjectId.isValid(leg.busId))) {
       return res.status(400).json({ 
         success: false,
         error: "Invalid bus ID format" 
       });
     }
 
-    const bus = await busesCollection.findOne({ _id: new ObjectId(busId) });
-    if (!bus) {
+    const buses = await Promise.all(
+      legRequests.map(leg => busesCollection.findOne({ _id: new ObjectId(leg.busId) }))
+    );
+    if (buses.some(bus => !bus)) {
       return res.status(404).json({ 
         success: false,
         error: "Bus not found" 
       });
     }
 
-    // Check seat availability
-    const seatNumbers = selectedSeats.map(s => s.seatNumber);
-    const existingBookings = await bookingsCollection.find({
-      busId: busId,
-      "selectedSeats.seatNumber": { $in: seatNumbers },
-      status: { $in: ["confirmed", "pending"] }
-    }).toArray();
+    if (legRequests.some(leg => passengers.length !== leg.selectedSeats.length)) {
+      return res.status(400).json({ 
+        success: false,
+        error: legRequests.length > 1
+          ? "Each passenger needs exactly one seat on every leg"
+          : "Each passenger needs exactly one seat" 
+      });
+    }
+
+    // Child, student and other concession fares need the operator of every
+    // leg to offer them, with the details each one asks for
+    const passengerErrors = [...new Set(buses.map(bus => bus.operator))]
+      .flatMap(operator => validatePassengers(passengers, operator).errors);
+
+    if (passengerErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid passenger details",
+        details: [...new Set(passengerErrors)]
+      });
+    }
+
+    const typedPassengers = validatePassengers(passengers, buses[0].operator).passengers;
+
+    // Seat labels and price multipliers come from the bus's layout, not the request
+    const seatMaps = await Promise.all(buses.map(bus => getSeatMap(bus)));
+    const legSeats = [];
+
+    for (const [index, leg] of legRequests.entries()) {
+      const { seats, invalidSeats } = describeSeats(seatMaps[index], leg.selectedSeats.map(seat => seat.seatNumber));
+
+      if (invalidSeats.length > 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: "Some selected seats don't exist on this bus",
+          invalidSeats,
+          ...(legRequests.length > 1 && { legIndex: index })
+        });
+      }
+
+      // Ladies-only and other reserved seats need a passenger who qualifies
+      const restrictedSeats = findRestrictedSeats(buses[index], seats, typedPassengers);
+
+      if (restrictedSeats.length > 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: `Seat ${restrictedSeats.map(seat => seat.label).join(", ")} is restricted: ${restrictedSeats[0].description.toLowerCase()}`,
+          restrictedSeats,
+          ...(legRequests.length > 1 && { legIndex: index })
+        });
+      }
+
+      legSeats.push(seats);
+    }
+
+    const segments = buses.map((bus, index) => resolveSegment(bus, legRequests[index].from, legRequests[index].to));
+    const unservedIndex = segments.findIndex(segment => !segment);
 
-    if (existingBookings.length > 0) {
+    if (unservedIndex !== -1) {
+      const leg = legRequests[unservedIndex];
       return res.status(400).json({ 
         success: false,
-        error: "Some seats are already booked",
-        conflictedSeats: existingBookings.flatMap(b => 
-          b.selectedSeats.map(s => s.seatNumber)
-        )
+        error: `This bus does not travel from ${leg.from || "its origin"} to ${leg.to || "its destination"}` 
       });
     }
 
-    // Check if bus has enough seats
-    if (bus.availableSeats < passengers.length) {
+    // Each leg as seen from its boarding stop: times, fare and route ends,
+    // with the fare from the pricing engine
+    const pricingContext = await loadPricingContext();
+    const views = buses.map((bus, index) => segmentView(priceBus(bus, segments[index], pricingContext), segments[index]));
+
+    const sequenceError = validateLegSequence(views);
+    if (sequenceError) {
       return res.status(400).json({ 
         success: false,
-        error: `Not enough seats available. Only ${bus.availableSeats} seats left.`
+        error: sequenceError 
       });
     }
 
-    // Calculate total price
-    let totalPrice = 0;
-    passengers.forEach((passenger, index) => {
-      const seatPrice = bus.price * (selectedSeats[index]?.priceMultiplier || 1);
-      totalPrice += seatPrice;
-    });
+    // Only seats the caller is currently holding can be booked
+    for (const [index, leg] of legRequests.entries()) {
+      const seatNumbers = leg.selectedSeats.map(s => s.seatNumber);
+      const unheldSeats = await findUnheldSeats(leg.busId, seatNumbers, holderId);
 
-    // Apply discount if available
-    if (bus.discountPrice && bus.discountPrice < bus.price) {
-      totalPrice = totalPrice * (bus.discountPrice / bus.price);
+      if (unheldSeats.length > 0) {
+        return res.status(409).json({ 
+          success: false,
+          error: "Seats must be held by you before booking. Please select them again.",
+          unheldSeats,
+          ...(legRequests.length > 1 && { legIndex: index })
+        });
+      }
     }
 
-    // Round total price
-    totalPrice = Math.round(totalPrice);
+    // Calculate total price (per seat, per leg, then combined). Seats keep
+    // the fare quoted when they were held; concessions follow who sits there.
+    const tripType = getTripType(views);
+    const legSeatLines = await Promise.all(legRequests.map(async (leg, index) => {
+      const heldQuotes = await getHeldQuotes(leg.busId, legSeats[index].map(seat => seat.seatNumber), holderId);
+      return applyPassengerFares(
+        priceHeldSeats(buses[index], segments[index], views[index], legSeats[index], heldQuotes, index),
+        pairPassengersWithSeats({ selectedSeats: legSeats[index], passengers: typedPassengers }).map(pair => pair.passenger),
+        getPassengerFareRules(buses[index].operator)
+      );
+    }));
+    const legPricing = priceLegs(legSeatLines.map(sumFares), tripType);
+
+    // A promo code comes off the fare of the legs it covers
+    const promo = promoCode
+      ? await quotePromotion(promoCode, {
+        buses: views,
+        legFares: legPricing.legFares,
+        customer: getPromotionCustomer(contactInfo, req.user)
+      })
+      : null;
+    const pricing = promo ? applyPromotion(legPricing, promo) : legPricing;
+
+    // VAT and fees on top; the breakdown total is exactly what is charged
+    const { breakdown: fareBreakdown, legTotals } = buildFareBreakdown(legSeatLines.flat(), pricing, paymentMethod || "cash");
+
+    const legs = views.map((bus, index) => ({
+      legIndex: index,
+      busId: bus._id.toString(),
+      selectedSeats: legSeats[index],
+      segment: segments[index],
+      busDetails: buildBusDetails(bus),
+      departureDate: bus.departureTime,
+      fare: legTotals[index],
+      // Snapshot so later policy changes don't affect this booking
+      cancellationPolicy: getCancellationPolicy(bus.operator, bus.type),
+      status: "active"
+    }));
+
+    // Seats are reserved now but only confirmed once payment is recorded
+    const bookingDate = new Date();
 
     const booking = {
-      busId: busId,
-      passengers: passengers,
-      selectedSeats: selectedSeats,
+      _id: new ObjectId(),
+      ...mirrorLeg(legs[0]),
+      passengers: typedPassengers,
       contactInfo: contactInfo,
       paymentMethod: paymentMethod || "cash",
-      totalPrice: totalPrice,
-      status: "confirmed",
-      bookingDate: new Date(),
-      departureDate: bus.departureTime,
+      totalPrice: fareBreakdown.total,
+      fareBreakdown,
+      status: "pending",
+      bookingDate: bookingDate,
+      paymentDeadline: getPaymentDeadline(bookingDate),
       pnr: generatePNR(),
-      busDetails: {
-        operator: bus.operator,
-        busNumber: bus.busNumber,
-        type: bus.type,
-        route: bus.route,
-        departureTime: bus.departureTime,
-        arrivalTime: bus.arrivalTime,
-        boardingPoints: bus.boardingPoints,
-        droppingPoints: bus.droppingPoints,
-        amenities: bus.amenities || [],
-        features: bus.features || []
-      },
-      cancellationPolicy: {
-        allowed: true,
-        deadlineHours: 24,
-        refundPercentage: 70
-      }
+      userId: req.user ? req.user.uid : null,
+      history: [statusHistoryEntry(null, "pending", "user", "Booking created")]
     };
 
+    if (promo) {
+      booking.promotion = {
+        promotionId: promo.promotionId,
+        code: promo.code,
+        customer: promo.customer,
+        discount: promo.discount
+      };
+    }
+
+    if (legs.length > 1) {
+      booking.tripType = tripType;
+      booking.legs = legs;
+      booking.pricing = {
+        subtotal: pricing.subtotal,
+        roundTripDiscount: pricing.roundTripDiscount,
+        discountPercentage: pricing.discountPercentage,
+        ...(promo && { promoDiscount: pricing.promoDiscount })
+      };
+    }
+
     // Start transaction
     const session = client.startSession();
 
     try {
-      await session.withTransaction(async () => {
-        // Update bus available seats
-        const updateResult = await busesCollection.updateOne(
-          { _id: new ObjectId(busId) },
-          { $inc: { availableSeats: -passengers.length } },
-          { session }
-        );
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await session.withTransaction(async () => {
+            for (const leg of legs) {
+              const seatNumbers = leg.selectedSeats.map(s => s.seatNumber);
 
-        if (updateResult.modifiedCount !== 1) {
-          throw new Error("Failed to update bus seats");
-        }
+              // Claim the seats on the bus; fails if anyone got there first
+              await claimSeats(leg.busId, seatNumbers, booking._id, session, leg.segment);
 
-        // Create booking
-        const result = await bookingsCollection.insertOne(booking, { session });
-        booking._id = result.insertedId;
-      });
+              // Release the caller's holds now that the seats are theirs
+              await consumeHolds(leg.busId, seatNumbers, holderId, session);
+            }
+
+            // Count the promo code use; fails if its limits ran out meanwhile
+            if (booking.promotion) {
+              await redeemPromotion(booking.promotion, session);
+            }
+
+            // Create booking
+            await bookingsCollection.insertOne(booking, { session });
+          });
+          break;
+        } catch (error) {
+          // PNR collided with an existing booking - draw a new one and retry
+          if (isDuplicatePNRError(error) && attempt < PNR_MAX_ATTEMPTS) {
+            booking.pnr = generatePNR();
+            continue;
+          }
+          throw error;
+        }
+      }
 
       res.json({
         success: true,
         bookingId: booking._id,
         pnr: booking.pnr,
+        // Guests can view and pay for the booking they just made; cancelling
+        // or changing it takes the phone OTP
+        ...(!req.user && { bookingToken: issueBookingToken(booking.pnr, ["view", "pay"]).token }),
         booking: {
           ...booking,
           _id: booking._id.toString(),
           bookingDate: booking.bookingDate.toISOString(),
+          paymentDeadline: booking.paymentDeadline.toISOString(),
           departureDate: booking.departureDate.toISOString(),
           busDetails: {
             ...booking.busDetails,
@@ -145,8 +349,9 @@ export const createBooking = async (req, res) => {
             arrivalTime: booking.busDetails.arrivalTime.toISOString()
           }
         },
-        message: "Booking confirmed successfully!",
+        message: `Seats reserved. Complete payment within ${PAYMENT_WINDOW_MINUTES} minutes to confirm your booking.`,
         nextSteps: [
+          `Pay ৳${booking.totalPrice} before ${booking.paymentDeadline.toISOString()}`,
           "Show this PNR at boarding point",
           "Arrive at least 30 minutes before departure",
           "Carry valid ID proof"
@@ -158,6 +363,37 @@ export const createBooking = async (req, res) => {
     }
 
   } catch (error) {
+    if (error instanceof SeatConflictError) {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        conflictedSeats: error.conflictedSeats
+      });
+    }
+
+    if (error instanceof SeatHoldError) {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        unheldSeats: error.seats
+      });
+    }
+
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        promoCode: req.body.promoCode
+      });
+    }
+
+    if (error instanceof SavedPassengerError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
     console.error("Booking error:", error);
     res.status(500).json({ 
       success: false,
@@ -167,19 +403,159 @@ export const createBooking = async (req, res) => {
   }
 };
 
+// Price a booking before making it: the same itemized fare createBooking
+// would charge, with the discount from a promo code. Takes the same trip
+// fields as createBooking; without selectedSeats the fare is for seatCount
+// standard seats.
+export const quoteBooking = async (req, res) => {
+  try {
+    const { busId, selectedSeats, from, to, seatCount = 1, contactInfo, paymentMethod, promoCode } = req.body;
+    const holderId = getRequestHolderId(req);
+    const passengers = await resolveSavedPassengers(req.body.passengers || [], req.user?.uid);
+    const legRequests = Array.isArray(req.body.legs) && req.body.legs.length > 0
+      ? req.body.legs
+      : [{ busId, selectedSeats, from, to }];
+
+    if (legRequests.some(leg => !leg.busId || !ObjectId.isValid(leg.busId))) {
+      return res.status(400).json({ 
+        success: false,
+        error: "A valid bus ID is required for every leg" 
+      });
+    }
+
+    if (legRequests.length > MAX_LEGS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `A booking can have at most ${MAX_LEGS} legs` 
+      });
+    }
+
+    const busesCollection = getBusesCollection();
+    const buses = await Promise.all(
+      legRequests.map(leg => busesCollection.findOne({ _id: new ObjectId(leg.busId) }))
+    );
+    if (buses.some(bus => !bus)) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Bus not found" 
+      });
+    }
+
+    const segments = buses.map((bus, index) => resolveSegment(bus, legRequests[index].from, legRequests[index].to));
+    if (segments.some(segment => !segment)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "This bus does not travel between the requested stops" 
+      });
+    }
+
+    const passengerErrors = [...new Set(buses.map(bus => bus.operator))]
+      .flatMap(operator => validatePassengers(passengers, operator).errors);
+
+    if (passengerErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid passenger details",
+        details: [...new Set(passengerErrors)]
+      });
+    }
+
+    const pricingContext = await loadPricingContext();
+    const views = buses.map((bus, index) => segmentView(priceBus(bus, segments[index], pricingContext), segments[index]));
+
+    // Passengers are optional here; seats without one are priced as adults
+    const legSeatLines = [];
+    for (const [index, leg] of legRequests.entries()) {
+      const rules = getPassengerFareRules(buses[index].operator);
+
+      if (!leg.selectedSeats) {
+        const count = Math.max(Number(seatCount) || 1, passengers.length);
+        legSeatLines.push(applyPassengerFares(
+          priceSeats(views[index], Array.from({ length: count }, () => null), index),
+          passengers,
+          rules
+        ));
+        continue;
+      }
+
+      const { seats, invalidSeats } = describeSeats(await getSeatMap(buses[index]), leg.selectedSeats.map(seat => seat.seatNumber));
+      if (invalidSeats.length > 0) {
+        return res.status(400).json({ 
+          success: false,
+          error: "Some selected seats don't exist on this bus",
+          invalidSeats,
+          ...(legRequests.length > 1 && { legIndex: index })
+        });
+      }
+
+      const heldQuotes = await getHeldQuotes(leg.busId, seats.map(seat => seat.seatNumber), holderId);
+      legSeatLines.push(applyPassengerFares(
+        priceHeldSeats(buses[index], segments[index], views[index], seats, heldQuotes, index),
+        pairPassengersWithSeats({ selectedSeats: seats, passengers }).map(pair => pair.passenger),
+        rules
+      ));
+    }
+
+    const legPricing = priceLegs(legSeatLines.map(sumFares), getTripType(views));
+    const promo = promoCode
+      ? await quotePromotion(promoCode, {
+        buses: views,
+        legFares: legPricing.legFares,
+        customer: getPromotionCustomer(contactInfo, req.user)
+      })
+      : null;
+    const pricing = promo ? applyPromotion(legPricing, promo) : legPricing;
+    const { breakdown, legTotals } = buildFareBreakdown(legSeatLines.flat(), pricing, paymentMethod || "cash");
+
+    res.json({
+      success: true,
+      quote: {
+        totalPrice: breakdown.total,
+        legFares: legTotals,
+        fareBreakdown: breakdown,
+        promotion: promo && {
+          code: promo.code,
+          description: promo.description || null,
+          discount: promo.discount
+        },
+        quotedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        promoCode: req.body.promoCode
+      });
+    }
+
+    if (error instanceof SavedPassengerError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    console.error("Booking quote error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to quote booking",
+      details: error.message 
+    });
+  }
+};
+
 // Get booking by PNR
 export const getBookingByPNR = async (req, res) => {
   try {
     const bookingsCollection = getBookingsCollection();
-    const booking = await bookingsCollection.findOne({ 
-      pnr: req.params.pnr.toUpperCase() 
-    });
+    const pnr = normalizePNR(req.params.pnr);
+    const booking = await bookingsCollection.findOne({ pnr });
 
     if (!booking) {
-      return res.status(404).json({ 
-        success: false,
-        error: "Booking not found" 
-      });
+      return res.status(404).json(pnrNotFoundBody(pnr));
     }
 
     res.json({
@@ -267,52 +643,27 @@ export const getBookingsByUser = async (req, res) => {
       });
     }
 
+    if (email.toLowerCase() !== req.user.email) {
+      return res.status(403).json({ 
+        success: false,
+        error: "You can only view your own bookings" 
+      });
+    }
+
     const bookings = await bookingsCollection.find({
       "contactInfo.email": email.toLowerCase()
     })
     .sort({ bookingDate: -1 })
     .toArray();
 
-    const formattedBookings = bookings.map(booking => ({
-      ...booking,
-      _id: booking._id.toString(),
-      bookingDate: booking.bookingDate.toISOString(),
-      departureDate: booking.departureDate.toISOString(),
-      busDetails: {
-        ...booking.busDetails,
-        departureTime: booking.busDetails.departureTime.toISOString(),
-        arrivalTime: booking.busDetails.arrivalTime.toISOString()
-      }
-    }));
-
-    // Categorize bookings
-    const currentTime = new Date();
-    const upcoming = formattedBookings.filter(booking => 
-      new Date(booking.departureDate) > currentTime && 
-      booking.status === "confirmed"
-    );
-    const completed = formattedBookings.filter(booking => 
-      new Date(booking.departureDate) <= currentTime && 
-      booking.status === "confirmed"
-    );
-    const cancelled = formattedBookings.filter(booking => 
-      booking.status === "cancelled"
-    );
+    const formattedBookings = bookings.map(formatUserBooking);
+    const { categorized, stats } = categorizeBookings(formattedBookings);
 
     res.json({
       success: true,
       bookings: formattedBookings,
-      categorized: {
-        upcoming,
-        completed,
-        cancelled
-      },
-      stats: {
-        total: formattedBookings.length,
-        upcoming: upcoming.length,
-        completed: completed.length,
-        cancelled: cancelled.length
-      }
+      categorized,
+      stats
     });
   } catch (error) {
     console.error("Get bookings by user error:", error);
@@ -338,6 +689,13 @@ export const getBookingsByUserId = async (req, res) => {
       });
     }
 
+    if (userId !== req.user.uid) {
+      return res.status(403).json({ 
+        success: false,
+        error: "You can only view your own bookings" 
+      });
+    }
+
     // Get user by UID
     const user = await usersCollection.findOne({ uid: userId });
     if (!user) {
@@ -347,38 +705,14 @@ export const getBookingsByUserId = async (req, res) => {
       });
     }
 
-    // Get bookings by user email
-    const bookings = await bookingsCollection.find({
-      "contactInfo.email": user.email.toLowerCase()
-    })
+    // Bookings made while signed in carry the user's uid, so they stay
+    // linked when the account email changes
+    const bookings = await bookingsCollection.find({ userId })
     .sort({ bookingDate: -1 })
     .toArray();
 
-    const formattedBookings = bookings.map(booking => ({
-      ...booking,
-      _id: booking._id.toString(),
-      bookingDate: booking.bookingDate.toISOString(),
-      departureDate: booking.departureDate.toISOString(),
-      busDetails: {
-        ...booking.busDetails,
-        departureTime: booking.busDetails.departureTime.toISOString(),
-        arrivalTime: booking.busDetails.arrivalTime.toISOString()
-      }
-    }));
-
-    // Categorize bookings
-    const currentTime = new Date();
-    const upcoming = formattedBookings.filter(booking => 
-      new Date(booking.departureDate) > currentTime && 
-      booking.status === "confirmed"
-    );
-    const completed = formattedBookings.filter(booking => 
-      new Date(booking.departureDate) <= currentTime && 
-      booking.status === "confirmed"
-    );
-    const cancelled = formattedBookings.filter(booking => 
-      booking.status === "cancelled"
-    );
+    const formattedBookings = bookings.map(formatUserBooking);
+    const { categorized, stats } = categorizeBookings(formattedBookings);
 
     res.json({
       success: true,
@@ -389,17 +723,8 @@ export const getBookingsByUserId = async (req, res) => {
         phone: user.phone
       },
       bookings: formattedBookings,
-      categorized: {
-        upcoming,
-        completed,
-        cancelled
-      },
-      stats: {
-        total: formattedBookings.length,
-        upcoming: upcoming.length,
-        completed: completed.length,
-        cancelled: cancelled.length
-      }
+      categorized,
+      stats
     });
   } catch (error) {
     console.error("Get bookings by user ID error:", error);
@@ -419,8 +744,9 @@ export const getAllBookings = async (req, res) => {
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Build query
-    const query = {};
+    // Build query (operator staff only see their operator's bookings)
+    const scope = operatorBookingFilter(req.user);
+    const query = { ...scope };
     
     if (status && status !== 'all') {
       query.status = status;
@@ -458,11 +784,11 @@ export const getAllBookings = async (req, res) => {
 
     // Calculate stats
     const stats = {
-      totalBookings: await bookingsCollection.countDocuments(),
-      confirmed: await bookingsCollection.countDocuments({ status: "confirmed" }),
-      cancelled: await bookingsCollection.countDocuments({ status: "cancelled" }),
-      pending: await bookingsCollection.countDocuments({ status: "pending" }),
-      totalRevenue: await calculateTotalRevenue()
+      totalBookings: await bookingsCollection.countDocuments(scope),
+      confirmed: await bookingsCollection.countDocuments({ ...scope, status: "confirmed" }),
+      cancelled: await bookingsCollection.countDocuments({ ...scope, status: "cancelled" }),
+      pending: await bookingsCollection.countDocuments({ ...scope, status: "pending" }),
+      totalRevenue: await calculateTotalRevenue(scope)
     };
     
     res.json({
@@ -492,11 +818,10 @@ export const cancelBooking = async (req, res) => {
   try {
     const { pnr } = req.params;
     const bookingsCollection = getBookingsCollection();
-    const busesCollection = getBusesCollection();
 
     // Find booking by PNR
     const booking = await bookingsCollection.findOne({ 
-      pnr: pnr.toUpperCase() 
+      pnr: normalizePNR(pnr) 
     });
 
     if (!booking) {
@@ -514,83 +839,85 @@ export const cancelBooking = async (req, res) => {
       });
     }
 
-    // Check if booking is completed (departure has passed)
-    const departureTime = new Date(booking.departureDate);
-    const currentTime = new Date();
-    
-    if (departureTime <= currentTime) {
+    if (!canTransition(booking.status, "cancelled")) {
       return res.status(400).json({ 
         success: false,
-        error: "Cannot cancel completed journey" 
+        error: `Cannot cancel a booking that is ${booking.status}` 
       });
     }
 
-    // Check if cancellation is allowed based on cancellation policy
-    const hoursUntilDeparture = (departureTime - currentTime) / (1000 * 60 * 60);
-    
-    // Use booking's cancellation policy or default 24 hours
-    const cancellationDeadline = booking.cancellationPolicy?.deadlineHours || 24;
-    const refundPercentage = booking.cancellationPolicy?.refundPercentage || 70;
-    const isCancellationAllowed = booking.cancellationPolicy?.allowed !== false;
+    // Check the cancellation policy of every leg (departure passed, deadline, refund rate)
+    const legCancellations = evaluateLegCancellations(booking);
+    const blocked = legCancellations.find(({ evaluation }) => !evaluation.allowed);
 
-    if (!isCancellationAllowed) {
+    if (blocked) {
       return res.status(400).json({ 
         success: false,
-        error: "Cancellation is not allowed for this booking" 
+        error: booking.legs
+          ? `Leg ${blocked.leg.legIndex + 1}: ${blocked.evaluation.error}`
+          : blocked.evaluation.error 
       });
     }
 
-    if (hoursUntilDeparture < cancellationDeadline) {
-      return res.status(400).json({ 
-        success: false,
-        error: `Cancellation not allowed. Must cancel at least ${cancellationDeadline} hours before departure.` 
-      });
-    }
+    const { evaluation } = legCancellations[0];
+    const { isUnpaid } = evaluation;
+    // Multi-leg bookings can mix refund rates, so only a single leg has one
+    const refundPercentage = legCancellations.length === 1 ? evaluation.refundPercentage : null;
 
-    // Calculate refund amount
-    const refundAmount = Math.round(booking.totalPrice * (refundPercentage / 100));
+    // Calculate refund amount (nothing was taken for an unpaid booking)
+    const refundAmount = legCancellations.reduce((sum, quote) => sum + quote.refundAmount, 0);
+    const cancellationFee = legCancellations.reduce((sum, quote) => sum + quote.cancellationFee, 0);
 
     // Start transaction
     const session = getClient().startSession();
 
     try {
       await session.withTransaction(async () => {
-        // Update booking status
+        // Guard on status, price and seats: the refund above was worked out
+        // from this version of the booking, so a partial cancellation or
+        // leg cancellation committed in between must not be refunded twice
         const updateResult = await bookingsCollection.updateOne(
-          { pnr: pnr.toUpperCase() },
+          { 
+            _id: booking._id,
+            status: booking.status,
+            totalPrice: booking.totalPrice,
+            selectedSeats: { $size: booking.selectedSeats.length },
+            "selectedSeats.seatNumber": { $all: booking.selectedSeats.map(seat => seat.seatNumber) }
+          },
           { 
             $set: { 
               status: "cancelled", 
               cancelledAt: new Date(),
               cancellationDetails: {
                 refundAmount,
-                refundPercentage,
+                refundPercentage: isUnpaid ? 0 : refundPercentage,
+                cancellationFee,
                 cancelledBy: "user",
                 cancellationTime: new Date(),
                 reason: req.body.reason || "User requested cancellation"
               }
-            } 
+            },
+            $push: {
+              history: statusHistoryEntry(booking.status, "cancelled", "user", req.body.reason || "User requested cancellation")
+            }
           },
           { session }
         );
 
         if (updateResult.modifiedCount === 0) {
-          throw new Error("Failed to cancel booking");
+          throw new BookingChangedError("Booking changed while it was being cancelled. Please retry.");
         }
 
-        // Return seats to bus (only if seats are still relevant)
-        if (hoursUntilDeparture > 0) {
-          await busesCollection.updateOne(
-            { _id: new ObjectId(booking.busId) },
-            { $inc: { availableSeats: booking.passengers.length } },
-            { session }
-          );
-        }
+        // Return seats to the bus of every leg (all are still ahead, see above)
+        await releaseBookingSeats(booking, session);
+
+        // The promo code can be used again
+        await releasePromotion(booking, session);
       });
 
       // Get updated booking
       const updatedBooking = await bookingsCollection.findOne({ 
-        pnr: pnr.toUpperCase() 
+        pnr: normalizePNR(pnr) 
       });
 
       res.json({
@@ -608,10 +935,24 @@ export const cancelBooking = async (req, res) => {
             arrivalTime: updatedBooking.busDetails.arrivalTime.toISOString()
           }
         },
-        refund: {
+        refund: isUnpaid ? {
+          amount: 0,
+          percentage: 0,
+          message: "No payment was taken for this booking"
+        } : {
           amount: refundAmount,
           percentage: refundPercentage,
-          message: `৳${refundAmount} (${refundPercentage}% refund)`,
+          cancellationFee,
+          message: refundPercentage !== null
+            ? `৳${refundAmount} (${refundPercentage}% refund)`
+            : `৳${refundAmount} across ${legCancellations.length} legs`,
+          ...(booking.legs && {
+            legs: legCancellations.map(quote => ({
+              legIndex: quote.leg.legIndex,
+              amount: quote.refundAmount,
+              percentage: quote.evaluation.refundPercentage
+            }))
+          }),
           refundMethod: booking.paymentMethod === "cash" ? "Bank transfer within 7 working days" : "Original payment method",
           estimatedTime: "7-10 working days"
         },
@@ -627,6 +968,14 @@ export const cancelBooking = async (req, res) => {
       await session.endSession();
     }
   } catch (error) {
+    if (error instanceof BookingChangedError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        retry: true
+      });
+    }
+
     console.error("Cancel booking error:", error);
     res.status(500).json({ 
       success: false,
@@ -636,73 +985,972 @@ export const cancelBooking = async (req, res) => {
   }
 };
 
-// Update booking status (admin)
-export const updateBookingStatus = async (req, res) => {
+// Preview the refund for cancelling a booking (or some of its seats)
+export const getRefundQuote = async (req, res) => {
   try {
-    const { id } = req.params;
-    const { status, reason } = req.body;
-    
+    const { pnr } = req.params;
     const bookingsCollection = getBookingsCollection();
-    
-    if (!ObjectId.isValid(id)) {
-      return res.status(400).json({ 
-        success: false,
-        error: "Invalid booking ID format" 
-      });
-    }
-    
-    if (!status || !["confirmed", "cancelled", "pending", "completed"].includes(status)) {
-      return res.status(400).json({ 
-        success: false,
-        error: "Valid status is required" 
-      });
-    }
-    
+
     const booking = await bookingsCollection.findOne({ 
-      _id: new ObjectId(id) 
+      pnr: normalizePNR(pnr) 
     });
-    
+
     if (!booking) {
       return res.status(404).json({ 
         success: false,
         error: "Booking not found" 
       });
     }
-    
-    const updateData = {
-      status,
-      updatedAt: new Date()
-    };
-    
-    if (reason) {
-      updateData.statusReason = reason;
-    }
-    
-    if (status === "cancelled") {
-      updateData.cancelledAt = new Date();
-      updateData.cancellationDetails = {
-        cancelledBy: "admin",
-        cancellationTime: new Date(),
-        reason: reason || "Administrative cancellation"
-      };
-      
-      // Return seats to bus
-      const busesCollection = getBusesCollection();
-      await busesCollection.updateOne(
-        { _id: new ObjectId(booking.busId) },
-        { $inc: { availableSeats: booking.passengers.length } }
-      );
-    }
-    
-    const result = await bookingsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: updateData }
-    );
-    
-    if (result.modifiedCount === 0) {
+
+    if (!canTransition(booking.status, "cancelled")) {
       return res.status(400).json({ 
         success: false,
-        error: "Failed to update booking status" 
+        error: `Cannot cancel a booking that is ${booking.status}` 
+      });
+    }
+
+    // ?leg=1 quotes one leg of a multi-leg booking, otherwise every active leg
+    let legs = getActiveLegs(booking);
+
+    if (req.query.leg !== undefined) {
+      legs = legs.filter(leg => leg.legIndex === Number(req.query.leg));
+
+      if (legs.length === 0) {
+        return res.status(404).json({ 
+          success: false,
+          error: "Leg not found or already cancelled" 
+        });
+      }
+    }
+
+    if (req.query.seats && legs.length > 1) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Choose a leg to quote individual seats" 
+      });
+    }
+
+    const quotes = legs.map(leg => {
+      const legBooking = legAsBooking(booking, leg);
+      const bookedSeatNumbers = leg.selectedSeats.map(seat => seat.seatNumber);
+      const seatNumbers = req.query.seats
+        ? [...new Set(String(req.query.seats).split(",").map(Number))]
+        : bookedSeatNumbers;
+      const unknownSeats = seatNumbers.filter(seat => !bookedSeatNumbers.includes(seat));
+
+      const evaluation = evaluateCancellation(legBooking);
+      const fare = seatNumbers.length === bookedSeatNumbers.length
+        ? leg.fare
+        : fareForSeats(legBooking, seatNumbers, booking.legs ? leg.legIndex : undefined);
+
+      return {
+        leg,
+        seatNumbers,
+        unknownSeats,
+        evaluation,
+        fare,
+        refundAmount: calculateRefund(fare, evaluation, seatNumbers.length),
+        cancellationFee: evaluation.allowed ? (evaluation.cancellationFee || 0) * seatNumbers.length : 0
+      };
+    });
+
+    const unknownSeats = quotes.flatMap(quote => quote.unknownSeats);
+
+    if (unknownSeats.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Some seats are not part of this booking",
+        unknownSeats
+      });
+    }
+
+    const formatQuote = ({ leg, seatNumbers, evaluation, fare, refundAmount, cancellationFee }) => ({
+      ...(booking.legs && { legIndex: leg.legIndex }),
+      seatNumbers,
+      cancellable: evaluation.allowed,
+      reason: evaluation.error || null,
+      fare,
+      refundPercentage: evaluation.allowed ? evaluation.refundPercentage : 0,
+      cancellationFee,
+      refundAmount,
+      refundRateChangesAt: evaluation.nextChange?.at?.toISOString() || null,
+      refundPercentageAfterChange: evaluation.nextChange?.refundPercentage ?? null
+    });
+
+    const formatPolicy = leg => ({
+      ...normalizeCancellationPolicy(leg.cancellationPolicy),
+      description: describeCancellationPolicy(leg.cancellationPolicy)
+    });
+
+    if (quotes.length === 1) {
+      return res.json({
+        success: true,
+        quote: {
+          pnr: booking.pnr,
+          ...formatQuote(quotes[0]),
+          quotedAt: new Date().toISOString()
+        },
+        policy: formatPolicy(quotes[0].leg)
+      });
+    }
+
+    // Whole multi-leg booking: every leg has to be cancellable
+    const blocked = quotes.find(quote => !quote.evaluation.allowed);
+
+    res.json({
+      success: true,
+      quote: {
+        pnr: booking.pnr,
+        cancellable: !blocked,
+        reason: blocked ? `Leg ${blocked.leg.legIndex + 1}: ${blocked.evaluation.error}` : null,
+        fare: quotes.reduce((sum, quote) => sum + quote.fare, 0),
+        cancellationFee: quotes.reduce((sum, quote) => sum + quote.cancellationFee, 0),
+        refundAmount: blocked ? 0 : quotes.reduce((sum, quote) => sum + quote.refundAmount, 0),
+        legs: quotes.map(formatQuote),
+        quotedAt: new Date().toISOString()
+      },
+      policy: quotes.map(quote => ({
+        legIndex: quote.leg.legIndex,
+        ...formatPolicy(quote.leg)
+      }))
+    });
+  } catch (error) {
+    console.error("Refund quote error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to calculate refund",
+      details: error.message 
+    });
+  }
+};
+
+// Cancel some passengers of a booking
+export const cancelPassengers = async (req, res) => {
+  try {
+    const { pnr } = req.params;
+    const { seatNumbers, reason } = req.body;
+    const bookingsCollection = getBookingsCollection();
+
+    if (!Array.isArray(seatNumbers) || seatNumbers.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "seatNumbers of the passengers to cancel are required" 
+      });
+    }
+
+    const booking = await bookingsCollection.findOne({ 
+      pnr: normalizePNR(pnr) 
+    });
+
+    if (!booking) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Booking not found" 
+      });
+    }
+
+    if (!canTransition(booking.status, "cancelled")) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Cannot cancel passengers on a booking that is ${booking.status}` 
+      });
+    }
+
+    if (booking.legs) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Passengers can't be cancelled on a multi-leg booking. Cancel a leg or the whole booking instead." 
+      });
+    }
+
+    const seatsToCancel = [...new Set(seatNumbers.map(Number))];
+    const bookedSeatNumbers = booking.selectedSeats.map(seat => seat.seatNumber);
+    const unknownSeats = seatsToCancel.filter(seat => !bookedSeatNumbers.includes(seat));
+
+    if (unknownSeats.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Some seats are not part of this booking",
+        unknownSeats
+      });
+    }
+
+    if (seatsToCancel.length >= bookedSeatNumbers.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Use full cancellation to cancel every passenger on the booking" 
+      });
+    }
+
+    // Same policy as a full cancellation, applied to the cancelled seats' share
+    const evaluation = evaluateCancellation(booking);
+
+    if (!evaluation.allowed) {
+      return res.status(400).json({ 
+        success: false,
+        error: evaluation.error 
+      });
+    }
+
+    const cancelledFare = fareForSeats(booking, seatsToCancel);
+    const refundAmount = calculateRefund(cancelledFare, evaluation, seatsToCancel.length);
+
+    const pairs = pairPassengersWithSeats(booking);
+    const cancelledPairs = pairs.filter(pair => seatsToCancel.includes(pair.seat.seatNumber));
+    const remainingPairs = pairs.filter(pair => !seatsToCancel.includes(pair.seat.seatNumber));
+
+    const partialCancellation = {
+      type: "partial-cancellation",
+      seatNumbers: seatsToCancel,
+      passengers: cancelledPairs.map(pair => pair.passenger),
+      cancelledFare,
+      refundAmount,
+      refundPercentage: evaluation.refundPercentage,
+      cancellationFee: (evaluation.cancellationFee || 0) * seatsToCancel.length,
+      by: "user",
+      reason: reason || "Passenger no longer travelling",
+      at: new Date()
+    };
+
+    const session = getClient().startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // Guard on status and seats so a concurrent change can't double-cancel
+        const updateResult = await bookingsCollection.updateOne(
+          { 
+            _id: booking._id,
+            status: booking.status,
+            "selectedSeats.seatNumber": { $all: seatsToCancel }
+          },
+          {
+            $set: {
+              passengers: remainingPairs.map(pair => pair.passenger),
+              selectedSeats: remainingPairs.map(pair => pair.seat),
+              totalPrice: booking.totalPrice - cancelledFare,
+              ...(booking.fareBreakdown && {
+                fareBreakdown: reduceFareBreakdown(
+                  booking.fareBreakdown,
+                  line => !seatsToCancel.includes(line.seatNumber),
+                  booking.totalPrice - cancelledFare
+                )
+              }),
+              updatedAt: new Date()
+            },
+            $inc: { refundedAmount: refundAmount },
+            $push: { history: partialCancellation }
+          },
+          { session }
+        );
+
+        if (updateResult.modifiedCount === 0) {
+          throw new BookingChangedError("Booking changed while cancelling passengers. Please retry.");
+        }
+
+        await releaseSeats(booking.busId, seatsToCancel, booking._id, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const updatedBooking = await bookingsCollection.findOne({ _id: booking._id });
+
+    res.json({
+      success: true,
+      message: `Cancelled ${seatsToCancel.length} passenger(s)`,
+      booking: {
+        ...updatedBooking,
+        _id: updatedBooking._id.toString(),
+        bookingDate: updatedBooking.bookingDate.toISOString(),
+        departureDate: updatedBooking.departureDate.toISOString(),
+        busDetails: {
+          ...updatedBooking.busDetails,
+          departureTime: updatedBooking.busDetails.departureTime.toISOString(),
+          arrivalTime: updatedBooking.busDetails.arrivalTime.toISOString()
+        }
+      },
+      cancelledPassengers: partialCancellation.passengers,
+      refund: evaluation.isUnpaid ? {
+        amount: 0,
+        percentage: 0,
+        message: "No payment was taken for this booking"
+      } : {
+        amount: refundAmount,
+        percentage: evaluation.refundPercentage,
+        message: `৳${refundAmount} (${evaluation.refundPercentage}% of ৳${cancelledFare})`,
+        estimatedTime: "7-10 working days"
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof BookingChangedError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        retry: true
+      });
+    }
+
+    console.error("Cancel passengers error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to cancel passengers",
+      details: error.message 
+    });
+  }
+};
+
+// Cancel one leg of a round-trip or multi-leg booking
+export const cancelLeg = async (req, res) => {
+  try {
+    const { pnr } = req.params;
+    const legIndex = Number(req.params.legIndex);
+    const { reason } = req.body;
+    const bookingsCollection = getBookingsCollection();
+
+    const booking = await bookingsCollection.findOne({ 
+      pnr: normalizePNR(pnr) 
+    });
+
+    if (!booking) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Booking not found" 
+      });
+    }
+
+    if (!booking.legs) {
+      return res.status(400).json({ 
+        success: false,
+        error: "This booking has a single leg. Use full cancellation instead." 
+      });
+    }
+
+    if (!canTransition(booking.status, "cancelled")) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Cannot cancel a leg of a booking that is ${booking.status}` 
+      });
+    }
+
+    const activeLegs = getActiveLegs(booking);
+    const leg = activeLegs.find(l => l.legIndex === legIndex);
+
+    if (!leg) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Leg not found or already cancelled" 
+      });
+    }
+
+    if (activeLegs.length === 1) {
+      return res.status(400).json({ 
+        success: false,
+        error: "This is the last leg on the booking. Use full cancellation instead." 
+      });
+    }
+
+    // Each leg follows its own operator's policy and departure time
+    const [{ evaluation, refundAmount, cancellationFee }] = evaluateLegCancellations(booking, [leg]);
+
+    if (!evaluation.allowed) {
+      return res.status(400).json({ 
+        success: false,
+        error: evaluation.error 
+      });
+    }
+
+    const now = new Date();
+    const legs = getBookingLegs(booking).map(l => (
+      l.legIndex === legIndex ? { ...l, status: "cancelled", cancelledAt: now } : l
+    ));
+    const remainingLegs = legs.filter(l => l.status !== "cancelled");
+
+    const legCancellation = {
+      type: "leg-cancellation",
+      legIndex,
+      seatNumbers: leg.selectedSeats.map(seat => seat.seatNumber),
+      cancelledFare: leg.fare,
+      refundAmount,
+      refundPercentage: evaluation.refundPercentage,
+      cancellationFee,
+      by: "user",
+      reason: reason || "Leg no longer needed",
+      at: now
+    };
+
+    const session = getClient().startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // Guard on status and the leg so a concurrent change can't double-cancel
+        const updateResult = await bookingsCollection.updateOne(
+          { 
+            _id: booking._id,
+            status: booking.status,
+            [`legs.${legIndex}.status`]: "active"
+          },
+          {
+            $set: {
+              legs,
+              // The next leg to travel becomes the booking's headline bus
+              ...mirrorLeg(remainingLegs[0]),
+              totalPrice: booking.totalPrice - leg.fare,
+              ...(booking.fareBreakdown && {
+                fareBreakdown: reduceFareBreakdown(
+                  booking.fareBreakdown,
+                  line => line.legIndex !== legIndex,
+                  booking.totalPrice - leg.fare
+                )
+              }),
+              updatedAt: now
+            },
+            $inc: { refundedAmount: refundAmount },
+            $push: { history: legCancellation }
+          },
+          { session }
+        );
+
+        if (updateResult.modifiedCount === 0) {
+          throw new BookingChangedError("Booking changed while cancelling the leg. Please retry.");
+        }
+
+        await releaseSeats(leg.busId, legCancellation.seatNumbers, booking._id, session);
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const updatedBooking = await bookingsCollection.findOne({ _id: booking._id });
+
+    res.json({
+      success: true,
+      message: `Cancelled leg ${legIndex + 1} (${leg.busDetails.route?.from?.city} → ${leg.busDetails.route?.to?.city})`,
+      booking: {
+        ...updatedBooking,
+        _id: updatedBooking._id.toString(),
+        bookingDate: updatedBooking.bookingDate.toISOString(),
+        departureDate: updatedBooking.departureDate.toISOString(),
+        busDetails: {
+          ...updatedBooking.busDetails,
+          departureTime: updatedBooking.busDetails.departureTime.toISOString(),
+          arrivalTime: updatedBooking.busDetails.arrivalTime.toISOString()
+        }
+      },
+      refund: evaluation.isUnpaid ? {
+        amount: 0,
+        percentage: 0,
+        message: "No payment was taken for this booking"
+      } : {
+        amount: refundAmount,
+        percentage: evaluation.refundPercentage,
+        cancellationFee,
+        message: `৳${refundAmount} (${evaluation.refundPercentage}% of ৳${leg.fare})`,
+        estimatedTime: "7-10 working days"
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof BookingChangedError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        retry: true
+      });
+    }
+
+    console.error("Cancel leg error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to cancel leg",
+      details: error.message 
+    });
+  }
+};
+
+// Modify booking: move to other seats on the same bus or to another bus on
+// the same route, keeping the PNR
+export const modifyBooking = async (req, res) => {
+  try {
+    const { pnr } = req.params;
+    const { busId: newBusId, selectedSeats, reason } = req.body;
+    const holderId = getRequestHolderId(req);
+    const busesCollection = getBusesCollection();
+    const bookingsCollection = getBookingsCollection();
+
+    if (!Array.isArray(selectedSeats) || selectedSeats.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "selectedSeats for the modified booking are required" 
+      });
+    }
+
+    const booking = await bookingsCollection.findOne({ 
+      pnr: normalizePNR(pnr) 
+    });
+
+    if (!booking) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Booking not found" 
+      });
+    }
+
+    if (!["pending", "confirmed"].includes(booking.status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Cannot modify a booking that is ${booking.status}` 
+      });
+    }
+
+    if (booking.legs) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Multi-leg bookings can't be modified. Cancel the leg and book it again instead." 
+      });
+    }
+
+    const hoursUntilDeparture = (new Date(booking.departureDate) - new Date()) / (1000 * 60 * 60);
+
+    if (hoursUntilDeparture < MODIFICATION_CUTOFF_HOURS) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Bookings can only be modified at least ${MODIFICATION_CUTOFF_HOURS} hours before departure.` 
+      });
+    }
+
+    if (selectedSeats.length !== booking.passengers.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Select exactly ${booking.passengers.length} seat(s), one for each passenger` 
+      });
+    }
+
+    const targetBusId = newBusId || booking.busId;
+
+    if (!ObjectId.isValid(targetBusId)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid bus ID format" 
+      });
+    }
+
+    const bus = await busesCollection.findOne({ _id: new ObjectId(targetBusId) });
+    if (!bus) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Bus not found" 
+      });
+    }
+
+    const changingBus = bus._id.toString() !== booking.busId.toString();
+
+    // The new bus has to serve the same boarding and dropping cities
+    const currentRoute = booking.busDetails.route;
+    const segment = changingBus
+      ? findSegment(bus, currentRoute?.from?.city, currentRoute?.to?.city)
+      : booking.segment || getFullSegment(bus);
+
+    if (!segment) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Bookings can only be moved to a bus on the same route" 
+      });
+    }
+
+    const view = segmentView(priceBus(bus, segment, await loadPricingContext()), segment);
+
+    if (changingBus) {
+      if (view.departureTime - new Date() < MODIFICATION_CUTOFF_HOURS * 60 * 60 * 1000) {
+        return res.status(400).json({ 
+          success: false,
+          error: `The new departure must be at least ${MODIFICATION_CUTOFF_HOURS} hours away` 
+        });
+      }
+    }
+
+    const newSeatNumbers = selectedSeats.map(seat => Number(seat.seatNumber));
+    const oldSeatNumbers = booking.selectedSeats.map(seat => seat.seatNumber);
+
+    if (new Set(newSeatNumbers).size !== newSeatNumbers.length) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Each seat can only be selected once" 
+      });
+    }
+
+    // On the same bus, seats the booking keeps are neither released nor claimed
+    const releasedSeats = changingBus
+      ? oldSeatNumbers
+      : oldSeatNumbers.filter(seat => !newSeatNumbers.includes(seat));
+    const claimedSeats = changingBus
+      ? newSeatNumbers
+      : newSeatNumbers.filter(seat => !oldSeatNumbers.includes(seat));
+
+    if (claimedSeats.length === 0 && releasedSeats.length === 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "The booking already has these seats" 
+      });
+    }
+
+    // New seats must be held by the caller, just like a new booking
+    const unheldSeats = await findUnheldSeats(bus._id, claimedSeats, holderId);
+
+    if (unheldSeats.length > 0) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Seats must be held by you before booking. Please select them again.",
+        unheldSeats
+      });
+    }
+
+    // Passengers move with their seat, in the order the seats were given
+    const { seats: newSelectedSeats, invalidSeats } = describeSeats(await getSeatMap(bus), newSeatNumbers);
+
+    if (invalidSeats.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Some selected seats don't exist on this bus",
+        invalidSeats
+      });
+    }
+
+    const passengers = pairPassengersWithSeats(booking).map((pair, index) => (
+      pair.passenger.seatNumber !== undefined
+        ? { ...pair.passenger, seatNumber: newSelectedSeats[index].seatNumber }
+        : pair.passenger
+    ));
+
+    // Paired by position, since passengers without a seatNumber move in order
+    const restrictedSeats = findRestrictedSeats(
+      bus,
+      newSelectedSeats,
+      passengers.map((passenger, index) => ({ ...passenger, seatNumber: newSelectedSeats[index].seatNumber }))
+    );
+
+    if (restrictedSeats.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Seat ${restrictedSeats.map(seat => seat.label).join(", ")} is restricted: ${restrictedSeats[0].description.toLowerCase()}`,
+        restrictedSeats
+      });
+    }
+
+    // Another operator may not offer the same concession fares
+    const { errors: passengerErrors } = validatePassengers(passengers, bus.operator);
+
+    if (passengerErrors.length > 0) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid passenger details",
+        details: passengerErrors
+      });
+    }
+
+    // Fare difference: pending bookings just get the new price, paid ones
+    // owe the difference or are refunded it in full
+    const heldQuotes = await getHeldQuotes(bus._id, claimedSeats, holderId);
+    const seatLines = applyPassengerFares(
+      priceHeldSeats(bus, segment, view, newSelectedSeats, heldQuotes),
+      passengers,
+      getPassengerFareRules(bus.operator)
+    );
+    const subtotal = sumFares(seatLines);
+    // The booking's promo code is checked against the new bus and seats. If
+    // it no longer applies the discount goes and the use is given back.
+    let promo = null;
+    if (booking.promotion) {
+      try {
+        promo = await quotePromotion(booking.promotion.code, {
+          buses: [view],
+          legFares: [subtotal],
+          customer: booking.promotion.customer,
+          redeemed: true
+        });
+      } catch (error) {
+        if (!(error instanceof PromotionError)) {
+          throw error;
+        }
+      }
+    }
+    const droppedPromotion = Boolean(booking.promotion) && !promo;
+    const promoDiscount = promo ? promo.discount : 0;
+    const { breakdown: fareBreakdown } = buildFareBreakdown(seatLines, {
+      subtotal,
+      promoDiscount,
+      legFares: [subtotal - promoDiscount],
+      totalPrice: subtotal - promoDiscount
+    }, booking.paymentMethod);
+    const newFare = fareBreakdown.total;
+    const fareDifference = newFare - booking.totalPrice;
+    let balanceDue = 0;
+    let refundAmount = 0;
+
+    if (booking.status === "confirmed") {
+      const outstanding = (booking.balanceDue || 0) + fareDifference;
+      balanceDue = Math.max(0, outstanding);
+      refundAmount = Math.max(0, -outstanding);
+    }
+
+    const modification = {
+      type: "modification",
+      from: {
+        busId: booking.busId.toString(),
+        busNumber: booking.busDetails.busNumber,
+        departureTime: booking.departureDate,
+        seatNumbers: oldSeatNumbers
+      },
+      to: {
+        busId: bus._id.toString(),
+        busNumber: bus.busNumber,
+        departureTime: view.departureTime,
+        seatNumbers: newSeatNumbers
+      },
+      previousFare: booking.totalPrice,
+      newFare,
+      fareDifference,
+      balanceDue,
+      refundAmount,
+      ...(droppedPromotion && { promotionRemoved: booking.promotion.code }),
+      by: "user",
+      reason: reason || null,
+      at: new Date()
+    };
+
+    const update = {
+      $set: {
+        busId: bus._id.toString(),
+        selectedSeats: newSelectedSeats,
+        passengers,
+        totalPrice: newFare,
+        fareBreakdown,
+        balanceDue,
+        segment,
+        departureDate: view.departureTime,
+        busDetails: buildBusDetails(view),
+        updatedAt: new Date()
+      },
+      $inc: { refundedAmount: refundAmount },
+      $push: { history: modification }
+    };
+
+    // A different operator's bus comes with that operator's policy
+    if (changingBus) {
+      update.$set.cancellationPolicy = getCancellationPolicy(bus.operator, bus.type);
+    }
+
+    if (promo) {
+      update.$set["promotion.discount"] = promo.discount;
+    } else if (droppedPromotion) {
+      update.$unset = { promotion: "" };
+    }
+
+    const session = getClient().startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // Guard on status and seats so concurrent changes can't interleave
+        const updateResult = await bookingsCollection.updateOne(
+          { 
+            _id: booking._id,
+            status: booking.status,
+            busId: booking.busId,
+            totalPrice: booking.totalPrice,
+            "selectedSeats.seatNumber": { $all: oldSeatNumbers }
+          },
+          update,
+          { session }
+        );
+
+        if (updateResult.modifiedCount === 0) {
+          throw new BookingChangedError("Booking changed while it was being modified. Please retry.");
+        }
+
+        if (releasedSeats.length > 0) {
+          await releaseSeats(booking.busId, releasedSeats, booking._id, session);
+        }
+
+        if (claimedSeats.length > 0) {
+          await claimSeats(bus._id, claimedSeats, booking._id, session, segment);
+          await consumeHolds(bus._id, claimedSeats, holderId, session);
+        }
+
+        if (droppedPromotion) {
+          await releasePromotion(booking, session);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const updatedBooking = await bookingsCollection.findOne({ _id: booking._id });
+
+    let message = "Booking modified";
+    if (balanceDue > 0) {
+      message = `Booking modified. Pay the remaining ৳${balanceDue} to complete the change.`;
+    } else if (refundAmount > 0) {
+      message = `Booking modified. ৳${refundAmount} fare difference will be refunded.`;
+    }
+    if (droppedPromotion) {
+      message += ` Promo code ${booking.promotion.code} doesn't apply to the new trip and was removed.`;
+    }
+
+    res.json({
+      success: true,
+      message,
+      booking: {
+        ...updatedBooking,
+        _id: updatedBooking._id.toString(),
+        bookingDate: updatedBooking.bookingDate.toISOString(),
+        departureDate: updatedBooking.departureDate.toISOString(),
+        busDetails: {
+          ...updatedBooking.busDetails,
+          departureTime: updatedBooking.busDetails.departureTime.toISOString(),
+          arrivalTime: updatedBooking.busDetails.arrivalTime.toISOString()
+        }
+      },
+      fare: {
+        previous: booking.totalPrice,
+        current: newFare,
+        difference: fareDifference,
+        balanceDue,
+        refundAmount,
+        promoDiscount
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof BookingChangedError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message,
+        retry: true
+      });
+    }
+
+    if (error instanceof SeatConflictError) {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        conflictedSeats: error.conflictedSeats
+      });
+    }
+
+    if (error instanceof SeatHoldError) {
+      return res.status(409).json({ 
+        success: false,
+        error: error.message,
+        unheldSeats: error.seats
+      });
+    }
+
+    console.error("Modify booking error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to modify booking",
+      details: error.message 
+    });
+  }
+};
+
+// Update booking status (admin)
+export const updateBookingStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+    
+    const bookingsCollection = getBookingsCollection();
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid booking ID format" 
+      });
+    }
+    
+    if (!status || !BOOKING_STATUSES.includes(status)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Valid status is required" 
+      });
+    }
+    
+    const booking = await bookingsCollection.findOne({ 
+      _id: new ObjectId(id) 
+    });
+    
+    // Other operators' bookings look the same as missing ones to staff
+    if (!booking || !canAccessBooking(req.user, booking)) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Booking not found" 
+      });
+    }
+    
+    if (!canTransition(booking.status, status)) {
+      return res.status(409).json({ 
+        success: false,
+        error: `Cannot change booking status from ${booking.status} to ${status}`,
+        allowedTransitions: BOOKING_TRANSITIONS[booking.status] || []
+      });
+    }
+    
+    const updateData = {
+      status,
+      updatedAt: new Date()
+    };
+    
+    if (reason) {
+      updateData.statusReason = reason;
+    }
+    
+    if (status === "confirmed") {
+      updateData.confirmedAt = new Date();
+    }
+    
+    if (status === "expired") {
+      updateData.expiredAt = new Date();
+    }
+    
+    if (status === "cancelled") {
+      updateData.cancelledAt = new Date();
+      updateData.cancellationDetails = {
+        cancelledBy: req.user.role,
+        cancellationTime: new Date(),
+        reason: reason || "Administrative cancellation"
+      };
+    }
+    
+    const session = getClient().startSession();
+    let result;
+    
+    try {
+      await session.withTransaction(async () => {
+        // Guard on the current status so concurrent changes can't both apply
+        result = await bookingsCollection.updateOne(
+          { _id: new ObjectId(id), status: booking.status },
+          { 
+            $set: updateData,
+            $push: { history: statusHistoryEntry(booking.status, status, req.user.role, reason) }
+          },
+          { session }
+        );
+        
+        // Return seats to bus
+        if (result.modifiedCount === 1 && (status === "cancelled" || status === "expired")) {
+          await releaseBookingSeats(booking, session);
+          await releasePromotion(booking, session);
+        }
+      });
+    } finally {
+      await session.endSession();
+    }
+    
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Booking status changed while updating. Please retry." 
       });
     }
     
@@ -736,26 +1984,134 @@ export const updateBookingStatus = async (req, res) => {
   }
 };
 
+// Record payment for a pending booking or an outstanding balance (counter/admin)
+export const recordBookingPayment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { method, amount, reference } = req.body;
+    
+    const bookingsCollection = getBookingsCollection();
+    
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({ 
+        success: false,
+        error: "Invalid booking ID format" 
+      });
+    }
+    
+    if (!method || typeof amount !== "number") {
+      return res.status(400).json({ 
+        success: false,
+        error: "Payment method and amount are required" 
+      });
+    }
+    
+    let booking = await bookingsCollection.findOne({ 
+      _id: new ObjectId(id) 
+    });
+    
+    if (!booking || !canAccessBooking(req.user, booking)) {
+      return res.status(404).json({ 
+        success: false,
+        error: "Booking not found" 
+      });
+    }
+    
+    // Pending bookings owe the full fare (with the surcharge of the method
+    // used), modified ones may owe a difference
+    booking = await priceBookingForPaymentMethod(booking, method);
+    const due = getAmountDue(booking);
+    
+    if (!due) {
+      return res.status(409).json({ 
+        success: false,
+        error: `Nothing is owed on this booking. This booking is ${booking.status}.` 
+      });
+    }
+    
+    if (amount < due.amount) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Payment of ৳${amount} is less than the amount due of ৳${due.amount}` 
+      });
+    }
+    
+    const { payment, booking: updatedBooking } = await recordManualPayment(booking, {
+      method,
+      amount,
+      reference,
+      recordedBy: req.user.role,
+      purpose: due.purpose
+    });
+    
+    if (!updatedBooking) {
+      return res.status(409).json({ 
+        success: false,
+        error: "Payment could not be applied. The booking changed or its payment window expired, so the payment is flagged for refund.",
+        paymentId: payment._id.toString()
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: due.purpose === "balance"
+        ? "Payment recorded and balance settled"
+        : "Payment recorded and booking confirmed",
+      paymentId: payment._id.toString(),
+      booking: {
+        ...updatedBooking,
+        _id: updatedBooking._id.toString(),
+        bookingDate: updatedBooking.bookingDate.toISOString(),
+        departureDate: updatedBooking.departureDate.toISOString(),
+        busDetails: {
+          ...updatedBooking.busDetails,
+          departureTime: updatedBooking.busDetails.departureTime.toISOString(),
+          arrivalTime: updatedBooking.busDetails.arrivalTime.toISOString()
+        }
+      }
+    });
+    
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+
+    console.error("Record booking payment error:", error);
+    res.status(500).json({ 
+      success: false,
+      error: "Failed to record payment",
+      details: error.message 
+    });
+  }
+};
+
 // Get booking statistics
 export const getBookingStats = async (req, res) => {
   try {
     const bookingsCollection = getBookingsCollection();
-    const busesCollection = getBusesCollection();
+    const paymentsCollection = getPaymentsCollection();
     
     // Get date range (last 30 days by default)
     const endDate = new Date();
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - 30);
     
+    // Operator staff only see their operator's bookings and payments
+    const scope = operatorBookingFilter(req.user);
+    
     // Overall stats
-    const totalBookings = await bookingsCollection.countDocuments();
-    const confirmedBookings = await bookingsCollection.countDocuments({ status: "confirmed" });
-    const cancelledBookings = await bookingsCollection.countDocuments({ status: "cancelled" });
+    const totalBookings = await bookingsCollection.countDocuments(scope);
+    const confirmedBookings = await bookingsCollection.countDocuments({ ...scope, status: "confirmed" });
+    const cancelledBookings = await bookingsCollection.countDocuments({ ...scope, status: "cancelled" });
     
     // Revenue stats
     const revenueResult = await bookingsCollection.aggregate([
       {
         $match: { 
+          ...scope,
           status: "confirmed",
           bookingDate: { $gte: startDate, $lte: endDate }
         }
@@ -774,6 +2130,7 @@ export const getBookingStats = async (req, res) => {
     const dailyBookings = await bookingsCollection.aggregate([
       {
         $match: { 
+          ...scope,
           bookingDate: { $gte: startDate, $lte: endDate }
         }
       },
@@ -796,7 +2153,7 @@ export const getBookingStats = async (req, res) => {
     // Top routes
     const topRoutes = await bookingsCollection.aggregate([
       {
-        $match: { status: "confirmed" }
+        $match: { ...scope, status: "confirmed" }
       },
       {
         $group: {
@@ -817,13 +2174,25 @@ export const getBookingStats = async (req, res) => {
       }
     ]).toArray();
     
-    // Payment method distribution
-    const paymentMethods = await bookingsCollection.aggregate([
+    // Payment method distribution (settled money only)
+    const paymentScope = Object.keys(scope).length > 0
+      ? [
+        { $lookup: { from: "bookings", localField: "pnr", foreignField: "pnr", as: "booking" } },
+        { $match: { booking: { $elemMatch: scope } } }
+      ]
+      : [];
+
+    const paymentMethods = await paymentsCollection.aggregate([
+      {
+        $match: { status: "succeeded" }
+      },
+      ...paymentScope,
       {
         $group: {
-          _id: "$paymentMethod",
+          _id: "$gateway",
           count: { $sum: 1 },
-          totalAmount: { $sum: "$totalPrice" }
+          totalAmount: { $sum: "$amount" },
+          pendingRefunds: { $sum: { $cond: ["$requiresRefund", "$amount", 0] } }
         }
       },
       {
@@ -831,6 +2200,8 @@ export const getBookingStats = async (req, res) => {
       }
     ]).toArray();
     
+    const settledPayments = paymentMethods.reduce((sum, method) => sum + method.count, 0);
+    
     res.json({
       success: true,
       stats: {
@@ -860,7 +2231,8 @@ export const getBookingStats = async (req, res) => {
           method: method._id || "unknown",
           count: method.count,
           totalAmount: method.totalAmount,
-          percentage: totalBookings > 0 ? (method.count / totalBookings * 100).toFixed(2) : 0
+          pendingRefunds: method.pendingRefunds,
+          percentage: settledPayments > 0 ? (method.count / settledPayments * 100).toFixed(2) : 0
         }))
       },
       period: {
@@ -879,13 +2251,49 @@ export const getBookingStats = async (req, res) => {
   }
 };
 
+// Helper function to find whose seat holds a request may use. Signed-in
+// users hold seats under their uid, which only their own token can claim;
+// guests send the socket ID they held the seats with.
+function getRequestHolderId(req) {
+  return req.user ? req.user.uid : req.body.holderId;
+}
+
+// Helper function to price seats that may have been held with a fare
+// quote. Quoted seats pay that quote if it was for the same segment; the
+// rest pay the current fare in view. Gives one fare line per seat.
+function priceHeldSeats(bus, segment, view, selectedSeats, heldQuotes, legIndex = 0) {
+  return selectedSeats.flatMap(seat => {
+    const quote = heldQuotes.get(seat.seatNumber);
+    const isLocked = quote?.segment?.fromStop === segment.fromStop && quote?.segment?.toStop === segment.toStop;
+
+    return priceSeats(isLocked ? segmentView(applyQuote(bus, quote), segment) : view, [seat], legIndex);
+  });
+}
+
+// Helper function to snapshot the bus onto a booking (pass a segment view
+// so the ticket shows the passenger's own stops and times)
+function buildBusDetails(bus) {
+  return {
+    operator: bus.operator,
+    busNumber: bus.busNumber,
+    type: bus.type,
+    route: bus.route,
+    departureTime: bus.departureTime,
+    arrivalTime: bus.arrivalTime,
+    boardingPoints: bus.boardingPoints,
+    droppingPoints: bus.droppingPoints,
+    amenities: bus.amenities || [],
+    features: bus.features || []
+  };
+}
+
 // Helper function to calculate total revenue
-async function calculateTotalRevenue() {
+async function calculateTotalRevenue(scope = {}) {
   try {
     const bookingsCollection = getBookingsCollection();
     const result = await bookingsCollection.aggregate([
       {
-        $match: { status: "confirmed" }
+        $match: { ...scope, status: "confirmed" }
       },
       {
         $group: {
@@ -905,12 +2313,18 @@ async function calculateTotalRevenue() {
 // Export all functions
 export default {
   createBooking,
+  quoteBooking,
   getBookingByPNR,
   getBookingById,
   getBookingsByUser,
   getBookingsByUserId,
   getAllBookings,
   cancelBooking,
+  getRefundQuote,
+  cancelPassengers,
+  cancelLeg,
+  modifyBooking,
   updateBookingStatus,
+  recordBookingPayment,
   getBookingStats
 };
\ No newline at end of file
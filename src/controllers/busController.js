@@ -1,8 +1,20 @@
 import { ObjectId } from "mongodb";
-import { getBusesCollection, getBookingsCollection } from "../config/database.js";
+import { getBusesCollection } from "../config/database.js";
+import { getBookedSeatNumbers } from "../services/seatService.js";
+import { getSeatMap, getSeatRows, getSeatGrid } from "../services/seatLayoutService.js";
+import { getCancellationPolicy, describeCancellationPolicy } from "../services/cancellationService.js";
 import { BUS_OPERATORS } from "../constants/busOperators.js";
 import { POPULAR_ROUTES } from "../constants/popularRoutes.js";
 import { ALL_CITIES } from "../constants/cities.js";
+import { findConnections } from "../services/connectionService.js";
+import { loadPricingContext, priceBus } from "../services/pricingService.js";
+import { getPassengerFareRules } from "../services/passengerTypeService.js";
+import {
+  buildStopQuery,
+  matchSegments,
+  resolveSegment,
+  segmentView
+} from "../services/segmentService.js";
 
 // Get all buses
 export const getAllBuses = async (req, res) => {
@@ -74,7 +86,6 @@ export const getBusSeats = async (req, res) => {
   try {
     const { id } = req.params;
     const busesCollection = getBusesCollection();
-    const bookingsCollection = getBookingsCollection();
 
     if (!ObjectId.isValid(id)) {
       return res.status(400).json({ error: "Invalid bus ID format" });
@@ -85,66 +96,36 @@ export const getBusSeats = async (req, res) => {
       return res.status(404).json({ error: "Bus not found" });
     }
 
-    // Generate seat layout as 2D array
-    const totalSeats = bus.totalSeats || 40;
-    const availableSeats = bus.availableSeats || totalSeats;
-    const rows = Math.ceil(totalSeats / 4);
-    const seatLayout = [];
-
-    for (let row = 0; row < rows; row++) {
-      const rowSeats = [];
-      for (let col = 0; col < 4; col++) {
-        const seatNumber = row * 4 + col + 1;
-        if (seatNumber > totalSeats) break;
-
-        const isBooked = seatNumber > (totalSeats - availableSeats);
-        const seatType = col === 0 || col === 3 ? 'window' : 'aisle';
-
-        rowSeats.push({
-          seatNumber,
-          type: seatType,
-          status: isBooked ? 'booked' : 'available',
-          priceMultiplier: seatType === 'window' ? 1.1 : 1.0
-        });
-      }
-      if (rowSeats.length > 0) {
-        seatLayout.push(rowSeats);
-      }
+    // ?from=&to= shows the seat map for part of the route
+    const segment = resolveSegment(bus, req.query.from, req.query.to);
+    if (!segment) {
+      return res.status(400).json({ error: "This bus does not travel between those stops" });
     }
+    const view = segmentView(priceBus(bus, segment, await loadPricingContext()), segment);
 
-    // Check for booked seats from database
-    const bookings = await bookingsCollection.find({
-      busId: id.toString(),
-      status: "confirmed"
-    }).toArray();
-
-    const bookedSeats = bookings.flatMap(booking => 
-      booking.selectedSeats.map(seat => seat.seatNumber)
-    );
-
-    // Update seat status based on bookings
-    seatLayout.forEach(row => {
-      row.forEach(seat => {
-        if (bookedSeats.includes(seat.seatNumber)) {
-          seat.status = 'booked';
-        }
-      });
-    });
+    // Seats claimed by bookings are recorded on the bus itself
+    const bookedSeats = getBookedSeatNumbers(bus, segment);
+    const seatMap = await getSeatMap(bus);
+    const totalSeats = seatMap.totalSeats;
 
     res.json({
       success: true,
-      seatLayout: seatLayout,
+      seatLayout: getSeatRows(seatMap, bookedSeats, bus),
+      layout: getSeatGrid(seatMap),
       busInfo: {
         operator: bus.operator,
         busNumber: bus.busNumber,
         type: bus.type,
         totalSeats: totalSeats,
-        availableSeats: availableSeats,
-        price: bus.price,
-        discountPrice: bus.discountPrice,
-        departureTime: bus.departureTime.toISOString(),
-        arrivalTime: bus.arrivalTime.toISOString(),
-        route: bus.route
+        availableSeats: view.availableSeats,
+        price: view.price,
+        discountPrice: view.discountPrice,
+        pricing: view.pricing,
+        passengerFares: getPassengerFareRules(bus.operator),
+        departureTime: view.departureTime.toISOString(),
+        arrivalTime: view.arrivalTime.toISOString(),
+        route: view.route,
+        segment
       }
     });
   } catch (error) {
@@ -228,7 +209,8 @@ export const getOperators = (req, res) => {
       amenities: op.amenities,
       features: op.features,
       minPrice: op.minPrice,
-      maxPrice: op.maxPrice
+      maxPrice: op.maxPrice,
+      cancellationPolicy: describeCancellationPolicy(getCancellationPolicy(op.name))
     }));
 
     res.json(operators);
@@ -328,16 +310,9 @@ export const searchBuses = async (req, res) => {
     const nextDay = new Date(searchDate);
     nextDay.setDate(nextDay.getDate() + 1);
     
-    // Build query
-    const query = {
-      "route.from.city": { $regex: new RegExp(`^${from}$`, "i") },
-      "route.to.city": { $regex: new RegExp(`^${to}$`, "i") },
-      departureTime: {
-        $gte: searchDate,
-        $lt: nextDay
-      },
-      availableSeats: { $gte: parseInt(passengers) }
-    };
+    // Build query (buses stopping at both cities; matchSegments below keeps
+    // the ones travelling from -> to)
+    const query = buildStopQuery(from, to, searchDate, nextDay);
     
     // Apply filters
     if (filters.operators && filters.operators.length > 0) {
@@ -367,13 +342,6 @@ export const searchBuses = async (req, res) => {
       }
     }
     
-    if (filters.priceRange) {
-      query.price = {
-        $gte: filters.priceRange.min || 0,
-        $lte: filters.priceRange.max || 10000
-      };
-    }
-    
     // Apply amenities filter
     if (filters.amenities && filters.amenities.length > 0) {
       query.amenities = { $all: filters.amenities };
@@ -402,7 +370,27 @@ export const searchBuses = async (req, res) => {
     }
     
     // Execute query
-    const buses = await busesCollection.find(query).sort(sortOptions).toArray();
+    // Seats, price and times are checked on the searched segment, with
+    // fares from the pricing engine
+    const pricingContext = await loadPricingContext();
+    const buses = matchSegments(await busesCollection.find(query).sort(sortOptions).toArray(), {
+      from,
+      to,
+      windowStart: searchDate,
+      windowEnd: nextDay,
+      passengers,
+      priceRange: filters.priceRange,
+      priceBus: (bus, segment) => priceBus(bus, segment, pricingContext)
+    });
+    
+    // Fares are set per quote, so price sorting happens after pricing
+    if (sortBy === "priceLow" || sortBy === "priceHigh") {
+      const direction = sortBy === "priceLow" ? 1 : -1;
+      buses.sort((a, b) => direction * (a.price - b.price));
+    }
+    
+    // 1-stop journeys through another city, listed separately
+    const connections = await findConnections({ from, to, date, passengers, filters });
     
     // Format dates for response
     const formattedBuses = buses.map(bus => ({
@@ -427,6 +415,7 @@ export const searchBuses = async (req, res) => {
       success: true,
       count: buses.length,
       buses: formattedBuses,
+      connections,
       filters: {
         operators: availableOperators.sort(),
         busTypes: availableBusTypes.sort(),
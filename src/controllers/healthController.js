@@ -123,6 +123,8 @@ export const testEndpoint = async (req, res) => {
         popularRoutes: "GET /api/buses/routes/popular",
         createBooking: "POST /api/bookings",
         bookingByPNR: "GET /api/bookings/pnr/:pnr",
+        paymentGateways: "GET /api/payments/gateways",
+        initiatePayment: "POST /api/payments/initiate",
         userRegister: "POST /api/users/register",
         userProfile: "GET /api/users/:uid"
       }
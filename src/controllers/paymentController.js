@@ -0,0 +1,238 @@
+import { ObjectId } from "mongodb";
+import { getBookingsCollection, getPaymentsCollection } from "../config/database.js";
+import { listGateways } from "../services/paymentGateways/index.js";
+import mockGateway, { buildMockCallback } from "../services/paymentGateways/mockGateway.js";
+import {
+  initiatePayment,
+  handleGatewayCallback,
+  buildCallbackQuery,
+  PaymentError
+} from "../services/paymentService.js";
+import { canAccessBooking } from "../services/accessService.js";
+import { normalizePNR } from "../services/pnrService.js";
+
+// Strip gateway internals before returning a payment to clients
+function formatPayment(payment) {
+  return {
+    _id: payment._id.toString(),
+    bookingId: payment.bookingId,
+    pnr: payment.pnr,
+    gateway: payment.gateway,
+    purpose: payment.purpose || "booking",
+    amount: payment.amount,
+    currency: payment.currency,
+    status: payment.status,
+    gatewayPaymentId: payment.gatewayPaymentId,
+    gatewayTransactionId: payment.gatewayTransactionId,
+    requiresRefund: payment.requiresRefund || false,
+    failureReason: payment.failureReason || null,
+    createdAt: payment.createdAt,
+    settledAt: payment.settledAt || null
+  };
+}
+
+// Get payment gateways
+export const getPaymentGateways = (req, res) => {
+  try {
+    res.json({
+      success: true,
+      gateways: listGateways().filter(gateway => gateway.enabled)
+    });
+  } catch (error) {
+    console.error("Payment gateways error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payment gateways",
+      details: error.message
+    });
+  }
+};
+
+// Start payment for a pending booking or an outstanding balance
+export const initiateBookingPayment = async (req, res) => {
+  try {
+    const { pnr, gateway } = req.body;
+
+    if (!pnr || !gateway) {
+      return res.status(400).json({
+        success: false,
+        error: "PNR and gateway are required"
+      });
+    }
+
+    const bookingsCollection = getBookingsCollection();
+    const booking = await bookingsCollection.findOne({ pnr: normalizePNR(pnr) });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: "Booking not found"
+      });
+    }
+
+    const payment = await initiatePayment(booking, gateway);
+
+    res.json({
+      success: true,
+      payment: formatPayment(payment),
+      checkoutUrl: payment.checkoutUrl,
+      paymentDeadline: payment.purpose === "booking" ? booking.paymentDeadline.toISOString() : null
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error("Initiate payment error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to start payment",
+      details: error.message
+    });
+  }
+};
+
+// Gateway callback / webhook
+export const paymentCallback = async (req, res) => {
+  try {
+    const { gateway } = req.params;
+
+    const { payment, booking, replayed } = await handleGatewayCallback(gateway, {
+      query: req.query,
+      body: req.body || {},
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    // Browser returning from a hosted checkout page
+    if (req.query.mode === "return" && process.env.PAYMENT_RETURN_URL) {
+      const params = new URLSearchParams({
+        pnr: payment.pnr,
+        status: payment.status
+      });
+      return res.redirect(`${process.env.PAYMENT_RETURN_URL}?${params}`);
+    }
+
+    res.json({
+      success: true,
+      replayed: Boolean(replayed),
+      payment: formatPayment(payment),
+      bookingStatus: booking?.status || null
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error("Payment callback error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process payment callback",
+      details: error.message
+    });
+  }
+};
+
+// Complete a mock checkout (development only)
+export const completeMockPayment = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { outcome = "success" } = req.body;
+
+    if (!mockGateway.isEnabled()) {
+      return res.status(404).json({
+        success: false,
+        error: "Mock gateway is disabled"
+      });
+    }
+
+    if (!ObjectId.isValid(paymentId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid payment ID format"
+      });
+    }
+
+    const paymentsCollection = getPaymentsCollection();
+    const payment = await paymentsCollection.findOne({
+      _id: new ObjectId(paymentId),
+      gateway: mockGateway.name
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        error: "Payment not found"
+      });
+    }
+
+    // Deliver exactly what the gateway's webhook would
+    const mockCallback = buildMockCallback(payment, outcome);
+    const result = await handleGatewayCallback(mockGateway.name, {
+      ...mockCallback,
+      query: buildCallbackQuery(payment._id)
+    });
+
+    res.json({
+      success: true,
+      payment: formatPayment(result.payment),
+      bookingStatus: result.booking?.status || null
+    });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error("Mock payment error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to complete mock payment",
+      details: error.message
+    });
+  }
+};
+
+// Get payments for a booking (admin)
+export const getBookingPayments = async (req, res) => {
+  try {
+    const { pnr } = req.params;
+    const paymentsCollection = getPaymentsCollection();
+
+    // Operator staff only see payments on their operator's bookings
+    const booking = await getBookingsCollection().findOne({ pnr: normalizePNR(pnr) });
+    if (booking && !canAccessBooking(req.user, booking)) {
+      return res.status(404).json({
+        success: false,
+        error: "Booking not found"
+      });
+    }
+
+    const payments = await paymentsCollection.find({
+      pnr: normalizePNR(pnr)
+    })
+    .sort({ createdAt: -1 })
+    .toArray();
+
+    res.json({
+      success: true,
+      count: payments.length,
+      payments: payments.map(formatPayment)
+    });
+  } catch (error) {
+    console.error("Get booking payments error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch payments",
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,284 @@
+import { ObjectId } from "mongodb";
+import { getPricingRulesCollection, getHolidaysCollection } from "../config/database.js";
+import {
+  validatePricingRule,
+  validateHoliday,
+  DEFAULT_PRICING_RULE
+} from "../services/pricingService.js";
+
+function formatRule(rule) {
+  return {
+    ...rule,
+    _id: rule._id.toString()
+  };
+}
+
+// Get pricing rules (admin)
+export const getPricingRules = async (req, res) => {
+  try {
+    const { operator } = req.query;
+    const query = operator ? { operator: { $in: [operator, null] } } : {};
+
+    const rules = await getPricingRulesCollection()
+      .find(query)
+      .sort({ operator: 1, "route.from": 1, updatedAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: rules.length,
+      rules: rules.map(formatRule),
+      defaultRule: DEFAULT_PRICING_RULE
+    });
+  } catch (error) {
+    console.error("Get pricing rules error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch pricing rules",
+      details: error.message
+    });
+  }
+};
+
+// Create pricing rule (admin)
+export const createPricingRule = async (req, res) => {
+  try {
+    const { errors, rule } = validatePricingRule(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pricing rule",
+        details: errors
+      });
+    }
+
+    const now = new Date();
+    const newRule = {
+      operator: null,
+      route: null,
+      busType: null,
+      occupancy: [],
+      leadTime: [],
+      daysOfWeek: {},
+      holidayMultiplier: 1,
+      floor: null,
+      ceiling: null,
+      active: true,
+      ...rule,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await getPricingRulesCollection().insertOne(newRule);
+    newRule._id = result.insertedId;
+
+    res.status(201).json({
+      success: true,
+      message: "Pricing rule created",
+      rule: formatRule(newRule)
+    });
+  } catch (error) {
+    console.error("Create pricing rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create pricing rule",
+      details: error.message
+    });
+  }
+};
+
+// Update pricing rule (admin). Fares quoted on held seats are unaffected.
+export const updatePricingRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pricing rule ID format"
+      });
+    }
+
+    const { errors, rule } = validatePricingRule(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pricing rule",
+        details: errors
+      });
+    }
+
+    const pricingRulesCollection = getPricingRulesCollection();
+    const existingRule = await pricingRulesCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!existingRule) {
+      return res.status(404).json({
+        success: false,
+        error: "Pricing rule not found"
+      });
+    }
+
+    const floor = rule.floor !== undefined ? rule.floor : existingRule.floor;
+    const ceiling = rule.ceiling !== undefined ? rule.ceiling : existingRule.ceiling;
+
+    if (floor && ceiling && floor > ceiling) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pricing rule",
+        details: ["floor can't be above ceiling"]
+      });
+    }
+
+    const updatedRule = await pricingRulesCollection.findOneAndUpdate(
+      { _id: existingRule._id },
+      { $set: { ...rule, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      message: "Pricing rule updated",
+      rule: formatRule(updatedRule)
+    });
+  } catch (error) {
+    console.error("Update pricing rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update pricing rule",
+      details: error.message
+    });
+  }
+};
+
+// Delete pricing rule (admin)
+export const deletePricingRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid pricing rule ID format"
+      });
+    }
+
+    const result = await getPricingRulesCollection().deleteOne({ _id: new ObjectId(id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Pricing rule not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Pricing rule deleted"
+    });
+  } catch (error) {
+    console.error("Delete pricing rule error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete pricing rule",
+      details: error.message
+    });
+  }
+};
+
+// Get holiday calendar (admin)
+export const getHolidays = async (req, res) => {
+  try {
+    const holidays = await getHolidaysCollection().find({}).sort({ startDate: 1 }).toArray();
+
+    res.json({
+      success: true,
+      count: holidays.length,
+      holidays: holidays.map(holiday => ({ ...holiday, _id: holiday._id.toString() }))
+    });
+  } catch (error) {
+    console.error("Get holidays error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch holidays",
+      details: error.message
+    });
+  }
+};
+
+// Add holiday period (admin)
+export const createHoliday = async (req, res) => {
+  try {
+    const { errors, holiday } = validateHoliday(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid holiday",
+        details: errors
+      });
+    }
+
+    const newHoliday = { ...holiday, createdAt: new Date() };
+    const result = await getHolidaysCollection().insertOne(newHoliday);
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday added",
+      holiday: { ...newHoliday, _id: result.insertedId.toString() }
+    });
+  } catch (error) {
+    console.error("Create holiday error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add holiday",
+      details: error.message
+    });
+  }
+};
+
+// Remove holiday period (admin)
+export const deleteHoliday = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid holiday ID format"
+      });
+    }
+
+    const result = await getHolidaysCollection().deleteOne({ _id: new ObjectId(id) });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Holiday not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Holiday removed"
+    });
+  } catch (error) {
+    console.error("Delete holiday error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove holiday",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+};
@@ -0,0 +1,206 @@
+import { ObjectId } from "mongodb";
+import { getPromotionsCollection } from "../config/database.js";
+import { validatePromotion } from "../services/promotionService.js";
+
+function formatPromotion(promotion) {
+  return {
+    ...promotion,
+    _id: promotion._id.toString(),
+    remainingUses: promotion.usageLimit === null ? null : Math.max(0, promotion.usageLimit - promotion.usedCount)
+  };
+}
+
+// Get promotions (admin)
+export const getPromotions = async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = active === undefined ? {} : { active: active === "true" };
+
+    const promotions = await getPromotionsCollection()
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: promotions.length,
+      promotions: promotions.map(formatPromotion)
+    });
+  } catch (error) {
+    console.error("Get promotions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch promotions",
+      details: error.message
+    });
+  }
+};
+
+// Create promotion (admin)
+export const createPromotion = async (req, res) => {
+  try {
+    const { errors, promotion } = validatePromotion(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid promotion",
+        details: errors
+      });
+    }
+
+    const now = new Date();
+    const newPromotion = {
+      description: "",
+      maxDiscount: null,
+      minFare: 0,
+      validFrom: null,
+      validUntil: null,
+      operator: null,
+      route: null,
+      busType: null,
+      usageLimit: null,
+      perUserLimit: null,
+      active: true,
+      ...promotion,
+      usedCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await getPromotionsCollection().insertOne(newPromotion);
+    newPromotion._id = result.insertedId;
+
+    res.status(201).json({
+      success: true,
+      message: `Promotion ${newPromotion.code} created`,
+      promotion: formatPromotion(newPromotion)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A promotion with this code already exists"
+      });
+    }
+
+    console.error("Create promotion error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create promotion",
+      details: error.message
+    });
+  }
+};
+
+// Update promotion (admin). The code itself can't change once created,
+// since bookings and redemption counters refer to it.
+export const updatePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid promotion ID format"
+      });
+    }
+
+    if (req.body.code !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "A promotion's code can't be changed. Create a new promotion instead."
+      });
+    }
+
+    const promotionsCollection = getPromotionsCollection();
+    const existingPromotion = await promotionsCollection.findOne({ _id: new ObjectId(id) });
+
+    if (!existingPromotion) {
+      return res.status(404).json({
+        success: false,
+        error: "Promotion not found"
+      });
+    }
+
+    const { errors, promotion } = validatePromotion(
+      { discountType: existingPromotion.discountType, ...req.body },
+      { partial: true }
+    );
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid promotion",
+        details: errors
+      });
+    }
+
+    const updatedPromotion = await promotionsCollection.findOneAndUpdate(
+      { _id: existingPromotion._id },
+      { $set: { ...promotion, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      message: `Promotion ${updatedPromotion.code} updated`,
+      promotion: formatPromotion(updatedPromotion)
+    });
+  } catch (error) {
+    console.error("Update promotion error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update promotion",
+      details: error.message
+    });
+  }
+};
+
+// Deactivate promotion (admin). Kept rather than deleted so bookings that
+// used it can still be traced and cancellations give the use back.
+export const deactivatePromotion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid promotion ID format"
+      });
+    }
+
+    const promotion = await getPromotionsCollection().findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { active: false, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        error: "Promotion not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Promotion ${promotion.code} deactivated`,
+      promotion: formatPromotion(promotion)
+    });
+  } catch (error) {
+    console.error("Deactivate promotion error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to deactivate promotion",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+};
@@ -0,0 +1,178 @@
+import { ObjectId } from "mongodb";
+import { getSavedPassengersCollection } from "../config/database.js";
+import { validateSavedPassenger, MAX_SAVED_PASSENGERS } from "../services/savedPassengerService.js";
+
+function formatSavedPassenger(passenger) {
+  const { uid, ...rest } = passenger;
+  return {
+    ...rest,
+    _id: passenger._id.toString()
+  };
+}
+
+// Get the signed-in user's saved passengers
+export const getSavedPassengers = async (req, res) => {
+  try {
+    const passengers = await getSavedPassengersCollection()
+      .find({ uid: req.user.uid })
+      .sort({ createdAt: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: passengers.length,
+      passengers: passengers.map(formatSavedPassenger)
+    });
+  } catch (error) {
+    console.error("Get saved passengers error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch saved passengers",
+      details: error.message
+    });
+  }
+};
+
+// Save a co-passenger for later bookings
+export const createSavedPassenger = async (req, res) => {
+  try {
+    const { errors, passenger } = validateSavedPassenger(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid passenger",
+        details: errors
+      });
+    }
+
+    const savedPassengersCollection = getSavedPassengersCollection();
+    const count = await savedPassengersCollection.countDocuments({ uid: req.user.uid });
+
+    if (count >= MAX_SAVED_PASSENGERS) {
+      return res.status(409).json({
+        success: false,
+        error: `You can save up to ${MAX_SAVED_PASSENGERS} passengers. Remove one first.`
+      });
+    }
+
+    const now = new Date();
+    const newPassenger = {
+      uid: req.user.uid,
+      ...passenger,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await savedPassengersCollection.insertOne(newPassenger);
+    newPassenger._id = result.insertedId;
+
+    res.status(201).json({
+      success: true,
+      message: "Passenger saved",
+      passenger: formatSavedPassenger(newPassenger)
+    });
+  } catch (error) {
+    console.error("Create saved passenger error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to save passenger",
+      details: error.message
+    });
+  }
+};
+
+// Update a saved passenger (null clears an optional field)
+export const updateSavedPassenger = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid passenger ID"
+      });
+    }
+
+    const { errors, passenger } = validateSavedPassenger(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid passenger",
+        details: errors
+      });
+    }
+
+    const updated = await getSavedPassengersCollection().findOneAndUpdate(
+      { _id: new ObjectId(id), uid: req.user.uid },
+      { $set: { ...passenger, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: "Saved passenger not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Passenger updated",
+      passenger: formatSavedPassenger(updated)
+    });
+  } catch (error) {
+    console.error("Update saved passenger error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update passenger",
+      details: error.message
+    });
+  }
+};
+
+// Remove a saved passenger. Bookings already made keep their copy.
+export const deleteSavedPassenger = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid passenger ID"
+      });
+    }
+
+    const result = await getSavedPassengersCollection().deleteOne({
+      _id: new ObjectId(id),
+      uid: req.user.uid
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Saved passenger not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Passenger removed"
+    });
+  } catch (error) {
+    console.error("Delete saved passenger error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to remove passenger",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  getSavedPassengers,
+  createSavedPassenger,
+  updateSavedPassenger,
+  deleteSavedPassenger
+};
@@ -2,6 +2,9 @@ import { getBusesCollection } from "../config/database.js";
 import { BUS_OPERATORS } from "../constants/busOperators.js";
 import { ALL_CITIES, getTerminals } from "../constants/cities.js";
 import { POPULAR_ROUTES } from "../constants/popularRoutes.js";
+import { findConnections } from "../services/connectionService.js";
+import { loadPricingContext, priceBus } from "../services/pricingService.js";
+import { buildStopQuery, matchSegments } from "../services/segmentService.js";
 
 // Search buses
 export const searchBuses = async (req, res) => {
@@ -31,16 +34,9 @@ export const searchBuses = async (req, res) => {
     const nextDay = new Date(searchDate);
     nextDay.setDate(nextDay.getDate() + 1);
     
-    // Build query
-    const query = {
-      "route.from.city": { $regex: new RegExp(`^${from}$`, "i") },
-      "route.to.city": { $regex: new RegExp(`^${to}$`, "i") },
-      departureTime: {
-        $gte: searchDate,
-        $lt: nextDay
-      },
-      availableSeats: { $gte: parseInt(passengers) }
-    };
+    // Build query (buses stopping at both cities; matchSegments below keeps
+    // the ones travelling from -> to)
+    const query = buildStopQuery(from, to, searchDate, nextDay);
     
     // Apply filters
     if (filters.operators && filters.operators.length > 0) {
@@ -70,13 +66,6 @@ export const searchBuses = async (req, res) => {
       }
     }
     
-    if (filters.priceRange) {
-      query.price = {
-        $gte: filters.priceRange.min || 0,
-        $lte: filters.priceRange.max || 10000
-      };
-    }
-    
     // Apply amenities filter
     if (filters.amenities && filters.amenities.length > 0) {
       query.amenities = { $all: filters.amenities };
@@ -105,7 +94,27 @@ export const searchBuses = async (req, res) => {
     }
     
     // Execute query
-    const buses = await busesCollection.find(query).sort(sortOptions).toArray();
+    // Seats, price and times are checked on the searched segment, with
+    // fares from the pricing engine
+    const pricingContext = await loadPricingContext();
+    const buses = matchSegments(await busesCollection.find(query).sort(sortOptions).toArray(), {
+      from,
+      to,
+      windowStart: searchDate,
+      windowEnd: nextDay,
+      passengers,
+      priceRange: filters.priceRange,
+      priceBus: (bus, segment) => priceBus(bus, segment, pricingContext)
+    });
+    
+    // Fares are set per quote, so price sorting happens after pricing
+    if (sortBy === "priceLow" || sortBy === "priceHigh") {
+      const direction = sortBy === "priceLow" ? 1 : -1;
+      buses.sort((a, b) => direction * (a.price - b.price));
+    }
+    
+    // 1-stop journeys through another city, listed separately
+    const connections = await findConnections({ from, to, date, passengers, filters });
     
     // Format dates for response
     const formattedBuses = buses.map(bus => ({
@@ -130,6 +139,7 @@ export const searchBuses = async (req, res) => {
       success: true,
       count: buses.length,
       buses: formattedBuses,
+      connections,
       filters: {
         operators: availableOperators.sort(),
         busTypes: availableBusTypes.sort(),
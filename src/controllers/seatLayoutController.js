@@ -0,0 +1,188 @@
+import { getSeatLayoutsCollection, getVehiclesCollection } from "../config/database.js";
+import { validateSeatLayout, buildSeatMap, getSeatGrid } from "../services/seatLayoutService.js";
+
+function formatSeatLayout(layout) {
+  return {
+    ...layout,
+    _id: layout._id.toString(),
+    preview: getSeatGrid(buildSeatMap(layout))
+  };
+}
+
+// Filters for vehicles whose seat map comes from this template
+function usedByFilters(layout) {
+  return [
+    { layoutTemplate: layout.key },
+    { layoutTemplate: null, busType: { $in: layout.busTypes || [] } }
+  ];
+}
+
+// Each bus type has at most one template. Returns an error message when
+// another template already holds any of these types.
+async function findBusTypeConflict(busTypes = [], exceptKey) {
+  const conflict = await getSeatLayoutsCollection().findOne({
+    key: { $ne: exceptKey },
+    busTypes: { $in: busTypes }
+  });
+
+  return conflict
+    ? `Seat layout "${conflict.key}" is already assigned to ${conflict.busTypes.filter(type => busTypes.includes(type)).join(", ")}`
+    : null;
+}
+
+// Get seat layout templates (admin)
+export const getSeatLayouts = async (req, res) => {
+  try {
+    const layouts = await getSeatLayoutsCollection().find({}).sort({ key: 1 }).toArray();
+
+    res.json({
+      success: true,
+      count: layouts.length,
+      seatLayouts: layouts.map(formatSeatLayout)
+    });
+  } catch (error) {
+    console.error("Get seat layouts error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch seat layouts",
+      details: error.message
+    });
+  }
+};
+
+// Create seat layout template (admin)
+export const createSeatLayout = async (req, res) => {
+  try {
+    const { errors, layout } = validateSeatLayout(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid seat layout",
+        details: errors
+      });
+    }
+
+    const conflict = await findBusTypeConflict(layout.busTypes);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: conflict
+      });
+    }
+
+    const now = new Date();
+    const newLayout = {
+      busTypes: [],
+      blocked: [],
+      priceModifiers: {},
+      ...layout,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await getSeatLayoutsCollection().insertOne(newLayout);
+    newLayout._id = result.insertedId;
+
+    res.status(201).json({
+      success: true,
+      message: "Seat layout created",
+      seatLayout: formatSeatLayout(newLayout)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A seat layout with this key already exists"
+      });
+    }
+
+    console.error("Create seat layout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create seat layout",
+      details: error.message
+    });
+  }
+};
+
+// Update seat layout template (admin). Labels and prices can change
+// freely; the seat count can't while vehicles use the template, since
+// seats already sold are identified by number.
+export const updateSeatLayout = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { errors, layout } = validateSeatLayout({ ...req.body, key: undefined }, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid seat layout",
+        details: errors
+      });
+    }
+
+    const seatLayoutsCollection = getSeatLayoutsCollection();
+    const current = await seatLayoutsCollection.findOne({ key });
+
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: "Seat layout not found"
+      });
+    }
+
+    if (layout.busTypes) {
+      const conflict = await findBusTypeConflict(layout.busTypes, key);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          error: conflict
+        });
+      }
+    }
+
+    const updated = { ...current, ...layout };
+    const seatCountChanged = buildSeatMap(updated).totalSeats !== buildSeatMap(current).totalSeats;
+
+    if (seatCountChanged) {
+      const vehicles = await getVehiclesCollection()
+        .find({ $or: [...usedByFilters(current), ...usedByFilters(updated)] })
+        .project({ registration: 1 })
+        .toArray();
+
+      if (vehicles.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: "Vehicles use this layout, so its seat count can't change. Create a new template instead.",
+          vehicles: vehicles.map(vehicle => vehicle.registration)
+        });
+      }
+    }
+
+    const updatedLayout = await seatLayoutsCollection.findOneAndUpdate(
+      { key },
+      { $set: { ...layout, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    res.json({
+      success: true,
+      message: "Seat layout updated",
+      seatLayout: formatSeatLayout(updatedLayout)
+    });
+  } catch (error) {
+    console.error("Update seat layout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update seat layout",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  getSeatLayouts,
+  createSeatLayout,
+  updateSeatLayout
+};
@@ -0,0 +1,194 @@
+import { ObjectId } from "mongodb";
+import { getTimetablesCollection } from "../config/database.js";
+import { validateTimetable, DAYS_OF_WEEK } from "../services/timetableService.js";
+import { ensureNext7DaysSchedules } from "../services/schedulingService.js";
+
+function formatTimetable(timetable) {
+  return {
+    ...timetable,
+    _id: timetable._id.toString(),
+    runsOn: timetable.daysOfWeek?.length
+      ? timetable.daysOfWeek.map(day => DAYS_OF_WEEK[day])
+      : ["daily"]
+  };
+}
+
+// Get timetables (admin)
+export const getTimetables = async (req, res) => {
+  try {
+    const { operator, active } = req.query;
+    const timetablesCollection = getTimetablesCollection();
+
+    const query = {};
+    if (operator) {
+      query.operator = operator;
+    }
+    if (active !== undefined) {
+      query.active = active === "true" ? { $ne: false } : false;
+    }
+
+    const timetables = await timetablesCollection
+      .find(query)
+      .sort({ operator: 1, "route.from": 1, departureTime: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: timetables.length,
+      timetables: timetables.map(formatTimetable)
+    });
+  } catch (error) {
+    console.error("Get timetables error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch timetables",
+      details: error.message
+    });
+  }
+};
+
+// Create timetable (admin)
+export const createTimetable = async (req, res) => {
+  try {
+    const { errors, timetable } = validateTimetable(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid timetable",
+        details: errors
+      });
+    }
+
+    const timetablesCollection = getTimetablesCollection();
+    const now = new Date();
+    const newTimetable = {
+      ...timetable,
+      active: timetable.active ?? true,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await timetablesCollection.insertOne(newTimetable);
+    newTimetable._id = result.insertedId;
+
+    // Trips for the coming week appear straight away
+    const generatedTrips = await ensureNext7DaysSchedules();
+
+    res.status(201).json({
+      success: true,
+      message: "Timetable created",
+      timetable: formatTimetable(newTimetable),
+      generatedTrips
+    });
+  } catch (error) {
+    console.error("Create timetable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create timetable",
+      details: error.message
+    });
+  }
+};
+
+// Update timetable (admin). Trips already generated keep their details.
+export const updateTimetable = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid timetable ID format"
+      });
+    }
+
+    const { errors, timetable } = validateTimetable(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid timetable",
+        details: errors
+      });
+    }
+
+    const timetablesCollection = getTimetablesCollection();
+    const updatedTimetable = await timetablesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { ...timetable, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    if (!updatedTimetable) {
+      return res.status(404).json({
+        success: false,
+        error: "Timetable not found"
+      });
+    }
+
+    const generatedTrips = updatedTimetable.active !== false ? await ensureNext7DaysSchedules() : 0;
+
+    res.json({
+      success: true,
+      message: "Timetable updated. Changes apply to trips not generated yet.",
+      timetable: formatTimetable(updatedTimetable),
+      generatedTrips
+    });
+  } catch (error) {
+    console.error("Update timetable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update timetable",
+      details: error.message
+    });
+  }
+};
+
+// Retire timetable (admin). Generated trips stay, they may have bookings.
+export const deactivateTimetable = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid timetable ID format"
+      });
+    }
+
+    const timetablesCollection = getTimetablesCollection();
+    const timetable = await timetablesCollection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      { $set: { active: false, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+
+    if (!timetable) {
+      return res.status(404).json({
+        success: false,
+        error: "Timetable not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Timetable deactivated. No new trips will be generated from it.",
+      timetable: formatTimetable(timetable)
+    });
+  } catch (error) {
+    console.error("Deactivate timetable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to deactivate timetable",
+      details: error.message
+    });
+  }
+};
+
+export default {
+  getTimetables,
+  createTimetable,
+  updateTimetable,
+  deactivateTimetable
+};
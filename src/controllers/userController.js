@@ -1,22 +1,33 @@
 import { getUsersCollection } from "../config/database.js";
 import { getBookingsCollection } from "../config/database.js";
-
-// Register user
+import {
+  validateProfileUpdate,
+  linkBookingsToUser,
+  formatUserBooking,
+  categorizeBookings
+} from "../services/userService.js";
+
+// Register user. The uid and email come from the verified ID token, never
+// from the request body.
 export const registerUser = async (req, res) => {
   try {
-    console.log("📥 Received registration request:", req.body);
-    
-    const { uid, name, email, photoURL, phone } = req.body;
+    const { uid, email } = req.user;
+    const name = req.body.name || req.user.name;
+    const photoURL = req.body.photoURL || req.user.picture;
+    const phone = req.body.phone || req.user.phone;
 
-    if (!uid || !name || !email) {
+    if (!name || !email) {
       return res.status(400).json({ 
         success: false,
-        error: "UID, name, and email are required" 
+        error: "Name and an account email are required" 
       });
     }
 
     const usersCollection = getUsersCollection();
 
+    // Pick up bookings made with this email before they were linked by uid
+    await linkBookingsToUser(req.user);
+
     // Check if user already exists
     const existingUser = await usersCollection.findOne({ uid });
 
@@ -66,48 +77,54 @@ export const registerUser = async (req, res) => {
   }
 };
 
-// Get user by UID
-export const getUserByUid = async (req, res) => {
+// Profile fields returned to the signed-in user
+function formatUser(user) {
+  return {
+    uid: user.uid,
+    name: user.name,
+    email: user.email,
+    phone: user.phone || "",
+    photoURL: user.photoURL || "",
+    role: user.role || "user",
+    ...(user.operator && { operator: user.operator }),
+    createdAt: user.createdAt.toISOString(),
+    updatedAt: user.updatedAt.toISOString()
+  };
+}
+
+// Get the signed-in user's profile
+export const getUserProfile = async (req, res) => {
   try {
-    const { uid } = req.params;
+    const { uid, email } = req.user;
     const usersCollection = getUsersCollection();
     const bookingsCollection = getBookingsCollection();
 
-    const user = await usersCollection.findOne({ uid });
+    let user = await usersCollection.findOne({ uid });
 
     if (!user) {
       return res.status(404).json({ 
         success: false,
-        error: "User not found" 
+        error: "User not found. Register first." 
       });
     }
 
-    // Get user's bookings
-    const bookings = await bookingsCollection.find({
-      "contactInfo.email": user.email
-    }).sort({ bookingDate: -1 }).toArray();
+    // Keep the stored email in step with the account after it changes
+    if (email && email !== user.email) {
+      user = await usersCollection.findOneAndUpdate(
+        { uid },
+        { $set: { email, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    }
 
-    const formattedBookings = bookings.map(booking => ({
-      ...booking,
-      _id: booking._id.toString(),
-      bookingDate: booking.bookingDate.toISOString(),
-      departureDate: booking.departureDate.toISOString()
-    }));
+    const bookings = await bookingsCollection.find({ userId: uid })
+      .project({ status: 1, departureDate: 1 })
+      .toArray();
 
     res.json({
       success: true,
-      user: {
-        ...user,
-        _id: user._id.toString(),
-        createdAt: user.createdAt.toISOString(),
-        updatedAt: user.updatedAt.toISOString()
-      },
-      bookings: formattedBookings,
-      stats: {
-        totalBookings: bookings.length,
-        upcomingBookings: bookings.filter(b => new Date(b.departureDate) > new Date()).length,
-        completedBookings: bookings.filter(b => new Date(b.departureDate) <= new Date()).length
-      }
+      user: formatUser(user),
+      stats: categorizeBookings(bookings).stats
     });
   } catch (error) {
     console.error("Get user error:", error);
@@ -119,50 +136,39 @@ export const getUserByUid = async (req, res) => {
   }
 };
 
-// Update user profile
+// Update the signed-in user's name, phone or photo
 export const updateUserProfile = async (req, res) => {
   try {
-    const { uid } = req.params;
-    const { name, phone, photoURL } = req.body;
+    const { uid } = req.user;
+    const { errors, update } = validateProfileUpdate(req.body);
 
-    if (!uid) {
+    if (errors.length > 0) {
       return res.status(400).json({ 
         success: false,
-        error: "User UID is required" 
+        error: "Invalid profile update",
+        details: errors
       });
     }
 
     const usersCollection = getUsersCollection();
 
-    const updateData = {};
-    if (name) updateData.name = name;
-    if (phone) updateData.phone = phone;
-    if (photoURL) updateData.photoURL = photoURL;
-    updateData.updatedAt = new Date();
-
-    const result = await usersCollection.updateOne(
+    const updatedUser = await usersCollection.findOneAndUpdate(
       { uid },
-      { $set: updateData }
+      { $set: { ...update, updatedAt: new Date() } },
+      { returnDocument: "after" }
     );
 
-    if (result.matchedCount === 0) {
+    if (!updatedUser) {
       return res.status(404).json({ 
         success: false,
-        error: "User not found" 
+        error: "User not found. Register first." 
       });
     }
 
-    const updatedUser = await usersCollection.findOne({ uid });
-
     res.json({
       success: true,
       message: "Profile updated successfully",
-      user: {
-        ...updatedUser,
-        _id: updatedUser._id.toString(),
-        createdAt: updatedUser.createdAt.toISOString(),
-        updatedAt: updatedUser.updatedAt.toISOString()
-      }
+      user: formatUser(updatedUser)
     });
   } catch (error) {
     console.error("Update user error:", error);
@@ -174,61 +180,24 @@ export const updateUserProfile = async (req, res) => {
   }
 };
 
-// Get user bookings
+// Get the signed-in user's bookings, newest first
 export const getUserBookings = async (req, res) => {
   try {
-    const { uid } = req.params;
-    const usersCollection = getUsersCollection();
+    const { uid } = req.user;
     const bookingsCollection = getBookingsCollection();
 
-    const user = await usersCollection.findOne({ uid });
-
-    if (!user) {
-      return res.status(404).json({ 
-        success: false,
-        error: "User not found" 
-      });
-    }
-
-    // Get bookings by email (since email is stored in contactInfo)
-    const bookings = await bookingsCollection.find({
-      "contactInfo.email": user.email
-    })
+    const bookings = await bookingsCollection.find({ userId: uid })
     .sort({ bookingDate: -1 })
     .toArray();
 
-    const formattedBookings = bookings.map(booking => ({
-      ...booking,
-      _id: booking._id.toString(),
-      bookingDate: booking.bookingDate.toISOString(),
-      departureDate: booking.departureDate.toISOString(),
-      busDetails: {
-        ...booking.busDetails,
-        departureTime: booking.busDetails.departureTime.toISOString(),
-        arrivalTime: booking.busDetails.arrivalTime.toISOString()
-      }
-    }));
-
-    // Categorize bookings
-    const upcomingBookings = formattedBookings.filter(b => 
-      new Date(b.departureDate) > new Date()
-    );
-    const pastBookings = formattedBookings.filter(b => 
-      new Date(b.departureDate) <= new Date()
-    );
+    const formattedBookings = bookings.map(formatUserBooking);
+    const { categorized, stats } = categorizeBookings(formattedBookings);
 
     res.json({
       success: true,
-      bookings: {
-        all: formattedBookings,
-        upcoming: upcomingBookings,
-        past: pastBookings
-      },
-      stats: {
-        total: formattedBookings.length,
-        upcoming: upcomingBookings.length,
-        past: pastBookings.length
-      }
+      bookings: formattedBookings,
+      categorized,
+      stats
     });
   } catch (error) {
     console.error("Get user bookings error:", error);
@@ -238,4 +207,4 @@ export const getUserBookings = async (req, res) => {
       details: error.message 
     });
   }
-};
\ No newline at end of file
+};
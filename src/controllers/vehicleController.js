@@ -0,0 +1,330 @@
+import { ObjectId } from "mongodb";
+import { getVehiclesCollection, getBusesCollection, getClient } from "../config/database.js";
+import {
+  validateVehicle,
+  assignVehicle,
+  releaseVehicle,
+  VehicleAssignmentError
+} from "../services/vehicleService.js";
+import { findSeatLayoutTemplate, buildSeatMap } from "../services/seatLayoutService.js";
+
+function formatVehicle(vehicle, now = new Date()) {
+  const upcomingTrips = (vehicle.assignments || [])
+    .filter(assignment => new Date(assignment.arrivalTime) > now)
+    .sort((a, b) => new Date(a.departureTime) - new Date(b.departureTime));
+
+  return {
+    ...vehicle,
+    _id: vehicle._id.toString(),
+    assignments: undefined,
+    upcomingTrips
+  };
+}
+
+// A vehicle's seat count always comes from its layout (its own template or
+// its bus type's). Fills in totalSeats, or returns an error message.
+async function fitSeatLayout(vehicle, current = {}) {
+  const merged = { ...current, ...vehicle };
+  const template = await findSeatLayoutTemplate({ key: merged.layoutTemplate, busType: merged.busType });
+
+  if (!template) {
+    return `Seat layout template "${merged.layoutTemplate}" not found`;
+  }
+
+  const { totalSeats } = buildSeatMap(template);
+
+  if (vehicle.totalSeats !== undefined && vehicle.totalSeats !== totalSeats) {
+    return `Seat layout "${template.key}" has ${totalSeats} seats, not ${vehicle.totalSeats}`;
+  }
+
+  vehicle.totalSeats = totalSeats;
+  return null;
+}
+
+// Get vehicles (admin)
+export const getVehicles = async (req, res) => {
+  try {
+    const { operator, busType, status } = req.query;
+    const vehiclesCollection = getVehiclesCollection();
+
+    const query = {};
+    if (operator) {
+      query.operator = operator;
+    }
+    if (busType) {
+      query.busType = busType;
+    }
+    if (status) {
+      query.status = status;
+    }
+
+    const vehicles = await vehiclesCollection
+      .find(query)
+      .sort({ operator: 1, registration: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      count: vehicles.length,
+      vehicles: vehicles.map(vehicle => formatVehicle(vehicle))
+    });
+  } catch (error) {
+    console.error("Get vehicles error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch vehicles",
+      details: error.message
+    });
+  }
+};
+
+// Register vehicle (admin)
+export const createVehicle = async (req, res) => {
+  try {
+    const { errors, vehicle } = validateVehicle(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid vehicle",
+        details: errors
+      });
+    }
+
+    const layoutError = await fitSeatLayout(vehicle);
+    if (layoutError) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid vehicle",
+        details: [layoutError]
+      });
+    }
+
+    const vehiclesCollection = getVehiclesCollection();
+    const now = new Date();
+    const newVehicle = {
+      layoutTemplate: null,
+      amenities: [],
+      status: "in-service",
+      ...vehicle,
+      assignments: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await vehiclesCollection.insertOne(newVehicle);
+    newVehicle._id = result.insertedId;
+
+    res.status(201).json({
+      success: true,
+      message: "Vehicle registered",
+      vehicle: formatVehicle(newVehicle)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A vehicle with this registration already exists"
+      });
+    }
+
+    console.error("Create vehicle error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register vehicle",
+      details: error.message
+    });
+  }
+};
+
+// Update vehicle (admin). A vehicle with trips still ahead of it can't go
+// into maintenance or change operator, type or seats - reassign them first.
+export const updateVehicle = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid vehicle ID format"
+      });
+    }
+
+    const { errors, vehicle } = validateVehicle(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid vehicle",
+        details: errors
+      });
+    }
+
+    const vehiclesCollection = getVehiclesCollection();
+
+    if (["layoutTemplate", "busType", "totalSeats"].some(field => vehicle[field] !== undefined)) {
+      const current = await vehiclesCollection.findOne({ _id: new ObjectId(id) });
+      const layoutError = current && await fitSeatLayout(vehicle, current);
+
+      if (layoutError) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid vehicle",
+          details: [layoutError]
+        });
+      }
+
+      // Same seat count: trips already assigned are unaffected
+      if (current && vehicle.totalSeats === current.totalSeats) {
+        delete vehicle.totalSeats;
+      }
+    }
+
+    const now = new Date();
+    const affectsTrips = (vehicle.status && vehicle.status !== "in-service") ||
+      ["operator", "busType", "totalSeats"].some(field => vehicle[field] !== undefined);
+
+    const filter = { _id: new ObjectId(id) };
+    if (affectsTrips) {
+      filter.assignments = { $not: { $elemMatch: { arrivalTime: { $gt: now } } } };
+    }
+
+    const updatedVehicle = await vehiclesCollection.findOneAndUpdate(
+      filter,
+      { $set: { ...vehicle, updatedAt: now } },
+      { returnDocument: "after" }
+    );
+
+    if (!updatedVehicle) {
+      const current = await vehiclesCollection.findOne({ _id: new ObjectId(id) });
+
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          error: "Vehicle not found"
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        error: "Vehicle is assigned to upcoming trips. Reassign them first.",
+        upcomingTrips: formatVehicle(current, now).upcomingTrips
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Vehicle updated",
+      vehicle: formatVehicle(updatedVehicle, now)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "A vehicle with this registration already exists"
+      });
+    }
+
+    console.error("Update vehicle error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update vehicle",
+      details: error.message
+    });
+  }
+};
+
+// Move a trip to another vehicle (admin)
+export const assignTripVehicle = async (req, res) => {
+  const session = getClient().startSession();
+
+  try {
+    const { busId } = req.params;
+    const { vehicleId } = req.body;
+
+    if (!ObjectId.isValid(busId) || !ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid bus or vehicle ID format"
+      });
+    }
+
+    const busesCollection = getBusesCollection();
+    const vehiclesCollection = getVehiclesCollection();
+    let updatedBus;
+
+    await session.withTransaction(async () => {
+      const bus = await busesCollection.findOne({ _id: new ObjectId(busId) }, { session });
+
+      if (!bus) {
+        throw new VehicleAssignmentError("Bus not found", 404);
+      }
+      if (bus.vehicleId === vehicleId) {
+        throw new VehicleAssignmentError("Trip is already assigned to this vehicle", 400);
+      }
+
+      // Seat numbers already sold have to exist on the new coach
+      const vehicle = await vehiclesCollection.findOne({ _id: new ObjectId(vehicleId) }, { session });
+      if (vehicle && (vehicle.busType !== bus.type || vehicle.totalSeats !== bus.totalSeats)) {
+        throw new VehicleAssignmentError(
+          `Vehicle ${vehicle.registration} is a ${vehicle.totalSeats}-seat ${vehicle.busType}, the trip needs a ${bus.totalSeats}-seat ${bus.type}`,
+          400
+        );
+      }
+
+      const assigned = await assignVehicle(vehicleId, bus, session);
+
+      if (bus.vehicleId) {
+        await releaseVehicle(bus.vehicleId, bus._id, session);
+      }
+
+      updatedBus = await busesCollection.findOneAndUpdate(
+        { _id: bus._id },
+        {
+          $set: {
+            vehicleId: assigned._id.toString(),
+            busNumber: assigned.registration,
+            layoutTemplate: assigned.layoutTemplate || null,
+            updatedAt: new Date()
+          }
+        },
+        { session, returnDocument: "after" }
+      );
+    });
+
+    res.json({
+      success: true,
+      message: `Trip assigned to ${updatedBus.busNumber}`,
+      bus: {
+        _id: updatedBus._id.toString(),
+        vehicleId: updatedBus.vehicleId,
+        busNumber: updatedBus.busNumber,
+        departureTime: updatedBus.departureTime,
+        arrivalTime: updatedBus.arrivalTime
+      }
+    });
+  } catch (error) {
+    if (error instanceof VehicleAssignmentError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.error("Assign trip vehicle error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to assign vehicle",
+      details: error.message
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+export default {
+  getVehicles,
+  createVehicle,
+  updateVehicle,
+  assignTripVehicle
+};
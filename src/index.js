@@ -5,18 +5,40 @@ import { createServer } from "http";
 import { Server } from "socket.io";
 import { connectToDatabase } from "./config/database.js";
 import corsMiddleware from "./middleware/cors.js";
+import authorize from "./middleware/authorize.js";
 import busRoutes from "./routes/busRoutes.js";
 import bookingRoutes from "./routes/bookingRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import searchRoutes from "./routes/searchRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import healthRoutes from "./routes/healthRoutes.js";
+import paymentRoutes from "./routes/paymentRoutes.js";
 import { 
   initializeSchedules, 
   dailyMaintenance,
   generateDailySchedules 
 } from "./services/schedulingService.js";
-import { getBusesCollection, getBookingsCollection } from "./config/database.js";
+import { getBusesCollection } from "./config/database.js";
+import {
+  holdSeat,
+  releaseSeat,
+  releaseHoldsBySocket,
+  getActiveHolds,
+  takeExpiredHolds
+} from "./services/seatHoldService.js";
+import { expirePendingBookings } from "./services/bookingLifecycleService.js";
+import { assertPaymentConfig } from "./services/paymentService.js";
+import { getBookedSeatNumbers, backfillBookedSeats } from "./services/seatService.js";
+import {
+  resolveSegment,
+  getSegmentAvailableSeats,
+  getFullSegment,
+  segmentView
+} from "./services/segmentService.js";
+import { getSeatMap } from "./services/seatLayoutService.js";
+import { getSeatRestriction } from "./services/seatCategoryService.js";
+import { loadPricingContext, quoteFare, applyQuote } from "./services/pricingService.js";
+import { verifyIdToken, getBearerToken } from "./services/authService.js";
 import { ObjectId } from "mongodb";
 
 dotenv.config();
@@ -40,14 +62,17 @@ const io = new Server(httpServer, {
   }
 });
 
-// Store active seat selection sessions
-const activeSessions = new Map();
-// Map socket.id to userId for easier tracking
+// Map socket.id to userId for easier tracking (seat holds live in MongoDB)
 const socketUserMap = new Map();
 
 // Middleware
 app.use(corsMiddleware);
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body around so payment webhooks can verify signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString("utf8");
+  }
+}));
 
 // Routes
 app.use("/api/buses", busRoutes);
@@ -55,6 +80,7 @@ app.use("/api/bookings", bookingRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/search", searchRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/payments", paymentRoutes);
 app.use("/api", healthRoutes);
 
 // Root endpoint
@@ -68,7 +94,7 @@ app.get("/", (req, res) => {
 });
 
 // Auto-generation endpoints
-app.post("/api/generate-for-date", async (req, res) => {
+app.post("/api/generate-for-date", authorize("system:manage"), async (req, res) => {
   try {
     const { date } = req.body;
     
@@ -103,17 +129,8 @@ app.post("/api/generate-for-date", async (req, res) => {
 });
 
 // Manual trigger for daily maintenance
-app.post("/api/admin/daily-maintenance", async (req, res) => {
+app.post("/api/admin/daily-maintenance", authorize("system:manage"), async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || authHeader !== `Bearer ${process.env.ADMIN_TOKEN}`) {
-      return res.status(401).json({ 
-        success: false,
-        error: "Unauthorized" 
-      });
-    }
-    
     const result = await dailyMaintenance();
     
     res.json({
@@ -133,131 +150,164 @@ app.post("/api/admin/daily-maintenance", async (req, res) => {
 });
 
 // Helper function to get booked seats
-async function getBookedSeats(busId) {
+async function getBookedSeats(busId, segment) {
   try {
-    const bookingsCollection = getBookingsCollection();
-    const bookings = await bookingsCollection.find({
-      busId: busId.toString(),
-      status: { $in: ["confirmed", "pending"] }
-    }).toArray();
-    
-    return bookings.flatMap(booking => 
-      booking.selectedSeats?.map(seat => seat.seatNumber) || []
+    const busesCollection = getBusesCollection();
+    const bus = await busesCollection.findOne(
+      { _id: new ObjectId(busId) },
+      { projection: { bookedSeats: 1 } }
     );
+    
+    return bus ? getBookedSeatNumbers(bus, segment) : [];
   } catch (error) {
     console.error("Error getting booked seats:", error);
     return [];
   }
 }
 
+// Category restriction on a seat right now (ladies only, accessible...), if any
+async function getSeatWarning(bus, seatNumber) {
+  try {
+    const seatMap = await getSeatMap(bus);
+    const seat = seatMap.seats.find(s => s.seatNumber === Number(seatNumber));
+    return seat ? getSeatRestriction(bus, seat) : null;
+  } catch (error) {
+    console.error("Error getting seat restriction:", error);
+    return null;
+  }
+}
+
+// Segment of the route this socket is choosing seats for (set on join-bus)
+function getSocketSegment(socket, busId) {
+  return socket.data.segments?.[busId];
+}
+
+// Attach the user a verified ID token belongs to. Client-sent user IDs are
+// never trusted; without a token the socket keeps its current identity.
+async function authenticateSocket(socket, token) {
+  if (!token) {
+    return socket.data.user || null;
+  }
+
+  socket.data.user = await verifyIdToken(token);
+  socketUserMap.set(socket.id, socket.data.user.uid);
+  return socket.data.user;
+}
+
+// Holds are keyed by the logged-in user when known, otherwise by the socket
+function getHolderId(socket) {
+  const userId = socketUserMap.get(socket.id);
+  return userId && userId !== 'anonymous' ? userId : socket.id;
+}
+
 // Helper function to get seats selected by others
-function getSelectedByOthers(busId, socketId) {
-  const session = activeSessions.get(busId);
-  if (!session) return [];
-  
-  const othersSelections = [];
-  for (const [otherSocketId, seats] of session.selectedSeats.entries()) {
-    if (otherSocketId !== socketId) {
-      seats.forEach(seat => {
-        othersSelections.push({
-          ...seat,
-          userId: socketUserMap.get(otherSocketId) || otherSocketId.substring(0, 8)
-        });
-      });
-    }
+async function getSelectedByOthers(busId, holderId) {
+  try {
+    const holds = await getActiveHolds(busId);
+    return holds
+      .filter(hold => hold.holderId !== holderId)
+      .map(hold => ({
+        seatNumber: hold.seatNumber,
+        selectedAt: hold.selectedAt,
+        expiresAt: hold.expiresAt,
+        // Never the full uid: holds under it can only be booked by its owner
+        userId: hold.holderId.substring(0, 8)
+      }));
+  } catch (error) {
+    console.error("Error getting seat holds:", error);
+    return [];
   }
-  return othersSelections;
 }
 
-// Clean up expired selections and notify clients
-function cleanupExpiredSelectionsAndNotify() {
-  const now = new Date();
-  const expiredSeatsByBus = new Map(); // busId -> [seatNumbers]
-  const expiredSeatsByUser = new Map(); // socketId -> [{busId, seatNumber}]
-
-  for (const [busId, session] of activeSessions.entries()) {
-    for (const [socketId, seats] of session.selectedSeats.entries()) {
-      const validSeats = seats.filter(seat => new Date(seat.expiresAt) > now);
-      const expiredSeats = seats.filter(seat => new Date(seat.expiresAt) <= now);
-      
-      // Track expired seats
-      if (expiredSeats.length > 0) {
-        // Add to bus expired seats
-        if (!expiredSeatsByBus.has(busId)) {
-          expiredSeatsByBus.set(busId, []);
-        }
-        expiredSeatsByBus.get(busId).push(
-          ...expiredSeats.map(s => s.seatNumber)
-        );
-        
-        // Add to user expired seats
-        if (!expiredSeatsByUser.has(socketId)) {
-          expiredSeatsByUser.set(socketId, []);
-        }
-        expiredSeatsByUser.get(socketId).push(
-          ...expiredSeats.map(s => ({ busId, seatNumber: s.seatNumber }))
-        );
-      }
-      
-      // Update session with valid seats
-      if (validSeats.length === 0) {
-        session.selectedSeats.delete(socketId);
-      } else {
-        session.selectedSeats.set(socketId, validSeats);
-      }
-    }
-    
-    // Remove empty sessions
-    if (session.selectedSeats.size === 0) {
-      activeSessions.delete(busId);
+// Group seat holds by bus
+function groupHoldsByBus(holds) {
+  const holdsByBus = new Map();
+  holds.forEach(hold => {
+    if (!holdsByBus.has(hold.busId)) {
+      holdsByBus.set(hold.busId, []);
     }
+    holdsByBus.get(hold.busId).push(hold);
+  });
+  return holdsByBus;
+}
+
+// Clean up expired selections and notify clients
+async function cleanupExpiredSelectionsAndNotify() {
+  let expiredHolds;
+  try {
+    expiredHolds = await takeExpiredHolds();
+  } catch (error) {
+    console.error("Seat hold cleanup error:", error);
+    return;
   }
 
   // Notify all clients in bus rooms about expired seats
-  expiredSeatsByBus.forEach((seats, busId) => {
+  groupHoldsByBus(expiredHolds).forEach((holds, busId) => {
     io.to(`bus:${busId}`).emit('seats-expired', {
-      seats,
+      seats: holds.map(hold => hold.seatNumber),
       message: 'Seat selections have expired',
       busId
     });
   });
 
   // Notify individual users about their expired seats
-  expiredSeatsByUser.forEach((expiredSeats, socketId) => {
-    const socket = io.sockets.sockets.get(socketId);
+  expiredHolds.forEach(({ busId, seatNumber, socketId }) => {
+    const socket = socketId && io.sockets.sockets.get(socketId);
     if (socket) {
-      expiredSeats.forEach(({ busId, seatNumber }) => {
-        socket.emit('your-seat-expired', {
-          seatNumber,
-          busId,
-          message: 'Your seat selection has expired'
-        });
-        
-        // Also notify others in the room
-        socket.to(`bus:${busId}`).emit('seat-deselected', {
-          seatNumber,
-          message: 'Seat selection expired'
-        });
+      socket.emit('your-seat-expired', {
+        seatNumber,
+        busId,
+        message: 'Your seat selection has expired'
+      });
+      
+      // Also notify others in the room
+      socket.to(`bus:${busId}`).emit('seat-deselected', {
+        seatNumber,
+        message: 'Seat selection expired'
       });
     }
   });
 }
 
-// Run cleanup every 5 seconds
-setInterval(cleanupExpiredSelectionsAndNotify, 5000);
+// Sockets can sign in with a Firebase ID token in the handshake
+// (auth.token). Guests connect without one; a token that is sent must be valid.
+io.use(async (socket, next) => {
+  try {
+    await authenticateSocket(
+      socket,
+      socket.handshake.auth?.token || getBearerToken(socket.handshake.headers.authorization)
+    );
+    next();
+  } catch (error) {
+    next(new Error(`Unauthorized: ${error.message}`));
+  }
+});
 
 // Socket.io connection handling
 io.on("connection", (socket) => {
   console.log(`🔄 Socket connected: ${socket.id}`);
 
-  // Track user mapping
-  socket.on("register-user", ({ userId }) => {
-    socketUserMap.set(socket.id, userId || 'anonymous');
+  // Track user mapping (signing in after connecting sends a token here)
+  socket.on("register-user", async ({ token } = {}) => {
+    try {
+      const user = await authenticateSocket(socket, token);
+      socketUserMap.set(socket.id, user ? user.uid : 'anonymous');
+    } catch (error) {
+      socket.emit("auth-error", { message: error.message });
+    }
   });
 
   // Join a bus room for seat selection
-  socket.on("join-bus", async ({ busId, userId }) => {
+  socket.on("join-bus", async ({ busId, token, from, to }) => {
     try {
+      let user;
+      try {
+        user = await authenticateSocket(socket, token);
+      } catch (error) {
+        socket.emit("auth-error", { message: error.message });
+        return;
+      }
+
       if (!ObjectId.isValid(busId)) {
         socket.emit("error", { message: "Invalid bus ID" });
         return;
@@ -271,29 +321,30 @@ io.on("connection", (socket) => {
         return;
       }
 
+      // from/to narrow seat status to part of the route
+      const segment = resolveSegment(bus, from, to);
+      if (!segment) {
+        socket.emit("error", { message: "This bus does not travel between those stops" });
+        return;
+      }
+
       // Store user mapping
-      socketUserMap.set(socket.id, userId || 'anonymous');
+      socketUserMap.set(socket.id, user ? user.uid : 'anonymous');
+      socket.data.segments = { ...socket.data.segments, [busId]: segment };
 
       // Join bus room
       socket.join(`bus:${busId}`);
-      console.log(`👤 Socket ${socket.id} (User: ${userId}) joined bus:${busId}`);
-
-      // Initialize session if not exists
-      if (!activeSessions.has(busId)) {
-        activeSessions.set(busId, {
-          busId,
-          selectedSeats: new Map(),
-          lastUpdated: new Date()
-        });
-      }
+      console.log(`👤 Socket ${socket.id} (User: ${user?.uid || 'anonymous'}) joined bus:${busId}`);
 
       // Send current seat availability
-      const bookedSeats = await getBookedSeats(busId);
+      const bookedSeats = getBookedSeatNumbers(bus, segment);
       socket.emit("seat-status", {
         busId,
+        holderId: getHolderId(socket),
+        segment,
         bookedSeats,
-        selectedByOthers: getSelectedByOthers(busId, socket.id),
-        availableSeats: bus.availableSeats
+        selectedByOthers: await getSelectedByOthers(busId, getHolderId(socket)),
+        availableSeats: getSegmentAvailableSeats(bus, segment)
       });
     } catch (error) {
       console.error("Join bus error:", error);
@@ -302,101 +353,96 @@ io.on("connection", (socket) => {
   });
 
   // Select seat
-  socket.on("select-seat", async ({ busId, seatNumber, action, userId }) => {
+  socket.on("select-seat", async ({ busId, seatNumber, action, acknowledgeRestriction }) => {
     try {
-      if (!activeSessions.has(busId)) {
-        socket.emit("error", { message: "Session not found" });
+      if (!ObjectId.isValid(busId)) {
+        socket.emit("error", { message: "Invalid bus ID" });
         return;
       }
 
-      const session = activeSessions.get(busId);
+      const holderId = getHolderId(socket);
       const now = new Date();
 
-      // Check if seat is already booked
-      const bookedSeats = await getBookedSeats(busId);
-      if (bookedSeats.includes(seatNumber)) {
-        socket.emit("seat-unavailable", { 
+      if (action === "select") {
+        const bus = await getBusesCollection().findOne({ _id: new ObjectId(busId) });
+        if (!bus) {
+          socket.emit("error", { message: "Bus not found" });
+          return;
+        }
+
+        // Check if seat is already booked on this socket's segment
+        const segment = getSocketSegment(socket, busId) || getFullSegment(bus);
+        const bookedSeats = getBookedSeatNumbers(bus, segment);
+        if (bookedSeats.includes(seatNumber)) {
+          socket.emit("seat-unavailable", { 
+            seatNumber,
+            message: "Seat already booked" 
+          });
+          return;
+        }
+
+        // Reserved seats are only held once the user confirms the passenger qualifies
+        const restriction = await getSeatWarning(bus, seatNumber);
+        if (restriction && !acknowledgeRestriction) {
+          socket.emit("seat-restricted", {
+            seatNumber,
+            ...restriction,
+            message: `${restriction.description}. Select again with acknowledgeRestriction to continue.`
+          });
+          return;
+        }
+
+        // The fare quoted now is locked in for as long as the seat is held
+        const quote = { ...quoteFare(bus, segment, await loadPricingContext()), segment };
+
+        const { success, hold, alreadyHeld } = await holdSeat({
+          busId,
           seatNumber,
-          message: "Seat already booked" 
+          holderId,
+          userId: holderId !== socket.id ? holderId : null,
+          socketId: socket.id,
+          quote
         });
-        return;
-      }
 
-      // Check if seat is selected by someone else (within last 2 minutes)
-      const selectedByOthers = getSelectedByOthers(busId, socket.id);
-      const othersSelection = selectedByOthers.find(s => s.seatNumber === seatNumber);
-      
-      if (othersSelection) {
-        const selectedTime = new Date(othersSelection.selectedAt);
-        const timeDiff = (now - selectedTime) / 1000; // in seconds
-        
-        if (timeDiff < 120) {
+        // Seat is being held by someone else
+        if (!success) {
           socket.emit("seat-locked", { 
             seatNumber,
             message: "Seat is being selected by another user",
-            userId: othersSelection.userId,
-            timeLeft: Math.ceil(120 - timeDiff)
+            userId: hold?.holderId?.substring(0, 8),
+            timeLeft: hold ? Math.max(0, Math.ceil((new Date(hold.expiresAt) - now) / 1000)) : 0
           });
           return;
-        } else {
-          // Seat selection has expired, allow current user to select
-          // Remove expired selection from the other user
-          for (const [otherSocketId, seats] of session.selectedSeats.entries()) {
-            if (otherSocketId !== socket.id) {
-              const updatedSeats = seats.filter(s => s.seatNumber !== seatNumber);
-              session.selectedSeats.set(otherSocketId, updatedSeats);
-              
-              if (updatedSeats.length === 0) {
-                session.selectedSeats.delete(otherSocketId);
-              }
-            }
-          }
         }
-      }
 
-      if (action === "select") {
-        // Add seat to user's selection
-        if (!session.selectedSeats.has(socket.id)) {
-          session.selectedSeats.set(socket.id, []);
-        }
-        
-        const userSeats = session.selectedSeats.get(socket.id);
-        const existingSeatIndex = userSeats.findIndex(s => s.seatNumber === seatNumber);
-        
-        if (existingSeatIndex === -1) {
-          const seatData = {
-            seatNumber,
-            selectedAt: now,
-            expiresAt: new Date(now.getTime() + 2 * 60 * 1000), // 2 minutes
-            userId: userId || socketUserMap.get(socket.id) || socket.id.substring(0, 8)
-          };
-          
-          userSeats.push(seatData);
-          
+        if (!alreadyHeld) {
           // Broadcast to others in the same bus room
           socket.to(`bus:${busId}`).emit("seat-selected", {
             seatNumber,
-            selectedBy: seatData.userId,
-            selectedAt: now,
-            expiresIn: 120 // seconds
-          });
-          
-          socket.emit("seat-selection-success", {
-            seatNumber,
-            message: "Seat selected successfully"
+            selectedBy: holderId.substring(0, 8),
+            selectedAt: hold.selectedAt,
+            expiresIn: Math.ceil((new Date(hold.expiresAt) - now) / 1000) // seconds
           });
         }
+
+        const lockedQuote = hold.quote || quote;
+        const fare = segmentView(applyQuote(bus, lockedQuote), lockedQuote.segment || segment);
+
+        socket.emit("seat-selection-success", {
+          seatNumber,
+          holderId,
+          expiresAt: hold.expiresAt,
+          fare: {
+            price: fare.price,
+            discountPrice: fare.discountPrice,
+            quotedAt: lockedQuote.quotedAt
+          },
+          message: "Seat selected successfully"
+        });
       } else if (action === "deselect") {
-        // Remove seat from user's selection
-        if (session.selectedSeats.has(socket.id)) {
-          const userSeats = session.selectedSeats.get(socket.id);
-          const updatedSeats = userSeats.filter(s => s.seatNumber !== seatNumber);
-          session.selectedSeats.set(socket.id, updatedSeats);
-          
-          if (updatedSeats.length === 0) {
-            session.selectedSeats.delete(socket.id);
-          }
-          
+        const released = await releaseSeat(busId, seatNumber, holderId);
+        
+        if (released) {
           // Broadcast seat release
           socket.to(`bus:${busId}`).emit("seat-deselected", {
             seatNumber
@@ -408,9 +454,6 @@ io.on("connection", (socket) => {
           });
         }
       }
-
-      // Update session timestamp
-      session.lastUpdated = now;
     } catch (error) {
       console.error("Select seat error:", error);
       socket.emit("error", { message: "Failed to process seat selection" });
@@ -420,8 +463,8 @@ io.on("connection", (socket) => {
   // Get current seat status
   socket.on("get-seat-status", async ({ busId }) => {
     try {
-      const bookedSeats = await getBookedSeats(busId);
-      const selectedByOthers = getSelectedByOthers(busId, socket.id);
+      const bookedSeats = await getBookedSeats(busId, getSocketSegment(socket, busId));
+      const selectedByOthers = await getSelectedByOthers(busId, getHolderId(socket));
       
       socket.emit("seat-status-update", {
         busId,
@@ -436,43 +479,22 @@ io.on("connection", (socket) => {
   // Handle seat booking completion
   socket.on("booking-completed", async ({ busId, bookedSeats }) => {
     try {
-      const session = activeSessions.get(busId);
-      if (session) {
-        // Remove booked seats from all users' selections
-        for (const [socketId, seats] of session.selectedSeats.entries()) {
-          const remainingSeats = seats.filter(seat => !bookedSeats.includes(seat.seatNumber));
-          if (remainingSeats.length === 0) {
-            session.selectedSeats.delete(socketId);
-          } else {
-            session.selectedSeats.set(socketId, remainingSeats);
-          }
-        }
-        
-        // Broadcast seats are now booked
-        io.to(`bus:${busId}`).emit("seats-booked", {
-          bookedSeats,
-          message: "Seats have been booked"
-        });
-      }
+      // Holds were consumed by the booking itself; just tell the room
+      io.to(`bus:${busId}`).emit("seats-booked", {
+        bookedSeats,
+        message: "Seats have been booked"
+      });
     } catch (error) {
       console.error("Booking completed error:", error);
     }
   });
 
   // Handle user seat expiry notification
-  socket.on("user-seat-expired", ({ busId, seatNumber }) => {
+  socket.on("user-seat-expired", async ({ busId, seatNumber }) => {
     try {
-      const session = activeSessions.get(busId);
-      if (session && session.selectedSeats.has(socket.id)) {
-        const userSeats = session.selectedSeats.get(socket.id);
-        const updatedSeats = userSeats.filter(s => s.seatNumber !== seatNumber);
-        
-        if (updatedSeats.length === 0) {
-          session.selectedSeats.delete(socket.id);
-        } else {
-          session.selectedSeats.set(socket.id, updatedSeats);
-        }
-        
+      const released = await releaseSeat(busId, seatNumber, getHolderId(socket));
+      
+      if (released) {
         // Notify others that seat is available
         socket.to(`bus:${busId}`).emit("seat-deselected", {
           seatNumber,
@@ -485,40 +507,36 @@ io.on("connection", (socket) => {
   });
 
   // Handle seat selection refresh
-  socket.on("refresh-seat-selection", ({ busId }) => {
+  socket.on("refresh-seat-selection", async ({ busId }) => {
     try {
-      const session = activeSessions.get(busId);
-      if (session) {
-        const selectedByOthers = getSelectedByOthers(busId, socket.id);
-        socket.emit("seat-status-update", {
-          busId,
-          bookedSeats: [],
-          selectedByOthers
-        });
-      }
+      const selectedByOthers = await getSelectedByOthers(busId, getHolderId(socket));
+      socket.emit("seat-status-update", {
+        busId,
+        bookedSeats: [],
+        selectedByOthers
+      });
     } catch (error) {
       console.error("Refresh seat selection error:", error);
     }
   });
 
   // Handle disconnect
-  socket.on("disconnect", () => {
+  socket.on("disconnect", async () => {
     console.log(`🔌 Socket disconnected: ${socket.id}`);
     
-    // Clean up user's selections from all sessions
-    for (const [busId, session] of activeSessions.entries()) {
-      if (session.selectedSeats.has(socket.id)) {
-        const userSeats = session.selectedSeats.get(socket.id);
-        session.selectedSeats.delete(socket.id);
-        
-        // Notify others that seats are available
-        if (userSeats && userSeats.length > 0) {
-          io.to(`bus:${busId}`).emit("seats-released", {
-            seats: userSeats.map(s => s.seatNumber),
-            message: "Seats released by another user"
-          });
-        }
-      }
+    try {
+      // Release the holds this connection placed
+      const releasedHolds = await releaseHoldsBySocket(socket.id);
+      
+      // Notify others that seats are available
+      groupHoldsByBus(releasedHolds).forEach((holds, busId) => {
+        io.to(`bus:${busId}`).emit("seats-released", {
+          seats: holds.map(hold => hold.seatNumber),
+          message: "Seats released by another user"
+        });
+      });
+    } catch (error) {
+      console.error("Disconnect cleanup error:", error);
     }
     
     // Remove user mapping
@@ -534,6 +552,13 @@ io.on("connection", (socket) => {
 
 async function startServer() {
   try {
+    try {
+      assertPaymentConfig();
+    } catch (error) {
+      console.error(`❌ ${error.message}. Exiting...`);
+      process.exit(1);
+    }
+
     // Connect to database
     console.log("🔗 Connecting to database...");
     const connected = await connectToDatabase();
@@ -544,10 +569,19 @@ async function startServer() {
     
     console.log("✅ Database connected successfully");
     
+    // Sweep expired seat holds every 5 seconds
+    setInterval(cleanupExpiredSelectionsAndNotify, 5000);
+    
     // Initialize schedules
     console.log("🔄 Initializing schedules...");
     await initializeSchedules();
     
+    // Older buses track booked seats only through bookings
+    const backfilled = await backfillBookedSeats();
+    if (backfilled > 0) {
+      console.log(`🪑 Rebuilt booked seats for ${backfilled} buses`);
+    }
+    
     // Set up cron job for daily maintenance at 3:00 AM every day
     cron.schedule('0 3 * * *', async () => {
       console.log("⏰ Running scheduled daily maintenance...");
@@ -562,6 +596,18 @@ async function startServer() {
       }
     });
     
+    // Expire unpaid pending bookings every minute
+    cron.schedule('* * * * *', async () => {
+      try {
+        const expired = await expirePendingBookings();
+        if (expired > 0) {
+          console.log(`⌛ Expired ${expired} unpaid booking(s)`);
+        }
+      } catch (error) {
+        console.error("Booking expiry error:", error);
+      }
+    });
+    
     // Also run check every 6 hours as backup
     cron.schedule('0 */6 * * *', async () => {
       console.log("🔄 Running 6-hour schedule check...");
@@ -601,6 +647,7 @@ async function startServer() {
       console.log("🌐 Server URL: http://localhost:" + PORT);
       console.log("\n⏰ Daily maintenance scheduled at 3:00 AM every day");
       console.log("🔄 6-hour schedule check also enabled");
+      console.log("⌛ Unpaid bookings expire after their payment deadline");
       console.log("\n📊 Available endpoints:");
       console.log("   • POST /api/generate-for-date - Generate buses for specific date");
       console.log("   • POST /api/admin/daily-maintenance - Manual maintenance trigger");
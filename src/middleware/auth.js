@@ -0,0 +1,38 @@
+import { verifyIdToken, getBearerToken, AuthError } from "../services/authService.js";
+
+async function authenticate(req, res, next, required) {
+  const token = getBearerToken(req.headers.authorization);
+
+  if (!token) {
+    if (!required) {
+      return next();
+    }
+    return res.status(401).json({
+      success: false,
+      error: "Sign in required"
+    });
+  }
+
+  try {
+    req.user = await verifyIdToken(token);
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next(error);
+  }
+}
+
+// Verifies the Firebase ID token in the Authorization header and attaches
+// the caller as req.user
+export const requireAuth = (req, res, next) => authenticate(req, res, next, true);
+
+// Same, but lets guests through without a req.user. A token that is sent
+// must still be valid.
+export const optionalAuth = (req, res, next) => authenticate(req, res, next, false);
+
+export default requireAuth;
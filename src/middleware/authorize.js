@@ -0,0 +1,39 @@
+import { getBearerToken, AuthError } from "../services/authService.js";
+import { hasPermission, resolveCaller } from "../services/accessService.js";
+
+// Route guard: authorize("bookings:read") lets through signed-in users whose
+// role (from the users collection) grants the permission, and attaches
+// req.user with role and operator
+const authorize = (permission) => async (req, res, next) => {
+  const token = getBearerToken(req.headers.authorization);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: "Unauthorized"
+    });
+  }
+
+  try {
+    req.user = await resolveCaller(token);
+
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({
+        success: false,
+        error: "You don't have permission to do this"
+      });
+    }
+
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export default authorize;
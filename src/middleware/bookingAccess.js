@@ -0,0 +1,91 @@
+import { ObjectId } from "mongodb";
+import { getBookingsCollection } from "../config/database.js";
+import { getBearerToken, AuthError } from "../services/authService.js";
+import { hasPermission, canAccessBooking, resolveCaller } from "../services/accessService.js";
+import { verifyBookingToken } from "../services/bookingAccessService.js";
+import { normalizePNR, pnrNotFoundBody } from "../services/pnrService.js";
+
+// What staff need to act on someone else's booking
+const STAFF_PERMISSIONS = {
+  view: "bookings:read",
+  pay: "payments:record",
+  cancel: "bookings:update-status",
+  modify: "bookings:update-status"
+};
+
+// The booking a route acts on: :pnr or :id in the path, or the pnr in the
+// body for routes like POST /api/payments/initiate
+function requestedBooking(req) {
+  return {
+    pnr: req.params.pnr || req.body?.pnr,
+    id: req.params.id
+  };
+}
+
+// Looked up exactly as the handlers do, so the guard always checks the
+// booking the handler is about to act on
+function findRequestedBooking({ pnr, id }) {
+  const bookingsCollection = getBookingsCollection();
+
+  if (pnr) {
+    return bookingsCollection.findOne({ pnr: normalizePNR(pnr) });
+  }
+  return bookingsCollection.findOne({ _id: new ObjectId(id) });
+}
+
+// Guard for routes on one booking (:pnr, :id or a body pnr). Let through the
+// signed-in owner, staff allowed to act on it, or a guest with an
+// X-Booking-Token for the PNR from booking or the phone OTP flow.
+const bookingAccess = (scope) => async (req, res, next) => {
+  try {
+    const requested = requestedBooking(req);
+
+    // Missing PNRs and malformed booking IDs are answered by the handler
+    if (!requested.pnr && !ObjectId.isValid(requested.id)) {
+      return next();
+    }
+
+    const booking = await findRequestedBooking(requested);
+
+    if (!booking) {
+      return res.status(404).json(requested.pnr
+        ? pnrNotFoundBody(normalizePNR(requested.pnr))
+        : { success: false, error: "Booking not found" });
+    }
+
+    const token = getBearerToken(req.headers.authorization);
+    if (token) {
+      req.user = await resolveCaller(token);
+    }
+
+    const grant = verifyBookingToken(req.headers["x-booking-token"]);
+    if (grant && grant.pnr === booking.pnr && grant.scopes.includes(scope)) {
+      return next();
+    }
+
+    if (req.user) {
+      const isOwner = Boolean(booking.userId) && booking.userId === req.user.uid;
+      const isStaff = hasPermission(req.user, STAFF_PERMISSIONS[scope]) && canAccessBooking(req.user, booking);
+
+      if (isOwner || isStaff) {
+        return next();
+      }
+    }
+
+    res.status(req.user ? 403 : 401).json({
+      success: false,
+      error: "Verify with the code sent to the booking's phone number to continue",
+      otpRequired: true
+    });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    next(error);
+  }
+};
+
+export default bookingAccess;
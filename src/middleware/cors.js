@@ -13,7 +13,8 @@ const allowedOrigins = [
 const corsMiddleware = cors({
   origin: allowedOrigins,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "Idempotency-Key", "X-Booking-Token"],
+  exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
   credentials: true,
 });
 
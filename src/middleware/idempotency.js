@@ -0,0 +1,128 @@
+import crypto from "crypto";
+import { getIdempotencyKeysCollection } from "../config/database.js";
+
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+// A request still "processing" after this long is taken to have died (e.g.
+// a crash) and a retry may run it again
+const PROCESSING_LEASE_MS = 2 * 60 * 1000;
+
+const hash = value => crypto.createHash("sha256").update(value).digest("hex");
+
+// Keys are only unique per caller, so two clients that pick the same key
+// never see each other's responses. Guests are told apart by their booking
+// token, seat-hold ID or contact details.
+function getCaller(req) {
+  if (req.user) {
+    return `user:${req.user.uid || req.user.role}`;
+  }
+
+  const bookingToken = req.get("X-Booking-Token");
+  if (bookingToken) {
+    return `booking-token:${bookingToken}`;
+  }
+
+  const guest = req.body?.holderId || req.body?.contactInfo?.email || req.body?.contactInfo?.phone;
+  return guest ? `guest:${guest}` : `ip:${req.ip}`;
+}
+
+// Replays the stored response when a client retries with the same
+// Idempotency-Key. Requests without the header are handled normally.
+const idempotency = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: "Idempotency-Key must be at most 255 characters"
+    });
+  }
+
+  try {
+    const idempotencyKeysCollection = getIdempotencyKeysCollection();
+    const scope = `${req.method} ${req.baseUrl}${req.route.path} ${hash(getCaller(req))}`;
+    const requestHash = hash(JSON.stringify({ params: req.params, body: req.body ?? null }));
+    const now = new Date();
+
+    try {
+      await idempotencyKeysCollection.insertOne({
+        key,
+        scope,
+        requestHash,
+        status: "processing",
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      const existing = await idempotencyKeysCollection.findOne({ key, scope });
+
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: "This Idempotency-Key was already used with a different request"
+        });
+      }
+
+      if (!existing || existing.status === "processing") {
+        // Take over a request whose lease ran out; only one retry wins
+        const takenOver = existing && await idempotencyKeysCollection.findOneAndUpdate(
+          {
+            key,
+            scope,
+            status: "processing",
+            createdAt: { $lte: new Date(now.getTime() - PROCESSING_LEASE_MS) }
+          },
+          { $set: { createdAt: now, expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL_MS) } }
+        );
+
+        if (!takenOver) {
+          return res.status(409).json({
+            success: false,
+            error: "A request with this Idempotency-Key is still being processed"
+          });
+        }
+      } else {
+        res.set("Idempotent-Replayed", "true");
+        return res.status(existing.statusCode).json(existing.responseBody);
+      }
+    }
+
+    // Store the response before sending it so a fast retry sees it
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+
+      // Server errors are not stored so the client can retry with the same key
+      const store = statusCode >= 500
+        ? idempotencyKeysCollection.deleteOne({ key, scope })
+        : idempotencyKeysCollection.updateOne(
+            { key, scope },
+            { $set: { status: "completed", statusCode, responseBody: body, completedAt: new Date() } }
+          );
+
+      store
+        .catch(error => console.error("Idempotency store error:", error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error("Idempotency error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to process Idempotency-Key",
+      details: error.message
+    });
+  }
+};
+
+export default idempotency;
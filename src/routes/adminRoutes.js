@@ -1,8 +1,93 @@
 import express from "express";
-import { generateSchedules } from "../controllers/adminController.js";
+import {
+  generateSchedules,
+  getSystemStats,
+  getAllBookingsAdmin,
+  deleteBus,
+  releaseReservedSeats,
+  getBusManifest,
+  updateUserRole
+} from "../controllers/adminController.js";
+import {
+  getTimetables,
+  createTimetable,
+  updateTimetable,
+  deactivateTimetable
+} from "../controllers/timetableController.js";
+import {
+  getVehicles,
+  createVehicle,
+  updateVehicle,
+  assignTripVehicle
+} from "../controllers/vehicleController.js";
+import {
+  getSeatLayouts,
+  createSeatLayout,
+  updateSeatLayout
+} from "../controllers/seatLayoutController.js";
+import {
+  getPricingRules,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule,
+  getHolidays,
+  createHoliday,
+  deleteHoliday
+} from "../controllers/pricingController.js";
+import {
+  getPromotions,
+  createPromotion,
+  updatePromotion,
+  deactivatePromotion
+} from "../controllers/promotionController.js";
+import authorize from "../middleware/authorize.js";
 
 const router = express.Router();
 
-router.post("/generate-schedules", generateSchedules);
+router.post("/generate-schedules", authorize("system:manage"), generateSchedules);
+router.get("/stats", authorize("system:manage"), getSystemStats);
+router.get("/bookings", authorize("bookings:read"), getAllBookingsAdmin);
+router.delete("/buses/:id", authorize("system:manage"), deleteBus);
 
-export default router;
\ No newline at end of file
+// Roles: admin, operator staff (tied to one operator) and customers
+router.put("/users/:uid/role", authorize("system:manage"), updateUserRole);
+
+// Recurring service patterns that daily schedules are generated from
+router.get("/timetables", authorize("system:manage"), getTimetables);
+router.post("/timetables", authorize("system:manage"), createTimetable);
+router.put("/timetables/:id", authorize("system:manage"), updateTimetable);
+router.delete("/timetables/:id", authorize("system:manage"), deactivateTimetable);
+
+// Fleet registry and trip-to-vehicle assignment
+router.get("/vehicles", authorize("system:manage"), getVehicles);
+router.post("/vehicles", authorize("system:manage"), createVehicle);
+router.put("/vehicles/:id", authorize("system:manage"), updateVehicle);
+router.post("/buses/:busId/vehicle", authorize("system:manage"), assignTripVehicle);
+
+// Ladies-only and other reserved seats open to everyone
+router.post("/buses/:busId/release-reserved-seats", authorize("trips:manage"), releaseReservedSeats);
+
+// Who is on a trip, seat by seat, with their fare type
+router.get("/buses/:busId/manifest", authorize("trips:read"), getBusManifest);
+
+// Seat layout templates, assigned per bus type or per vehicle
+router.get("/seat-layouts", authorize("system:manage"), getSeatLayouts);
+router.post("/seat-layouts", authorize("system:manage"), createSeatLayout);
+router.put("/seat-layouts/:key", authorize("system:manage"), updateSeatLayout);
+
+// Dynamic pricing rules and the holiday calendar they use
+router.get("/pricing-rules", authorize("system:manage"), getPricingRules);
+router.post("/pricing-rules", authorize("system:manage"), createPricingRule);
+router.put("/pricing-rules/:id", authorize("system:manage"), updatePricingRule);
+router.delete("/pricing-rules/:id", authorize("system:manage"), deletePricingRule);
+router.get("/holidays", authorize("system:manage"), getHolidays);
+router.post("/holidays", authorize("system:manage"), createHoliday);
+router.delete("/holidays/:id", authorize("system:manage"), deleteHoliday);
+
+// Promo code campaigns
+router.get("/promotions", authorize("system:manage"), getPromotions);
+router.post("/promotions", authorize("system:manage"), createPromotion);
+router.put("/promotions/:id", authorize("system:manage"), updatePromotion);
+router.delete("/promotions/:id", authorize("system:manage"), deactivatePromotion);
+
+export default router;
@@ -1,43 +1,80 @@
 import express from "express";
 import {
   createBooking,
+  quoteBooking,
   getBookingByPNR,
   getBookingById,
   getBookingsByUser,
   getBookingsByUserId,
   getAllBookings,
   cancelBooking,
+  getRefundQuote,
+  cancelPassengers,
+  cancelLeg,
+  modifyBooking,
   updateBookingStatus,
+  recordBookingPayment,
   getBookingStats
 } from "../controllers/bookingController.js";
+import {
+  requestBookingOtp,
+  verifyBookingOtpCode
+} from "../controllers/bookingAccessController.js";
+import idempotency from "../middleware/idempotency.js";
+import requireAuth, { optionalAuth } from "../middleware/auth.js";
+import authorize from "../middleware/authorize.js";
+import bookingAccess from "../middleware/bookingAccess.js";
 
 const router = express.Router();
 
-// Create new booking
-router.post("/", createBooking);
+// Create new booking (retries are safe with an Idempotency-Key header)
+router.post("/", optionalAuth, idempotency, createBooking);
+
+// Price a booking and check a promo code before booking
+router.post("/quote", optionalAuth, quoteBooking);
+
+// Guests unlock a booking with a code texted to its contact phone, then send
+// the returned token as X-Booking-Token on the routes below
+router.post("/pnr/:pnr/otp", requestBookingOtp);
+router.post("/pnr/:pnr/otp/verify", verifyBookingOtpCode);
+
+// Get booking by PNR (owner, staff or booking token)
+router.get("/pnr/:pnr", bookingAccess("view"), getBookingByPNR);
 
-// Get booking by PNR
-router.get("/pnr/:pnr", getBookingByPNR);
+// Preview the refund before cancelling (?seats=1,2 for some passengers)
+router.get("/pnr/:pnr/refund-quote", bookingAccess("view"), getRefundQuote);
 
-// Get booking by ID
-router.get("/:id", getBookingById);
+// Get booking by ID (owner, staff or booking token)
+router.get("/:id", bookingAccess("view"), getBookingById);
 
-// Get bookings by user email
-router.get("/user/email/:email", getBookingsByUser);
+// Get bookings by user email (the caller's own)
+router.get("/user/email/:email", requireAuth, getBookingsByUser);
 
-// Get bookings by user ID (for logged-in users)
-router.get("/user/id/:userId", getBookingsByUserId);
+// Get bookings by user ID (the caller's own)
+router.get("/user/id/:userId", requireAuth, getBookingsByUserId);
 
-// Get all bookings (admin)
-router.get("/", getAllBookings);
+// Get all bookings (admin, or operator staff for their operator)
+router.get("/", authorize("bookings:read"), getAllBookings);
 
 // Cancel booking by PNR
-router.post("/cancel/:pnr", cancelBooking);
+router.post("/cancel/:pnr", bookingAccess("cancel"), idempotency, cancelBooking);
+
+// Cancel some passengers of a booking by seat
+router.post("/cancel/:pnr/passengers", bookingAccess("cancel"), idempotency, cancelPassengers);
+
+// Cancel one leg of a round-trip or multi-leg booking
+router.post("/cancel/:pnr/legs/:legIndex", bookingAccess("cancel"), idempotency, cancelLeg);
+
+// Change seats or move to another bus on the same route, keeping the PNR
+router.post("/pnr/:pnr/modify", bookingAccess("modify"), idempotency, modifyBooking);
+
+// Update booking status (admin / operator manager)
+router.put("/:id/status", authorize("bookings:update-status"), updateBookingStatus);
 
-// Update booking status (admin)
-router.put("/:id/status", updateBookingStatus);
+// Record payment for a pending booking or an outstanding balance (counter agent or above)
+router.post("/:id/payment", authorize("payments:record"), recordBookingPayment);
 
-// Get booking statistics (admin)
-router.get("/stats/overview", getBookingStats);
+// Get booking statistics (admin / operator manager)
+router.get("/stats/overview", authorize("stats:read"), getBookingStats);
 
 export default router;
\ No newline at end of file
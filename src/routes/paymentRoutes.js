@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  getPaymentGateways,
+  initiateBookingPayment,
+  paymentCallback,
+  completeMockPayment,
+  getBookingPayments
+} from "../controllers/paymentController.js";
+import authorize from "../middleware/authorize.js";
+import bookingAccess from "../middleware/bookingAccess.js";
+
+const router = express.Router();
+
+// Some gateways post form-encoded callbacks
+router.use(express.urlencoded({ extended: false }));
+
+router.get("/gateways", getPaymentGateways);
+// Owner, staff or a guest with an X-Booking-Token, since pricing a pending
+// booking for the chosen gateway rewrites its fare
+router.post("/initiate", bookingAccess("pay"), initiateBookingPayment);
+
+// Gateway callbacks / webhooks (signed, see paymentService)
+router.get("/callback/:gateway", paymentCallback);
+router.post("/callback/:gateway", paymentCallback);
+
+// Development checkout for the mock gateway
+router.post("/mock/:paymentId/complete", completeMockPayment);
+
+router.get("/booking/:pnr", authorize("payments:read"), getBookingPayments);
+
+export default router;
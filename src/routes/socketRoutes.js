@@ -1,6 +1,8 @@
 import express from "express";
 import { getBusesCollection } from "../config/database.js";
 import { ObjectId } from "mongodb";
+import { getBookedSeatNumbers } from "../services/seatService.js";
+import { getSeatMap, getSeatRows, getSeatGrid } from "../services/seatLayoutService.js";
 
 const router = express.Router();
 
@@ -21,32 +23,14 @@ router.get("/bus/:id/seat-status", async (req, res) => {
     }
     
     // Get current seat layout
-    const totalSeats = bus.totalSeats || 40;
-    const rows = Math.ceil(totalSeats / 4);
-    const seatLayout = [];
-    
-    for (let row = 0; row < rows; row++) {
-      const rowSeats = [];
-      for (let col = 0; col < 4; col++) {
-        const seatNumber = row * 4 + col + 1;
-        if (seatNumber > totalSeats) break;
-        
-        const seatType = col === 0 || col === 3 ? 'window' : 'aisle';
-        
-        rowSeats.push({
-          seatNumber,
-          type: seatType,
-          priceMultiplier: seatType === 'window' ? 1.1 : 1.0
-        });
-      }
-      if (rowSeats.length > 0) {
-        seatLayout.push(rowSeats);
-      }
-    }
+    const seatMap = await getSeatMap(bus);
+    const totalSeats = seatMap.totalSeats;
+    const seatLayout = getSeatRows(seatMap, getBookedSeatNumbers(bus), bus);
     
     res.json({
       success: true,
       seatLayout,
+      layout: getSeatGrid(seatMap),
       busInfo: {
         operator: bus.operator,
         busNumber: bus.busNumber,
@@ -1,8 +1,35 @@
 import express from "express";
-import { registerUser } from "../controllers/userController.js";
+import {
+  registerUser,
+  getUserProfile,
+  updateUserProfile,
+  getUserBookings
+} from "../controllers/userController.js";
+import {
+  getSavedPassengers,
+  createSavedPassenger,
+  updateSavedPassenger,
+  deleteSavedPassenger
+} from "../controllers/savedPassengerController.js";
+import requireAuth from "../middleware/auth.js";
 
 const router = express.Router();
 
-router.post("/register", registerUser);
+router.post("/register", requireAuth, registerUser);
 
-export default router;
\ No newline at end of file
+// The signed-in user's profile
+router.get("/me", requireAuth, getUserProfile);
+
+// Update name, phone or photo (null or "" removes phone and photo)
+router.put("/me", requireAuth, updateUserProfile);
+
+// The signed-in user's bookings, split into upcoming, completed and cancelled
+router.get("/me/bookings", requireAuth, getUserBookings);
+
+// Saved co-passengers, bookable with { savedPassengerId } in createBooking
+router.get("/me/passengers", requireAuth, getSavedPassengers);
+router.post("/me/passengers", requireAuth, createSavedPassenger);
+router.put("/me/passengers/:id", requireAuth, updateSavedPassenger);
+router.delete("/me/passengers/:id", requireAuth, deleteSavedPassenger);
+
+export default router;
@@ -0,0 +1,65 @@
+import { getUsersCollection } from "../config/database.js";
+import { ROLE_PERMISSIONS, OPERATOR_ROLES } from "../constants/roles.js";
+import { getBookingLegs } from "./tripService.js";
+import { verifyIdToken } from "./authService.js";
+
+// The caller behind a bearer token, with their role and operator from the
+// users collection. ADMIN_TOKEN still works as an admin service credential
+// for scripts and scheduled jobs.
+export async function resolveCaller(token) {
+  if (process.env.ADMIN_TOKEN && token === process.env.ADMIN_TOKEN) {
+    return { uid: null, email: null, role: "admin", operator: null, service: true };
+  }
+
+  const identity = await verifyIdToken(token);
+  const account = await getUsersCollection().findOne(
+    { uid: identity.uid },
+    { projection: { role: 1, operator: 1 } }
+  );
+
+  return {
+    ...identity,
+    role: account?.role || "user",
+    operator: account?.operator || null
+  };
+}
+
+export function hasPermission(user, permission) {
+  const permissions = ROLE_PERMISSIONS[user?.role] || [];
+  return permissions.includes("*") || permissions.includes(permission);
+}
+
+// The operator a staff member is limited to, or null when they see every
+// operator. Staff without an operator are limited to one that matches nothing.
+export function getOperatorScope(user) {
+  if (!OPERATOR_ROLES.includes(user?.role)) {
+    return null;
+  }
+  return user.operator || "";
+}
+
+// Booking query limited to the caller's operator (any leg counts)
+export function operatorBookingFilter(user) {
+  const operator = getOperatorScope(user);
+
+  if (operator === null) {
+    return {};
+  }
+
+  return {
+    $or: [
+      { "busDetails.operator": operator },
+      { "legs.busDetails.operator": operator }
+    ]
+  };
+}
+
+export function canAccessOperator(user, operator) {
+  const scope = getOperatorScope(user);
+  return scope === null || scope === operator;
+}
+
+export function canAccessBooking(user, booking) {
+  const scope = getOperatorScope(user);
+  return scope === null || getBookingLegs(booking).some(leg => leg.busDetails?.operator === scope);
+}
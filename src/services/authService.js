@@ -0,0 +1,183 @@
+import crypto from "crypto";
+
+// Firebase ID tokens are RS256 JWTs signed by Google. Keys come from, in order:
+//   AUTH_PUBLIC_KEYS  - JSON object of key ID -> PEM public key
+//   AUTH_LOCAL_KEYS   - "true" to sign and verify with a key pair generated
+//                       in memory (tests and local development only)
+//   AUTH_JWKS_URL     - JWKS endpoint, Google's securetoken keys by default
+const FIREBASE_JWKS_URL = "https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com";
+const LOCAL_KEY_ID = "local";
+const CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_JWKS_CACHE_MS = 60 * 60 * 1000;
+
+const config = () => ({
+  projectId: process.env.FIREBASE_PROJECT_ID,
+  issuer: process.env.AUTH_ISSUER ||
+    (process.env.FIREBASE_PROJECT_ID && `https://securetoken.google.com/${process.env.FIREBASE_PROJECT_ID}`),
+  publicKeys: process.env.AUTH_PUBLIC_KEYS,
+  jwksUrl: process.env.AUTH_JWKS_URL || FIREBASE_JWKS_URL,
+  localKeys: process.env.AUTH_LOCAL_KEYS === "true" && process.env.NODE_ENV !== "production"
+});
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+let localKeyPair = null;
+let jwksCache = { keys: new Map(), expiresAt: 0 };
+
+function getLocalKeyPair() {
+  if (!localKeyPair) {
+    localKeyPair = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  }
+  return localKeyPair;
+}
+
+async function fetchJwks(jwksUrl) {
+  const response = await fetch(jwksUrl);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with ${response.status}`);
+  }
+
+  const { keys = [] } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get("cache-control") || "");
+
+  jwksCache = {
+    keys: new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })])),
+    expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) * 1000 : DEFAULT_JWKS_CACHE_MS)
+  };
+}
+
+async function getPublicKey(kid) {
+  const { publicKeys, jwksUrl, localKeys } = config();
+
+  if (publicKeys) {
+    const pem = JSON.parse(publicKeys)[kid];
+    return pem ? crypto.createPublicKey(pem) : null;
+  }
+
+  if (localKeys) {
+    return kid === LOCAL_KEY_ID ? getLocalKeyPair().publicKey : null;
+  }
+
+  // Google rotates its keys; refetch when the cache expires or a new key ID shows up
+  if (Date.now() >= jwksCache.expiresAt || !jwksCache.keys.has(kid)) {
+    try {
+      await fetchJwks(jwksUrl);
+    } catch (error) {
+      throw new AuthError(`Could not load signing keys: ${error.message}`, 503);
+    }
+  }
+
+  return jwksCache.keys.get(kid) || null;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+}
+
+// Verify an ID token and return the user it belongs to
+export async function verifyIdToken(token) {
+  const { projectId, issuer } = config();
+
+  if (!projectId || !issuer) {
+    throw new AuthError("Authentication is not configured (FIREBASE_PROJECT_ID)", 503);
+  }
+
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) {
+    throw new AuthError("Malformed token");
+  }
+
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  if (header.alg !== "RS256" || !header.kid) {
+    throw new AuthError("Unsupported token algorithm");
+  }
+
+  const publicKey = await getPublicKey(header.kid);
+  if (!publicKey) {
+    throw new AuthError("Token signed with an unknown key");
+  }
+
+  const isValidSignature = crypto.verify(
+    "RSA-SHA256",
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    publicKey,
+    Buffer.from(signature, "base64url")
+  );
+  if (!isValidSignature) {
+    throw new AuthError("Invalid token signature");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new AuthError("Token has expired");
+  }
+  if (typeof claims.iat !== "number" || claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new AuthError("Token issued in the future");
+  }
+  if (claims.aud !== projectId || claims.iss !== issuer) {
+    throw new AuthError("Token was issued for another project");
+  }
+  if (typeof claims.sub !== "string" || !claims.sub || claims.sub.length > 128) {
+    throw new AuthError("Token has no user");
+  }
+
+  return {
+    uid: claims.sub,
+    email: claims.email?.toLowerCase() || null,
+    emailVerified: claims.email_verified === true,
+    name: claims.name || null,
+    picture: claims.picture || null,
+    phone: claims.phone_number || null,
+    claims
+  };
+}
+
+// Bearer token from an Authorization header, or null
+export function getBearerToken(authorization) {
+  const match = /^Bearer\s+(.+)$/i.exec(authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+// Sign a token with the local key pair (AUTH_LOCAL_KEYS=true), shaped like a
+// Firebase ID token for the configured project
+export function signLocalToken({ uid, email, name, ...claims }, expiresInSeconds = 3600) {
+  const { projectId, issuer, localKeys } = config();
+
+  if (!localKeys) {
+    throw new Error("Local token signing needs AUTH_LOCAL_KEYS=true outside production");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const header = encode({ alg: "RS256", kid: LOCAL_KEY_ID, typ: "JWT" });
+  const payload = encode({
+    iss: issuer,
+    aud: projectId,
+    sub: uid,
+    user_id: uid,
+    email,
+    email_verified: Boolean(email),
+    name,
+    auth_time: now,
+    iat: now,
+    exp: now + expiresInSeconds,
+    ...claims
+  });
+  const signature = crypto.sign("RSA-SHA256", Buffer.from(`${header}.${payload}`), getLocalKeyPair().privateKey);
+
+  return `${header}.${payload}.${signature.toString("base64url")}`;
+}
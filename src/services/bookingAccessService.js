@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import { getBookingOtpsCollection } from "../config/database.js";
+import { getSmsProvider } from "./smsProviders/index.js";
+
+// Guests prove they own a booking with a code texted to its contact phone,
+// and get back a short-lived token for that PNR (X-Booking-Token header).
+const OTP_LENGTH = 6;
+const OTP_TTL_SECONDS = Number(process.env.OTP_TTL_SECONDS) || 300;
+const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_SENDS_PER_HOUR = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const BOOKING_TOKEN_TTL_SECONDS = Number(process.env.BOOKING_TOKEN_TTL_SECONDS) || 900;
+
+export const BOOKING_TOKEN_SCOPES = ["view", "pay", "cancel", "modify"];
+
+export class BookingAccessError extends Error {
+  constructor(message, status = 400, retryAfter = null) {
+    super(message);
+    this.name = "BookingAccessError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+let devSecret = null;
+
+// BOOKING_TOKEN_SECRET signs tokens and OTP hashes. Without it a random
+// per-process secret is used, so tokens don't survive a restart or work
+// across instances.
+function getSecret() {
+  if (process.env.BOOKING_TOKEN_SECRET) {
+    return process.env.BOOKING_TOKEN_SECRET;
+  }
+  if (!devSecret) {
+    if (process.env.NODE_ENV === "production") {
+      console.warn("⚠️ BOOKING_TOKEN_SECRET is not set; booking tokens only work on this instance until it restarts");
+    }
+    devSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return devSecret;
+}
+
+const sign = value => crypto.createHmac("sha256", getSecret()).update(value).digest("base64url");
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// +8801712345678 -> +880******5678
+export function maskPhone(phone) {
+  const digits = String(phone);
+  return digits.length <= 4 ? "****" : `${digits.slice(0, 4)}${"*".repeat(Math.max(digits.length - 8, 2))}${digits.slice(-4)}`;
+}
+
+// Text a fresh code to the booking's contact phone
+export async function sendBookingOtp(booking, now = new Date()) {
+  const phone = booking.contactInfo?.phone;
+  if (!phone) {
+    throw new BookingAccessError("This booking has no phone number to send a code to. Sign in or contact support.", 409);
+  }
+
+  const provider = getSmsProvider();
+  if (!provider) {
+    throw new BookingAccessError("SMS is not available right now", 503);
+  }
+
+  const otpsCollection = getBookingOtpsCollection();
+  const existing = await otpsCollection.findOne({ pnr: booking.pnr });
+
+  if (existing?.sentAt) {
+    const waitSeconds = Math.ceil((existing.sentAt.getTime() + OTP_RESEND_SECONDS * 1000 - now.getTime()) / 1000);
+    if (waitSeconds > 0) {
+      throw new BookingAccessError(`Please wait ${waitSeconds} seconds before asking for another code`, 429, waitSeconds);
+    }
+  }
+
+  const windowOpen = existing && now.getTime() - existing.windowStart.getTime() < SEND_WINDOW_MS;
+  if (windowOpen && existing.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+    const retryAfter = Math.ceil((existing.windowStart.getTime() + SEND_WINDOW_MS - now.getTime()) / 1000);
+    throw new BookingAccessError("Too many codes requested for this booking. Try again later.", 429, retryAfter);
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, "0");
+  const windowStart = windowOpen ? existing.windowStart : now;
+  const expiresAt = new Date(now.getTime() + OTP_TTL_SECONDS * 1000);
+
+  await otpsCollection.updateOne(
+    { pnr: booking.pnr },
+    {
+      $set: {
+        codeHash: sign(`${booking.pnr}:${code}`),
+        attempts: 0,
+        expiresAt,
+        sentAt: now,
+        sendCount: windowOpen ? existing.sendCount + 1 : 1,
+        windowStart,
+        purgeAt: new Date(windowStart.getTime() + SEND_WINDOW_MS)
+      }
+    },
+    { upsert: true }
+  );
+
+  try {
+    await provider.send({
+      to: phone,
+      message: `Your code for booking ${booking.pnr} is ${code}. It expires in ${Math.round(OTP_TTL_SECONDS / 60)} minutes. Don't share it with anyone.`
+    });
+  } catch (error) {
+    await otpsCollection.updateOne({ pnr: booking.pnr }, { $set: { codeHash: null, sentAt: null } });
+    console.error("SMS send error:", error);
+    throw new BookingAccessError("Could not send the code. Please try again.", 502);
+  }
+
+  return {
+    sentTo: maskPhone(phone),
+    expiresAt
+  };
+}
+
+// Check a code and, if it matches, use it up and issue a booking token
+export async function verifyBookingOtp(pnr, code, now = new Date()) {
+  const otpsCollection = getBookingOtpsCollection();
+
+  // Count the attempt before comparing so parallel guesses can't go over the limit
+  const record = await otpsCollection.findOneAndUpdate(
+    { pnr, codeHash: { $ne: null }, expiresAt: { $gt: now }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { returnDocument: "after" }
+  );
+
+  if (!record) {
+    throw new BookingAccessError("No valid code for this booking. Request a new one.", 400);
+  }
+
+  if (!safeEqual(record.codeHash, sign(`${pnr}:${String(code || "").trim()}`))) {
+    const attemptsLeft = OTP_MAX_ATTEMPTS - record.attempts;
+    if (attemptsLeft <= 0) {
+      await otpsCollection.updateOne({ pnr, codeHash: record.codeHash }, { $set: { codeHash: null } });
+      throw new BookingAccessError("Too many wrong codes. Request a new one.", 429);
+    }
+    throw new BookingAccessError(`Wrong code. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left.`, 400);
+  }
+
+  // Codes work once
+  await otpsCollection.updateOne({ pnr, codeHash: record.codeHash }, { $set: { codeHash: null } });
+
+  return issueBookingToken(pnr, BOOKING_TOKEN_SCOPES, now);
+}
+
+// A signed token that unlocks one PNR for a short while, for the given
+// scopes (all of them after an OTP)
+export function issueBookingToken(pnr, scopes = BOOKING_TOKEN_SCOPES, now = new Date()) {
+  const expiresAt = new Date(now.getTime() + BOOKING_TOKEN_TTL_SECONDS * 1000);
+  const payload = Buffer.from(JSON.stringify({
+    pnr,
+    scopes,
+    exp: Math.floor(expiresAt.getTime() / 1000)
+  })).toString("base64url");
+
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt,
+    scopes
+  };
+}
+
+// The PNR and scopes a booking token grants, or null if it isn't valid
+export function verifyBookingToken(token, now = new Date()) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+    return null;
+  }
+
+  try {
+    const grant = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return grant.exp * 1000 > now.getTime() ? grant : null;
+  } catch {
+    return null;
+  }
+}
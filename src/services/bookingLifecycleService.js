@@ -0,0 +1,179 @@
+import { ObjectId } from "mongodb";
+import { getBookingsCollection, getClient } from "../config/database.js";
+import { releaseSeats } from "./seatService.js";
+import { getActiveLegs } from "./tripService.js";
+import { releasePromotion } from "./promotionService.js";
+
+// Minutes a pending booking has to be paid for before its seats are released
+export const PAYMENT_WINDOW_MINUTES = parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 15;
+
+// Bookings can't be moved to other seats or buses this close to departure
+export const MODIFICATION_CUTOFF_HOURS = parseInt(process.env.MODIFICATION_CUTOFF_HOURS) || 6;
+
+// Allowed status changes; anything not listed here is rejected
+export const BOOKING_TRANSITIONS = {
+  pending: ["confirmed", "cancelled", "expired"],
+  confirmed: ["cancelled", "completed"],
+  cancelled: [],
+  expired: [],
+  completed: []
+};
+
+export const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+// A booking was changed by another request while this one was updating it;
+// the client should reload it and retry
+export class BookingChangedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BookingChangedError";
+    this.status = 409;
+  }
+}
+
+export function canTransition(from, to) {
+  return (BOOKING_TRANSITIONS[from] || []).includes(to);
+}
+
+export function getPaymentDeadline(from = new Date()) {
+  return new Date(from.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+}
+
+// History entry recorded on the booking for every status change
+export function statusHistoryEntry(from, to, by, reason) {
+  return {
+    type: "status",
+    from,
+    to,
+    by,
+    reason: reason || null,
+    at: new Date()
+  };
+}
+
+// Give back the seats of every leg still on the booking (inside the caller's transaction)
+export async function releaseBookingSeats(booking, session) {
+  for (const leg of getActiveLegs(booking)) {
+    await releaseSeats(
+      leg.busId,
+      leg.selectedSeats.map(seat => seat.seatNumber),
+      booking._id,
+      session
+    );
+  }
+}
+
+// Record a payment against a pending booking and confirm it. The payment
+// must cover the fare as it is now: a modification may have raised it
+// after the checkout started.
+export async function confirmBookingPayment(bookingId, payment) {
+  const bookingsCollection = getBookingsCollection();
+  const now = new Date();
+
+  const booking = await bookingsCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(bookingId),
+      status: "pending",
+      paymentDeadline: { $gt: now },
+      totalPrice: { $lte: payment.amount }
+    },
+    {
+      $set: {
+        status: "confirmed",
+        confirmedAt: now,
+        updatedAt: now,
+        paymentMethod: payment.method,
+        payment: {
+          ...payment,
+          paidAt: payment.paidAt || now
+        }
+      },
+      $push: {
+        history: statusHistoryEntry("pending", "confirmed", payment.recordedBy || "payment", "Payment received")
+      }
+    },
+    { returnDocument: "after" }
+  );
+
+  return booking;
+}
+
+// Record payment of the fare difference owed after a modification
+export async function settleBookingBalance(bookingId, payment) {
+  const bookingsCollection = getBookingsCollection();
+  const now = new Date();
+
+  const booking = await bookingsCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(bookingId),
+      status: "confirmed",
+      balanceDue: { $gt: 0, $lte: payment.amount }
+    },
+    {
+      $set: { balanceDue: 0, updatedAt: now },
+      $push: {
+        history: {
+          type: "payment",
+          status: "succeeded",
+          purpose: "balance",
+          gateway: payment.method,
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          by: payment.recordedBy || "payment",
+          at: now
+        }
+      }
+    },
+    { returnDocument: "after" }
+  );
+
+  return booking;
+}
+
+// Expire unpaid pending bookings and put their seats back on the bus
+export async function expirePendingBookings() {
+  const bookingsCollection = getBookingsCollection();
+  const now = new Date();
+
+  const overdue = await bookingsCollection.find({
+    status: "pending",
+    paymentDeadline: { $lte: now }
+  }).toArray();
+
+  let expired = 0;
+
+  for (const booking of overdue) {
+    const session = getClient().startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        // Guard on status so a payment landing at the same time wins cleanly
+        const updateResult = await bookingsCollection.updateOne(
+          { _id: booking._id, status: "pending" },
+          {
+            $set: { status: "expired", expiredAt: now, updatedAt: now },
+            $push: {
+              history: statusHistoryEntry("pending", "expired", "system", "Payment deadline passed")
+            }
+          },
+          { session }
+        );
+
+        if (updateResult.modifiedCount === 0) {
+          return;
+        }
+
+        await releaseBookingSeats(booking, session);
+        await releasePromotion(booking, session);
+
+        expired++;
+      });
+    } catch (error) {
+      console.error(`Failed to expire booking ${booking.pnr}:`, error);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return expired;
+}
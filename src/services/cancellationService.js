@@ -0,0 +1,168 @@
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import { getActiveLegs, legAsBooking } from "./tripService.js";
+
+// Used when an operator has no policy of its own
+export const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { minHoursBefore: 24, refundPercentage: 70 }
+  ],
+  cancellationFee: 0
+};
+
+// Resolve the policy for an operator and bus type. Tiers are sorted from the
+// earliest cancellation window to the latest; cancelling after the last tier
+// is not allowed. cancellationFee is a fixed amount per cancelled seat.
+export function getCancellationPolicy(operatorName, busType) {
+  const operator = BUS_OPERATORS.find(op => op.name === operatorName);
+  const policy = operator?.cancellationPolicy?.byType?.[busType] ||
+    operator?.cancellationPolicy?.default ||
+    DEFAULT_CANCELLATION_POLICY;
+
+  return normalizeCancellationPolicy(policy);
+}
+
+// Accepts the tiered model and the old { deadlineHours, refundPercentage } one
+export function normalizeCancellationPolicy(policy) {
+  if (!policy) {
+    return normalizeCancellationPolicy(DEFAULT_CANCELLATION_POLICY);
+  }
+
+  const tiers = policy.tiers || [{
+    minHoursBefore: policy.deadlineHours || 24,
+    refundPercentage: policy.refundPercentage || 70
+  }];
+
+  return {
+    allowed: policy.allowed !== false,
+    tiers: [...tiers].sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+    cancellationFee: policy.cancellationFee || 0
+  };
+}
+
+export function describeCancellationPolicy(policy) {
+  const { allowed, tiers, cancellationFee } = normalizeCancellationPolicy(policy);
+
+  if (!allowed || tiers.length === 0) {
+    return "Non-refundable";
+  }
+
+  const parts = tiers.map((tier, index) => {
+    const window = index === 0
+      ? `${tier.minHoursBefore}h+ before departure`
+      : `${tier.minHoursBefore}-${tiers[index - 1].minHoursBefore}h before`;
+    return `${tier.refundPercentage}% refund ${window}`;
+  });
+
+  const lastTier = tiers[tiers.length - 1];
+  let description = `${parts.join(", ")}; no cancellation within ${lastTier.minHoursBefore}h of departure`;
+
+  if (cancellationFee > 0) {
+    description += `. ৳${cancellationFee} cancellation fee per seat`;
+  }
+
+  return description;
+}
+
+// Decide whether a booking can be cancelled right now and how much comes back
+export function evaluateCancellation(booking, now = new Date()) {
+  const departureTime = new Date(booking.departureDate);
+  const hoursUntilDeparture = (departureTime - now) / (1000 * 60 * 60);
+
+  if (departureTime <= now) {
+    return { allowed: false, error: "Cannot cancel completed journey", hoursUntilDeparture };
+  }
+
+  // Unpaid reservations can be dropped at any time before departure
+  if (booking.status === "pending") {
+    return { allowed: true, isUnpaid: true, refundPercentage: 0, cancellationFee: 0, hoursUntilDeparture };
+  }
+
+  const policy = normalizeCancellationPolicy(booking.cancellationPolicy);
+
+  if (!policy.allowed) {
+    return { allowed: false, error: "Cancellation is not allowed for this booking", hoursUntilDeparture };
+  }
+
+  const tierIndex = policy.tiers.findIndex(tier => hoursUntilDeparture >= tier.minHoursBefore);
+
+  if (tierIndex === -1) {
+    const lastTier = policy.tiers[policy.tiers.length - 1];
+    return {
+      allowed: false,
+      error: `Cancellation not allowed. Must cancel at least ${lastTier?.minHoursBefore || 0} hours before departure.`,
+      hoursUntilDeparture
+    };
+  }
+
+  const tier = policy.tiers[tierIndex];
+  const nextTier = policy.tiers[tierIndex + 1];
+
+  return {
+    allowed: true,
+    isUnpaid: false,
+    refundPercentage: tier.refundPercentage,
+    cancellationFee: policy.cancellationFee,
+    tier,
+    // When the refund rate drops next
+    nextChange: {
+      at: new Date(departureTime.getTime() - tier.minHoursBefore * 60 * 60 * 1000),
+      refundPercentage: nextTier ? nextTier.refundPercentage : null
+    },
+    hoursUntilDeparture
+  };
+}
+
+// Refund for the given fare, after the per-seat cancellation fee
+export function calculateRefund(amount, evaluation, seatCount = 1) {
+  if (!evaluation.allowed || evaluation.isUnpaid) return 0;
+  const refund = Math.round(amount * (evaluation.refundPercentage / 100)) -
+    (evaluation.cancellationFee || 0) * seatCount;
+  return Math.max(0, refund);
+}
+
+// Evaluate each leg on its own departure time and policy. Refunds are
+// worked out on the leg's share of the booking total.
+export function evaluateLegCancellations(booking, legs = getActiveLegs(booking), now = new Date()) {
+  return legs.map(leg => {
+    const evaluation = evaluateCancellation(legAsBooking(booking, leg), now);
+    return {
+      leg,
+      evaluation,
+      refundAmount: calculateRefund(leg.fare, evaluation, leg.selectedSeats.length),
+      cancellationFee: evaluation.allowed ? (evaluation.cancellationFee || 0) * leg.selectedSeats.length : 0
+    };
+  });
+}
+
+// Pair each passenger with the seat they sit in. Passengers carry a
+// seatNumber when the client sent one, otherwise they follow seat order.
+export function pairPassengersWithSeats(booking) {
+  const bySeat = booking.selectedSeats.map(seat =>
+    booking.passengers.find(p => p.seatNumber === seat.seatNumber)
+  );
+  // Passengers without a matching seatNumber fill the remaining seats in order
+  const unpaired = booking.passengers.filter(p => !bySeat.includes(p));
+
+  return booking.selectedSeats.map((seat, index) => ({
+    seat,
+    passenger: bySeat[index] || unpaired.shift()
+  }));
+}
+
+// Share of the booking total paid for the given seats. Seats are weighed
+// by their line in the fare breakdown (so concessions count), or by layout
+// multiplier on bookings made before breakdowns were stored. Pass the leg
+// on multi-leg bookings, whose breakdown has lines for every leg.
+export function fareForSeats(booking, seatNumbers, legIndex) {
+  const seatLines = booking.fareBreakdown?.seats
+    ?.filter(line => legIndex === undefined || line.legIndex === legIndex);
+  const weight = seat => seatLines
+    ? seatLines.find(line => line.seatNumber === seat.seatNumber)?.fare ?? 0
+    : seat.priceMultiplier || 1;
+  const totalWeight = booking.selectedSeats.reduce((sum, seat) => sum + weight(seat), 0);
+  const seatsWeight = booking.selectedSeats
+    .filter(seat => seatNumbers.includes(seat.seatNumber))
+    .reduce((sum, seat) => sum + weight(seat), 0);
+
+  return totalWeight > 0 ? Math.round(booking.totalPrice * (seatsWeight / totalWeight)) : 0;
+}
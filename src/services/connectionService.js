@@ -0,0 +1,134 @@
+import { getBusesCollection } from "../config/database.js";
+import { MIN_TRANSFER_MINUTES } from "./tripService.js";
+import { loadPricingContext, priceBus } from "./pricingService.js";
+
+// Longest wait at the transfer city we still offer as a connection
+export const MAX_LAYOVER_HOURS = parseInt(process.env.MAX_LAYOVER_HOURS) || 6;
+
+export const MAX_CONNECTIONS = 10;
+
+function effectivePrice(bus) {
+  return bus.discountPrice && bus.discountPrice < bus.price ? bus.discountPrice : bus.price;
+}
+
+function formatLeg(bus) {
+  return {
+    ...bus,
+    _id: bus._id.toString(),
+    departureTime: bus.departureTime.toISOString(),
+    arrivalTime: bus.arrivalTime.toISOString()
+  };
+}
+
+// Filters from the search form that apply to every bus in the journey
+function buildLegFilters(filters, passengers) {
+  const query = { availableSeats: { $gte: parseInt(passengers) } };
+
+  if (filters.operators && filters.operators.length > 0) {
+    query.operator = { $in: filters.operators };
+  }
+
+  if (filters.busTypes && filters.busTypes.length > 0) {
+    query.type = { $in: filters.busTypes };
+  }
+
+  if (filters.amenities && filters.amenities.length > 0) {
+    query.amenities = { $all: filters.amenities };
+  }
+
+  return query;
+}
+
+// 1-stop itineraries from one city to another on the search date: a bus to
+// any transfer city, then a bus from there leaving after the minimum layover.
+// Results are scored on total duration and price (lower is better).
+export async function findConnections({ from, to, date, passengers = 1, filters = {} }) {
+  const busesCollection = getBusesCollection();
+  const legFilters = buildLegFilters(filters, passengers);
+
+  const searchDate = new Date(date);
+  searchDate.setHours(0, 0, 0, 0);
+  const nextDay = new Date(searchDate);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  const minLayoverMs = MIN_TRANSFER_MINUTES * 60 * 1000;
+  const maxLayoverMs = MAX_LAYOVER_HOURS * 60 * 60 * 1000;
+
+  const firstLegs = await busesCollection.find({
+    ...legFilters,
+    "route.from.city": { $regex: new RegExp(`^${from}$`, "i") },
+    "route.to.city": { $not: new RegExp(`^${to}$`, "i") },
+    departureTime: { $gte: searchDate, $lt: nextDay }
+  }).toArray();
+
+  if (firstLegs.length === 0) {
+    return [];
+  }
+
+  const transferCities = [...new Set(firstLegs.map(bus => bus.route.to.city))];
+  const earliestArrival = Math.min(...firstLegs.map(bus => bus.arrivalTime.getTime()));
+  const latestArrival = Math.max(...firstLegs.map(bus => bus.arrivalTime.getTime()));
+
+  const secondLegs = await busesCollection.find({
+    ...legFilters,
+    "route.from.city": { $in: transferCities },
+    "route.to.city": { $regex: new RegExp(`^${to}$`, "i") },
+    departureTime: {
+      $gte: new Date(earliestArrival + minLayoverMs),
+      $lte: new Date(latestArrival + maxLayoverMs)
+    }
+  }).toArray();
+
+  // Both legs are priced by the pricing engine, like direct results
+  const pricingContext = await loadPricingContext();
+  const pricedFirstLegs = firstLegs.map(bus => priceBus(bus, null, pricingContext));
+  const pricedSecondLegs = secondLegs.map(bus => priceBus(bus, null, pricingContext));
+
+  const connections = [];
+
+  for (const first of pricedFirstLegs) {
+    for (const second of pricedSecondLegs) {
+      if (second.route.from.city !== first.route.to.city) continue;
+
+      const layoverMs = second.departureTime - first.arrivalTime;
+      if (layoverMs < minLayoverMs || layoverMs > maxLayoverMs) continue;
+
+      const totalPrice = effectivePrice(first) + effectivePrice(second);
+
+      if (filters.priceRange && (
+        totalPrice < (filters.priceRange.min || 0) ||
+        totalPrice > (filters.priceRange.max || 10000)
+      )) continue;
+
+      connections.push({
+        id: `${first._id}_${second._id}`,
+        transferCity: first.route.to.city,
+        layoverMinutes: Math.round(layoverMs / (1000 * 60)),
+        totalDurationMinutes: Math.round((second.arrivalTime - first.departureTime) / (1000 * 60)),
+        totalPrice,
+        departureTime: first.departureTime.toISOString(),
+        arrivalTime: second.arrivalTime.toISOString(),
+        legs: [formatLeg(first), formatLeg(second)]
+      });
+    }
+  }
+
+  if (connections.length === 0) {
+    return [];
+  }
+
+  // Score against the fastest and cheapest options so both count equally
+  const fastest = Math.min(...connections.map(c => c.totalDurationMinutes));
+  const cheapest = Math.min(...connections.map(c => c.totalPrice));
+
+  return connections
+    .map(connection => ({
+      ...connection,
+      score: Number((
+        connection.totalDurationMinutes / fastest +
+        connection.totalPrice / Math.max(cheapest, 1)
+      ).toFixed(3))
+    }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, MAX_CONNECTIONS);
+}
@@ -0,0 +1,173 @@
+import { getGateway } from "./paymentGateways/index.js";
+import { PAYMENT_CURRENCY } from "./paymentService.js";
+import { DEFAULT_PASSENGER_TYPE } from "./passengerTypeService.js";
+
+// VAT in percent of the fare after all discounts
+export const VAT_PERCENT = Number(process.env.VAT_PERCENT ?? 5);
+
+// Platform fee per seat on every leg
+export const CONVENIENCE_FEE_PER_SEAT = Number(process.env.CONVENIENCE_FEE_PER_SEAT ?? 20);
+
+// Every line is rounded to whole taka (halves up) on its own and totals are
+// sums of rounded lines, so the breakdown always adds up to what is charged
+const roundTaka = amount => Math.round(amount);
+
+// Gateways declare their own surcharge; cash and counter payments have none
+export function getGatewaySurchargePercent(paymentMethod) {
+  return getGateway(paymentMethod)?.surchargePercent || 0;
+}
+
+// One fare line per seat on a priced bus (or segment view)
+export function priceSeats(bus, seats, legIndex = 0) {
+  const discountRatio = bus.discountPrice && bus.discountPrice < bus.price
+    ? bus.discountPrice / bus.price
+    : 1;
+
+  return seats.map(seat => {
+    const baseFare = bus.price;
+    const seatModifier = roundTaka(bus.price * ((seat?.priceMultiplier || 1) - 1));
+    const discount = roundTaka((baseFare + seatModifier) * (1 - discountRatio));
+
+    return {
+      legIndex,
+      seatNumber: seat?.seatNumber ?? null,
+      label: seat?.label ?? null,
+      baseFare,
+      seatModifier,
+      discount,
+      passengerType: DEFAULT_PASSENGER_TYPE,
+      concession: 0,
+      lapInfantFare: 0,
+      fare: baseFare + seatModifier - discount
+    };
+  });
+}
+
+// Concession for who sits in each seat (passengers in seat-line order,
+// rules from getPassengerFareRules), plus the fare for an infant on their lap
+export function applyPassengerFares(seatLines, passengers, rules) {
+  return seatLines.map((line, index) => {
+    const passenger = passengers[index] || {};
+    const type = passenger.type || DEFAULT_PASSENGER_TYPE;
+    const concession = roundTaka(line.fare * ((rules[type]?.discountPercent || 0) / 100));
+    const lapInfantFare = passenger.lapInfant && rules["lap-infant"]
+      ? roundTaka(line.fare * (1 - rules["lap-infant"].discountPercent / 100))
+      : 0;
+
+    return {
+      ...line,
+      passengerType: type,
+      concession,
+      lapInfantFare,
+      fare: line.fare - concession + lapInfantFare
+    };
+  });
+}
+
+export function sumFares(seatLines) {
+  return seatLines.reduce((total, line) => total + line.fare, 0);
+}
+
+const sumField = (seatLines, field) => seatLines.reduce((total, line) => total + line[field], 0);
+
+// Split an amount over legs in proportion to their fares, the last leg
+// taking the rounding
+function shareByFare(amount, fares) {
+  const totalFare = fares.reduce((sum, fare) => sum + fare, 0);
+  let remaining = amount;
+
+  return fares.map((fare, index) => {
+    const share = index === fares.length - 1 || totalFare === 0
+      ? remaining
+      : roundTaka(amount * (fare / totalFare));
+    remaining -= share;
+    return share;
+  });
+}
+
+// Itemized fare from the seat lines and the leg pricing (priceLegs, with any
+// promo applied). VAT and fees are shared out over the legs by fare like the
+// discounts, so legTotals are what each leg was charged.
+export function buildFareBreakdown(seatLines, pricing, paymentMethod) {
+  const fare = pricing.totalPrice;
+  const vat = roundTaka(fare * (VAT_PERCENT / 100));
+  const convenienceFee = CONVENIENCE_FEE_PER_SEAT * seatLines.length;
+  const surchargePercent = getGatewaySurchargePercent(paymentMethod);
+  const gatewaySurcharge = roundTaka((fare + vat + convenienceFee) * (surchargePercent / 100));
+  const charges = vat + convenienceFee + gatewaySurcharge;
+
+  const chargeShares = shareByFare(charges, pricing.legFares);
+  const legTotals = pricing.legFares.map((legFare, index) => legFare + chargeShares[index]);
+
+  return {
+    breakdown: {
+      currency: PAYMENT_CURRENCY,
+      seats: seatLines,
+      baseFare: sumField(seatLines, "baseFare"),
+      seatModifiers: sumField(seatLines, "seatModifier"),
+      discount: sumField(seatLines, "discount"),
+      concessions: sumField(seatLines, "concession"),
+      lapInfantFares: sumField(seatLines, "lapInfantFare"),
+      roundTripDiscount: pricing.roundTripDiscount || 0,
+      promoDiscount: pricing.promoDiscount || 0,
+      fare,
+      vat: { percent: VAT_PERCENT, amount: vat },
+      convenienceFee: { perSeat: CONVENIENCE_FEE_PER_SEAT, amount: convenienceFee },
+      gatewaySurcharge: { paymentMethod, percent: surchargePercent, amount: gatewaySurcharge },
+      total: fare + charges
+    },
+    legTotals
+  };
+}
+
+// The breakdown priced for another payment method: only the gateway
+// surcharge and the total change. legFares are the legs' current totals;
+// the returned legTotals carry the change in surcharge.
+export function repriceFareBreakdown(breakdown, paymentMethod, legFares = [breakdown.total]) {
+  const percent = getGatewaySurchargePercent(paymentMethod);
+  const beforeSurcharge = breakdown.fare + breakdown.vat.amount + breakdown.convenienceFee.amount;
+  const amount = roundTaka(beforeSurcharge * (percent / 100));
+  const total = beforeSurcharge + amount;
+
+  const changeShares = shareByFare(total - breakdown.total, legFares);
+
+  return {
+    breakdown: {
+      ...breakdown,
+      gatewaySurcharge: { paymentMethod, percent, amount },
+      total
+    },
+    legTotals: legFares.map((legFare, index) => legFare + changeShares[index])
+  };
+}
+
+// The breakdown after some seats (or a whole leg) are cancelled and the
+// booking total drops to newTotal. Seat lines not kept go, the convenience
+// fee follows the seats left and the other amounts shrink in proportion,
+// with rounding taken up by the fare so the breakdown still adds up.
+export function reduceFareBreakdown(breakdown, keepLine, newTotal) {
+  const seats = breakdown.seats.filter(keepLine);
+  const convenienceFee = Math.min(breakdown.convenienceFee.perSeat * seats.length, newTotal);
+  const previousRest = breakdown.total - breakdown.convenienceFee.amount;
+  const ratio = previousRest > 0 ? (newTotal - convenienceFee) / previousRest : 0;
+  const scale = amount => roundTaka(amount * ratio);
+  const vat = scale(breakdown.vat.amount);
+  const gatewaySurcharge = scale(breakdown.gatewaySurcharge.amount);
+
+  return {
+    ...breakdown,
+    seats,
+    baseFare: sumField(seats, "baseFare"),
+    seatModifiers: sumField(seats, "seatModifier"),
+    discount: sumField(seats, "discount"),
+    concessions: sumField(seats, "concession"),
+    lapInfantFares: sumField(seats, "lapInfantFare"),
+    roundTripDiscount: scale(breakdown.roundTripDiscount),
+    promoDiscount: scale(breakdown.promoDiscount),
+    fare: newTotal - convenienceFee - vat - gatewaySurcharge,
+    vat: { ...breakdown.vat, amount: vat },
+    convenienceFee: { ...breakdown.convenienceFee, amount: convenienceFee },
+    gatewaySurcharge: { ...breakdown.gatewaySurcharge, amount: gatewaySurcharge },
+    total: newTotal
+  };
+}
@@ -0,0 +1,120 @@
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+
+// Fare rules per passenger type. discountPercent comes off the seat fare;
+// minAge/maxAge need an age in range and requiredFields must be filled in
+// (checked at the counter on boarding). Operators override any field, or
+// set a type to null to not offer it (passengerFares in busOperators).
+export const DEFAULT_PASSENGER_FARES = {
+  adult: {
+    name: "Adult",
+    discountPercent: 0
+  },
+  child: {
+    name: "Child",
+    description: "Under 12 in their own seat",
+    discountPercent: 50,
+    maxAge: 11
+  },
+  senior: {
+    name: "Senior citizen",
+    description: "60 and over",
+    discountPercent: 20,
+    minAge: 60
+  },
+  student: {
+    name: "Student",
+    description: "With a valid student ID",
+    discountPercent: 15,
+    requiredFields: ["studentId"]
+  },
+  "freedom-fighter": {
+    name: "Freedom fighter",
+    description: "With a freedom fighter certificate number",
+    discountPercent: 50,
+    requiredFields: ["freedomFighterId"]
+  },
+  // Rides on a seated passenger's lap (passenger.lapInfant), priced off that seat
+  "lap-infant": {
+    name: "Infant on lap",
+    description: "Under 5, no seat of their own",
+    discountPercent: 100,
+    maxAge: 4
+  }
+};
+
+export const DEFAULT_PASSENGER_TYPE = "adult";
+
+// Passenger types who can't have an infant on their lap
+const UNACCOMPANIED_TYPES = ["child"];
+
+export function getPassengerFareRules(operatorName) {
+  const operator = BUS_OPERATORS.find(op => op.name === operatorName);
+  const overrides = operator?.passengerFares || {};
+  const rules = {};
+
+  for (const [type, rule] of Object.entries(DEFAULT_PASSENGER_FARES)) {
+    if (overrides[type] === null) {
+      continue;
+    }
+    rules[type] = { ...rule, ...overrides[type] };
+  }
+
+  return rules;
+}
+
+function checkRule(rule, person, who) {
+  const errors = [];
+  const age = person.age === undefined || person.age === "" ? undefined : Number(person.age);
+
+  if (rule.minAge !== undefined || rule.maxAge !== undefined) {
+    if (age === undefined || !Number.isInteger(age) || age < 0) {
+      errors.push(`${who}: ${rule.name.toLowerCase()} fare needs an age`);
+    } else if (rule.minAge !== undefined && age < rule.minAge) {
+      errors.push(`${who}: ${rule.name.toLowerCase()} fare is for age ${rule.minAge} and over`);
+    } else if (rule.maxAge !== undefined && age > rule.maxAge) {
+      errors.push(`${who}: ${rule.name.toLowerCase()} fare is for age ${rule.maxAge} and under`);
+    }
+  }
+
+  for (const field of rule.requiredFields || []) {
+    if (!String(person[field] || "").trim()) {
+      errors.push(`${who}: ${rule.name.toLowerCase()} fare needs ${field}`);
+    }
+  }
+
+  return errors;
+}
+
+// Check passengers against an operator's fare rules and give them back with
+// their type filled in (adult when not given)
+export function validatePassengers(passengers, operatorName) {
+  const rules = getPassengerFareRules(operatorName);
+  const errors = [];
+
+  const normalized = passengers.map((passenger, index) => {
+    const who = passenger.name || `Passenger ${index + 1}`;
+    const type = passenger.type || DEFAULT_PASSENGER_TYPE;
+    const rule = rules[type];
+
+    if (!rule || type === "lap-infant") {
+      errors.push(`${who}: ${operatorName} doesn't offer a ${type} fare`);
+      return passenger;
+    }
+
+    errors.push(...checkRule(rule, passenger, who));
+
+    if (passenger.lapInfant) {
+      if (!rules["lap-infant"]) {
+        errors.push(`${who}: ${operatorName} doesn't allow infants on laps`);
+      } else if (UNACCOMPANIED_TYPES.includes(type)) {
+        errors.push(`${who}: a ${rule.name.toLowerCase()} can't travel with an infant on their lap`);
+      } else {
+        errors.push(...checkRule(rules["lap-infant"], passenger.lapInfant, passenger.lapInfant.name || `${who}'s infant`));
+      }
+    }
+
+    return { ...passenger, type };
+  });
+
+  return { errors, passengers: normalized };
+}
@@ -0,0 +1,97 @@
+import { postJson } from "./http.js";
+
+// bKash tokenized checkout: grant token -> create payment -> customer approves
+// in the bKash app -> callback -> execute payment (the execute call is what
+// actually settles it, so the callback itself is never trusted).
+
+const config = () => ({
+  baseUrl: process.env.BKASH_BASE_URL || "https://tokenized.sandbox.bka.sh/v1.2.0-beta",
+  appKey: process.env.BKASH_APP_KEY,
+  appSecret: process.env.BKASH_APP_SECRET,
+  username: process.env.BKASH_USERNAME,
+  password: process.env.BKASH_PASSWORD
+});
+
+async function grantToken() {
+  const { baseUrl, appKey, appSecret, username, password } = config();
+  const result = await postJson(
+    `${baseUrl}/tokenized/checkout/token/grant`,
+    { app_key: appKey, app_secret: appSecret },
+    { username, password }
+  );
+
+  if (!result.id_token) {
+    throw new Error(`bKash token grant failed: ${result.statusMessage || "no token returned"}`);
+  }
+
+  return result.id_token;
+}
+
+const bkashGateway = {
+  name: "bkash",
+  label: "bKash",
+  surchargePercent: Number(process.env.BKASH_SURCHARGE_PERCENT ?? 1.5),
+
+  isEnabled() {
+    const { appKey, appSecret, username, password } = config();
+    return Boolean(appKey && appSecret && username && password);
+  },
+
+  async createCheckout({ payment, booking, callbackUrl }) {
+    const { baseUrl, appKey } = config();
+    const token = await grantToken();
+
+    const result = await postJson(
+      `${baseUrl}/tokenized/checkout/create`,
+      {
+        mode: "0011",
+        payerReference: booking.contactInfo?.phone || booking.pnr,
+        callbackURL: callbackUrl,
+        amount: payment.amount.toFixed(2),
+        currency: payment.currency,
+        intent: "sale",
+        merchantInvoiceNumber: payment._id.toString()
+      },
+      { Authorization: token, "X-App-Key": appKey }
+    );
+
+    if (!result.paymentID || !result.bkashURL) {
+      throw new Error(`bKash create payment failed: ${result.statusMessage || "unknown error"}`);
+    }
+
+    return {
+      gatewayPaymentId: result.paymentID,
+      checkoutUrl: result.bkashURL
+    };
+  },
+
+  async verifyCallback({ query }, payment) {
+    if (query.paymentID !== payment.gatewayPaymentId) {
+      throw new Error("bKash callback does not match this payment");
+    }
+
+    if (query.status !== "success") {
+      return { status: "failed", transactionId: null, amount: 0, raw: query };
+    }
+
+    const { baseUrl, appKey } = config();
+    const token = await grantToken();
+    const result = await postJson(
+      `${baseUrl}/tokenized/checkout/execute`,
+      { paymentID: payment.gatewayPaymentId },
+      { Authorization: token, "X-App-Key": appKey }
+    );
+
+    const succeeded = result.transactionStatus === "Completed" &&
+      result.merchantInvoiceNumber === payment._id.toString();
+
+    return {
+      status: succeeded ? "succeeded" : "failed",
+      transactionId: result.trxID || null,
+      amount: Number(result.amount) || 0,
+      raw: result
+    };
+  }
+};
+
+export default bkashGateway;
@@ -0,0 +1,47 @@
+// Small fetch helpers shared by the gateway adapters
+
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  return parseResponse(url, response);
+}
+
+export async function postForm(url, fields) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(fields).toString()
+  });
+
+  return parseResponse(url, response);
+}
+
+export async function getJson(url, headers = {}) {
+  const response = await fetch(url, {
+    headers: { Accept: "application/json", ...headers }
+  });
+
+  return parseResponse(url, response);
+}
+
+async function parseResponse(url, response) {
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`Gateway request to ${new URL(url).pathname} failed with ${response.status}: ${text.slice(0, 200)}`);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Gateway returned a non-JSON response from ${new URL(url).pathname}`);
+  }
+}
@@ -0,0 +1,33 @@
+import mockGateway from "./mockGateway.js";
+import bkashGateway from "./bkashGateway.js";
+import nagadGateway from "./nagadGateway.js";
+import sslcommerzGateway from "./sslcommerzGateway.js";
+
+// Every adapter implements the same interface:
+//   name, label
+//   surchargePercent                              -> added to the fare when paying this way
+//   isEnabled()                                   -> credentials configured?
+//   createCheckout({ payment, booking, callbackUrl }) -> { gatewayPaymentId, checkoutUrl }
+//   verifyCallback({ query, body, rawBody, headers }, payment)
+//                                                 -> { status: "succeeded" | "failed", transactionId, amount, raw }
+// verifyCallback must authenticate the callback with the gateway (signature or
+// server-to-server verification) and throw if it can't.
+const GATEWAYS = {
+  [mockGateway.name]: mockGateway,
+  [bkashGateway.name]: bkashGateway,
+  [nagadGateway.name]: nagadGateway,
+  [sslcommerzGateway.name]: sslcommerzGateway
+};
+
+export function getGateway(name) {
+  return GATEWAYS[name] || null;
+}
+
+export function listGateways() {
+  return Object.values(GATEWAYS).map(gateway => ({
+    name: gateway.name,
+    label: gateway.label,
+    surchargePercent: gateway.surchargePercent,
+    enabled: gateway.isEnabled()
+  }));
+}
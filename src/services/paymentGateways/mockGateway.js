@@ -0,0 +1,72 @@
+import crypto from "crypto";
+
+// Local gateway for development and tests. "Checkout" is a server endpoint that
+// produces the same signed callback a real gateway would send.
+
+const WEBHOOK_SECRET = process.env.MOCK_GATEWAY_SECRET || "mock-gateway-secret";
+
+export function signMockPayload(rawBody) {
+  return crypto.createHmac("sha256", WEBHOOK_SECRET).update(rawBody).digest("hex");
+}
+
+// Build the callback a completed mock checkout would deliver
+export function buildMockCallback(payment, outcome = "success") {
+  const body = {
+    gatewayPaymentId: payment.gatewayPaymentId,
+    transactionId: outcome === "success" ? `MOCKTXN-${crypto.randomBytes(5).toString("hex").toUpperCase()}` : null,
+    status: outcome === "success" ? "succeeded" : "failed",
+    amount: payment.amount
+  };
+  const rawBody = JSON.stringify(body);
+
+  return {
+    body,
+    rawBody,
+    headers: { "x-mock-signature": signMockPayload(rawBody) }
+  };
+}
+
+const mockGateway = {
+  name: "mock",
+  label: "Mock Gateway (development)",
+  surchargePercent: 0,
+
+  // Anyone can complete a mock checkout, so it is off unless asked for
+  isEnabled() {
+    return process.env.PAYMENT_MOCK_ENABLED === "true";
+  },
+
+  async createCheckout({ payment }) {
+    const gatewayPaymentId = `MOCK-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+    return {
+      gatewayPaymentId,
+      checkoutUrl: `/api/payments/mock/${payment._id}/complete`
+    };
+  },
+
+  async verifyCallback({ body, rawBody, headers }, payment) {
+    const signature = headers["x-mock-signature"];
+    const expected = signMockPayload(rawBody || "");
+
+    if (
+      !signature ||
+      signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+      throw new Error("Invalid mock gateway signature");
+    }
+
+    if (body.gatewayPaymentId !== payment.gatewayPaymentId) {
+      throw new Error("Mock callback does not match this payment");
+    }
+
+    return {
+      status: body.status === "succeeded" ? "succeeded" : "failed",
+      transactionId: body.transactionId,
+      amount: Number(body.amount),
+      raw: body
+    };
+  }
+};
+
+export default mockGateway;
@@ -0,0 +1,143 @@
+import crypto from "crypto";
+import { postJson, getJson } from "./http.js";
+
+// Nagad PGW checkout: initialize (RSA handshake) -> complete -> customer pays ->
+// callback -> verify. Payloads are RSA/PKCS#1 encrypted for Nagad and signed with
+// the merchant key. Node 20+ refuses PKCS#1 private decryption by default, so the
+// server must run with --security-revert=CVE-2023-46809 when Nagad is enabled.
+
+const API_HEADERS = {
+  "X-KM-Api-Version": "v-0.2.0",
+  "X-KM-Client-Type": "PC_WEB",
+  "X-KM-IP-V4": "127.0.0.1"
+};
+
+const config = () => ({
+  baseUrl: process.env.NAGAD_BASE_URL || "http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0",
+  merchantId: process.env.NAGAD_MERCHANT_ID,
+  pgPublicKey: process.env.NAGAD_PG_PUBLIC_KEY,
+  merchantPrivateKey: process.env.NAGAD_MERCHANT_PRIVATE_KEY
+});
+
+// Nagad limits order IDs to 20 characters
+function orderIdFor(payment) {
+  return payment._id.toString().slice(-20);
+}
+
+// yyyyMMddHHmmss in Bangladesh time
+function nagadDateTime(date = new Date()) {
+  const local = new Date(date.getTime() + 6 * 60 * 60 * 1000);
+  return local.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+function encrypt(data) {
+  const { pgPublicKey } = config();
+  return crypto.publicEncrypt(
+    { key: pgPublicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(JSON.stringify(data))
+  ).toString("base64");
+}
+
+function decrypt(data) {
+  const { merchantPrivateKey } = config();
+  const decrypted = crypto.privateDecrypt(
+    { key: merchantPrivateKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+    Buffer.from(data, "base64")
+  );
+  return JSON.parse(decrypted.toString("utf8"));
+}
+
+function sign(data) {
+  const { merchantPrivateKey } = config();
+  return crypto.sign("sha256", Buffer.from(JSON.stringify(data)), merchantPrivateKey).toString("base64");
+}
+
+const nagadGateway = {
+  name: "nagad",
+  label: "Nagad",
+  surchargePercent: Number(process.env.NAGAD_SURCHARGE_PERCENT ?? 1.5),
+
+  isEnabled() {
+    const { merchantId, pgPublicKey, merchantPrivateKey } = config();
+    return Boolean(merchantId && pgPublicKey && merchantPrivateKey);
+  },
+
+  async createCheckout({ payment, callbackUrl }) {
+    const { baseUrl, merchantId } = config();
+    const orderId = orderIdFor(payment);
+    const dateTime = nagadDateTime();
+
+    const initData = {
+      merchantId,
+      datetime: dateTime,
+      orderId,
+      challenge: crypto.randomBytes(20).toString("hex")
+    };
+
+    const initResult = await postJson(
+      `${baseUrl}/api/dfs/check-out/initialize/${merchantId}/${orderId}?locale=EN`,
+      { dateTime, sensitiveData: encrypt(initData), signature: sign(initData) },
+      API_HEADERS
+    );
+
+    if (!initResult.sensitiveData) {
+      throw new Error(`Nagad initialize failed: ${initResult.message || "unknown error"}`);
+    }
+
+    const { paymentReferenceId, challenge } = decrypt(initResult.sensitiveData);
+
+    const orderData = {
+      merchantId,
+      orderId,
+      currencyCode: "050",
+      amount: payment.amount.toFixed(2),
+      challenge
+    };
+
+    const completeResult = await postJson(
+      `${baseUrl}/api/dfs/check-out/complete/${paymentReferenceId}`,
+      {
+        sensitiveData: encrypt(orderData),
+        signature: sign(orderData),
+        merchantCallbackURL: callbackUrl
+      },
+      API_HEADERS
+    );
+
+    if (completeResult.status !== "Success" || !completeResult.callBackUrl) {
+      throw new Error(`Nagad checkout failed: ${completeResult.message || "unknown error"}`);
+    }
+
+    return {
+      gatewayPaymentId: paymentReferenceId,
+      checkoutUrl: completeResult.callBackUrl
+    };
+  },
+
+  async verifyCallback({ query }, payment) {
+    if (query.order_id && query.order_id !== orderIdFor(payment)) {
+      throw new Error("Nagad callback does not match this payment");
+    }
+
+    if (query.status !== "Success" || !query.payment_ref_id) {
+      return { status: "failed", transactionId: null, amount: 0, raw: query };
+    }
+
+    const { baseUrl } = config();
+    const result = await getJson(
+      `${baseUrl}/api/dfs/verify/payment/${encodeURIComponent(query.payment_ref_id)}`,
+      API_HEADERS
+    );
+
+    const succeeded = result.status === "Success" && result.orderId === orderIdFor(payment);
+
+    return {
+      status: succeeded ? "succeeded" : "failed",
+      transactionId: result.issuerPaymentRefNo || query.payment_ref_id,
+      amount: Number(result.amount) || 0,
+      raw: result
+    };
+  }
+};
+
+export default nagadGateway;
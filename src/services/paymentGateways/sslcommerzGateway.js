@@ -0,0 +1,91 @@
+import { postForm, getJson } from "./http.js";
+
+// SSLCommerz hosted checkout. The IPN / redirect only carries a val_id; the
+// validation API is asked whether that val_id really paid for our tran_id.
+
+const config = () => {
+  const sandbox = process.env.SSLCOMMERZ_SANDBOX !== "false";
+  return {
+    baseUrl: sandbox ? "https://sandbox.sslcommerz.com" : "https://securepay.sslcommerz.com",
+    storeId: process.env.SSLCOMMERZ_STORE_ID,
+    storePassword: process.env.SSLCOMMERZ_STORE_PASSWORD
+  };
+};
+
+const sslcommerzGateway = {
+  name: "sslcommerz",
+  label: "SSLCommerz (cards, mobile banking, net banking)",
+  surchargePercent: Number(process.env.SSLCOMMERZ_SURCHARGE_PERCENT ?? 2.5),
+
+  isEnabled() {
+    const { storeId, storePassword } = config();
+    return Boolean(storeId && storePassword);
+  },
+
+  async createCheckout({ payment, booking, callbackUrl }) {
+    const { baseUrl, storeId, storePassword } = config();
+
+    const result = await postForm(`${baseUrl}/gwprocess/v4/api.php`, {
+      store_id: storeId,
+      store_passwd: storePassword,
+      total_amount: payment.amount.toFixed(2),
+      currency: payment.currency,
+      tran_id: payment._id.toString(),
+      success_url: `${callbackUrl}&mode=return`,
+      fail_url: `${callbackUrl}&mode=return`,
+      cancel_url: `${callbackUrl}&mode=return`,
+      ipn_url: callbackUrl,
+      cus_name: booking.passengers?.[0]?.name || "Passenger",
+      cus_email: booking.contactInfo?.email || "",
+      cus_phone: booking.contactInfo?.phone || "",
+      cus_add1: "Bangladesh",
+      cus_city: booking.busDetails?.route?.from?.city || "Dhaka",
+      cus_country: "Bangladesh",
+      shipping_method: "NO",
+      product_name: `Bus ticket ${booking.pnr}`,
+      product_category: "Travel",
+      product_profile: "airline-tickets"
+    });
+
+    if (result.status !== "SUCCESS" || !result.GatewayPageURL) {
+      throw new Error(`SSLCommerz session failed: ${result.failedreason || "unknown error"}`);
+    }
+
+    return {
+      gatewayPaymentId: result.sessionkey,
+      checkoutUrl: result.GatewayPageURL
+    };
+  },
+
+  async verifyCallback({ body }, payment) {
+    if (body.tran_id !== payment._id.toString()) {
+      throw new Error("SSLCommerz callback does not match this payment");
+    }
+
+    // Failed / cancelled returns carry no val_id
+    if (!body.val_id) {
+      return { status: "failed", transactionId: null, amount: 0, raw: body };
+    }
+
+    const { baseUrl, storeId, storePassword } = config();
+    const params = new URLSearchParams({
+      val_id: body.val_id,
+      store_id: storeId,
+      store_passwd: storePassword,
+      format: "json"
+    });
+    const result = await getJson(`${baseUrl}/validator/api/validationserverAPI.php?${params}`);
+
+    const succeeded = ["VALID", "VALIDATED"].includes(result.status) &&
+      result.tran_id === payment._id.toString();
+
+    return {
+      status: succeeded ? "succeeded" : "failed",
+      transactionId: result.bank_tran_id || body.val_id,
+      amount: Number(result.amount) || 0,
+      raw: result
+    };
+  }
+};
+
+export default sslcommerzGateway;
@@ -0,0 +1,371 @@
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import { getPaymentsCollection, getBookingsCollection } from "../config/database.js";
+import { getGateway, listGateways } from "./paymentGateways/index.js";
+import { confirmBookingPayment, settleBookingBalance } from "./bookingLifecycleService.js";
+import { repriceFareBreakdown } from "./fareService.js";
+
+export const PAYMENT_CURRENCY = "BDT";
+
+const DEV_CALLBACK_SECRET = "dev-payment-callback-secret";
+
+export class PaymentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PaymentError";
+    this.status = status;
+  }
+}
+
+// The built-in callback secret is public, so anyone could sign callbacks
+// with it. It only does for the mock gateway: once a real gateway is
+// configured the server won't start, or sign anything, without its own.
+export function assertPaymentConfig() {
+  if (process.env.PAYMENT_CALLBACK_SECRET) {
+    return;
+  }
+
+  const realGateways = listGateways()
+    .filter(gateway => gateway.enabled && gateway.name !== "mock")
+    .map(gateway => gateway.name);
+
+  if (realGateways.length > 0) {
+    throw new Error(`PAYMENT_CALLBACK_SECRET must be set to take payments through ${realGateways.join(", ")}`);
+  }
+}
+
+function getCallbackSecret() {
+  assertPaymentConfig();
+  return process.env.PAYMENT_CALLBACK_SECRET || DEV_CALLBACK_SECRET;
+}
+
+// Callback URLs carry an HMAC of the payment ID so forged callbacks are
+// rejected before we ever ask the gateway about them
+function signPaymentReference(paymentId) {
+  return crypto.createHmac("sha256", getCallbackSecret()).update(paymentId.toString()).digest("hex");
+}
+
+function isValidReferenceSignature(paymentId, signature) {
+  if (!paymentId || !signature) return false;
+  const expected = signPaymentReference(paymentId);
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+export function buildCallbackQuery(paymentId) {
+  return {
+    ref: paymentId.toString(),
+    sig: signPaymentReference(paymentId)
+  };
+}
+
+function buildCallbackUrl(gatewayName, paymentId) {
+  const baseUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5001}`;
+  const query = new URLSearchParams(buildCallbackQuery(paymentId));
+  return `${baseUrl}/api/payments/callback/${gatewayName}?${query}`;
+}
+
+// What a booking still owes: the full fare while pending, or the fare
+// difference left by a modification once confirmed
+export function getAmountDue(booking) {
+  if (booking.status === "pending") {
+    return { purpose: "booking", amount: booking.totalPrice };
+  }
+
+  if (booking.status === "confirmed" && booking.balanceDue > 0) {
+    return { purpose: "balance", amount: booking.balanceDue };
+  }
+
+  return null;
+}
+
+// A pending booking pays the surcharge of the method it is actually paid
+// with, whichever was picked when booking. Reprices the stored fare when the
+// method differs and returns the booking as it now stands.
+export async function priceBookingForPaymentMethod(booking, method) {
+  const breakdown = booking.fareBreakdown;
+
+  if (booking.status !== "pending" || !breakdown || breakdown.gatewaySurcharge.paymentMethod === method) {
+    return booking;
+  }
+
+  const activeLegs = booking.legs?.filter(leg => leg.status !== "cancelled");
+  const { breakdown: fareBreakdown, legTotals } = repriceFareBreakdown(
+    breakdown,
+    method,
+    activeLegs ? activeLegs.map(leg => leg.fare) : [booking.totalPrice]
+  );
+
+  const update = {
+    totalPrice: fareBreakdown.total,
+    fareBreakdown,
+    paymentMethod: method,
+    updatedAt: new Date()
+  };
+  activeLegs?.forEach((leg, index) => {
+    update[`legs.${leg.legIndex}.fare`] = legTotals[index];
+  });
+
+  const repriced = await getBookingsCollection().findOneAndUpdate(
+    {
+      _id: booking._id,
+      status: "pending",
+      totalPrice: booking.totalPrice,
+      "fareBreakdown.gatewaySurcharge.paymentMethod": breakdown.gatewaySurcharge.paymentMethod
+    },
+    { $set: update },
+    { returnDocument: "after" }
+  );
+
+  if (!repriced) {
+    throw new PaymentError("The booking changed while it was being priced for this payment method. Please retry.", 409);
+  }
+
+  return repriced;
+}
+
+// Apply a settled payment to its booking. Returns null when the booking
+// could no longer take it.
+function applyPaymentToBooking(payment, details) {
+  return payment.purpose === "balance"
+    ? settleBookingBalance(payment.bookingId, details)
+    : confirmBookingPayment(payment.bookingId, details);
+}
+
+// Start a gateway checkout for a pending booking or an outstanding balance
+export async function initiatePayment(booking, gatewayName) {
+  const gateway = getGateway(gatewayName);
+
+  if (!gateway || !gateway.isEnabled()) {
+    throw new PaymentError(`Payment gateway "${gatewayName}" is not available`);
+  }
+
+  booking = await priceBookingForPaymentMethod(booking, gateway.name);
+  const due = getAmountDue(booking);
+
+  if (!due) {
+    throw new PaymentError(`Booking is ${booking.status} and cannot be paid for`, 409);
+  }
+
+  if (due.purpose === "booking" && new Date(booking.paymentDeadline) <= new Date()) {
+    throw new PaymentError("The payment window for this booking has expired", 409);
+  }
+
+  // A balance was priced with the surcharge of the method the booking was paid with
+  const pricedSurcharge = booking.fareBreakdown?.gatewaySurcharge;
+  if (due.purpose === "balance" && pricedSurcharge && pricedSurcharge.percent !== gateway.surchargePercent) {
+    throw new PaymentError(`This balance was priced for ${pricedSurcharge.paymentMethod}. Pay it with a method that has the same ${pricedSurcharge.percent}% surcharge.`, 409);
+  }
+
+  const paymentsCollection = getPaymentsCollection();
+  const now = new Date();
+
+  const payment = {
+    bookingId: booking._id.toString(),
+    pnr: booking.pnr,
+    gateway: gateway.name,
+    purpose: due.purpose,
+    amount: due.amount,
+    currency: PAYMENT_CURRENCY,
+    status: "initiated",
+    gatewayPaymentId: null,
+    gatewayTransactionId: null,
+    events: [{ type: "initiated", at: now }],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const result = await paymentsCollection.insertOne(payment);
+  payment._id = result.insertedId;
+
+  let checkout;
+  try {
+    checkout = await gateway.createCheckout({
+      payment,
+      booking,
+      callbackUrl: buildCallbackUrl(gateway.name, payment._id)
+    });
+  } catch (error) {
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: { status: "failed", failureReason: error.message, updatedAt: new Date() },
+        $push: { events: { type: "checkout-failed", at: new Date(), message: error.message } }
+      }
+    );
+    throw new PaymentError(`Could not start ${gateway.label} checkout: ${error.message}`, 502);
+  }
+
+  await paymentsCollection.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        gatewayPaymentId: checkout.gatewayPaymentId,
+        checkoutUrl: checkout.checkoutUrl,
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  return {
+    ...payment,
+    gatewayPaymentId: checkout.gatewayPaymentId,
+    checkoutUrl: checkout.checkoutUrl
+  };
+}
+
+// Record money taken outside a gateway (e.g. cash at the counter)
+export async function recordManualPayment(booking, { method, amount, reference, recordedBy, purpose = "booking" }) {
+  const paymentsCollection = getPaymentsCollection();
+  const now = new Date();
+
+  const payment = {
+    bookingId: booking._id.toString(),
+    pnr: booking.pnr,
+    gateway: method,
+    purpose,
+    amount,
+    currency: PAYMENT_CURRENCY,
+    status: "succeeded",
+    gatewayPaymentId: null,
+    gatewayTransactionId: reference || null,
+    events: [{ type: "recorded", at: now, by: recordedBy }],
+    settledAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const result = await paymentsCollection.insertOne(payment);
+  payment._id = result.insertedId;
+
+  const updatedBooking = await applyPaymentToBooking(payment, {
+    method,
+    amount,
+    reference: reference || null,
+    paymentId: payment._id.toString(),
+    recordedBy
+  });
+
+  if (!updatedBooking) {
+    await flagForRefund(payment._id, "Booking no longer owed this payment when it was recorded");
+  }
+
+  return { payment, booking: updatedBooking };
+}
+
+async function flagForRefund(paymentId, reason) {
+  await getPaymentsCollection().updateOne(
+    { _id: paymentId },
+    {
+      $set: { requiresRefund: true, refundReason: reason, updatedAt: new Date() },
+      $push: { events: { type: "refund-required", at: new Date(), message: reason } }
+    }
+  );
+}
+
+// Verify and apply a gateway callback / webhook. Safe to call repeatedly.
+export async function handleGatewayCallback(gatewayName, callback) {
+  const gateway = getGateway(gatewayName);
+  if (!gateway) {
+    throw new PaymentError("Unknown payment gateway", 404);
+  }
+
+  const { ref, sig } = callback.query;
+  if (!ObjectId.isValid(ref) || !isValidReferenceSignature(ref, sig)) {
+    throw new PaymentError("Invalid callback signature", 401);
+  }
+
+  const paymentsCollection = getPaymentsCollection();
+  const bookingsCollection = getBookingsCollection();
+
+  const payment = await paymentsCollection.findOne({
+    _id: new ObjectId(ref),
+    gateway: gateway.name
+  });
+
+  if (!payment) {
+    throw new PaymentError("Payment not found", 404);
+  }
+
+  // Gateways retry webhooks; a settled payment is simply reported back
+  if (payment.status !== "initiated") {
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(payment.bookingId) });
+    return { payment, booking, replayed: true };
+  }
+
+  let result;
+  try {
+    result = await gateway.verifyCallback(callback, payment);
+  } catch (error) {
+    throw new PaymentError(`Callback verification failed: ${error.message}`, 400);
+  }
+
+  let status = result.status;
+  let failureReason = status === "failed" ? "Payment was not completed" : null;
+
+  if (status === "succeeded" && result.amount < payment.amount) {
+    status = "failed";
+    failureReason = `Amount mismatch: expected ৳${payment.amount}, received ৳${result.amount}`;
+  }
+
+  const settledPayment = await paymentsCollection.findOneAndUpdate(
+    { _id: payment._id, status: "initiated" },
+    {
+      $set: {
+        status,
+        gatewayTransactionId: result.transactionId || null,
+        failureReason,
+        settledAt: new Date(),
+        updatedAt: new Date()
+      },
+      $push: { events: { type: "callback", status, at: new Date(), raw: result.raw } }
+    },
+    { returnDocument: "after" }
+  );
+
+  // Another delivery of the same callback got there first
+  if (!settledPayment) {
+    const current = await paymentsCollection.findOne({ _id: payment._id });
+    const booking = await bookingsCollection.findOne({ _id: new ObjectId(payment.bookingId) });
+    return { payment: current, booking, replayed: true };
+  }
+
+  if (status === "succeeded") {
+    const booking = await applyPaymentToBooking(payment, {
+      method: gateway.name,
+      amount: result.amount,
+      transactionId: result.transactionId,
+      paymentId: payment._id.toString(),
+      recordedBy: gateway.name
+    });
+
+    // Paid after the booking expired, was cancelled or changed - money must go back
+    if (!booking) {
+      await flagForRefund(payment._id, "Booking no longer owed this payment when it settled");
+      const current = await bookingsCollection.findOne({ _id: new ObjectId(payment.bookingId) });
+      return { payment: { ...settledPayment, requiresRefund: true }, booking: current };
+    }
+
+    return { payment: settledPayment, booking };
+  }
+
+  // Failed attempt: booking stays pending so the customer can retry before the deadline
+  const booking = await bookingsCollection.findOneAndUpdate(
+    { _id: new ObjectId(payment.bookingId) },
+    {
+      $push: {
+        history: {
+          type: "payment",
+          status: "failed",
+          gateway: gateway.name,
+          paymentId: payment._id.toString(),
+          reason: failureReason,
+          at: new Date()
+        }
+      }
+    },
+    { returnDocument: "after" }
+  );
+
+  return { payment: settledPayment, booking };
+}
@@ -1,8 +1,88 @@
+import crypto from "crypto";
+
+// No 0/O or 1/I, so a PNR read out at the counter can't be misheard
+export const PNR_ALPHABET = "23456789ABCDEFGHJKLMNPQRSTUVWXYZ";
+export const PNR_LENGTH = 8; // 7 random characters + 1 check character
+export const PNR_MAX_ATTEMPTS = 5;
+
+// Luhn mod N over PNR_ALPHABET: catches every single-character typo and
+// most swapped neighbours
+function checkCharacter(body) {
+  const n = PNR_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * PNR_ALPHABET.indexOf(body[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return PNR_ALPHABET[(n - (sum % n)) % n];
+}
+
 export function generatePNR() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let pnr = '';
-  for (let i = 0; i < 8; i++) {
-    pnr += chars.charAt(Math.floor(Math.random() * chars.length));
+  let body = '';
+  for (let i = 0; i < PNR_LENGTH - 1; i++) {
+    body += PNR_ALPHABET[crypto.randomInt(PNR_ALPHABET.length)];
+  }
+  return body + checkCharacter(body);
+}
+
+export function normalizePNR(pnr) {
+  return String(pnr || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+export function isValidPNR(pnr) {
+  if (pnr.length !== PNR_LENGTH) return false;
+  if ([...pnr].some(char => !PNR_ALPHABET.includes(char))) return false;
+  return checkCharacter(pnr.slice(0, -1)) === pnr.slice(-1);
+}
+
+// PNRs one typo away (one wrong character or two swapped neighbours) that
+// pass the check character
+export function suggestPNRCorrections(pnr) {
+  if (pnr.length !== PNR_LENGTH) return [];
+
+  const candidates = new Set();
+
+  for (let i = 0; i < pnr.length; i++) {
+    for (const char of PNR_ALPHABET) {
+      if (char !== pnr[i]) {
+        candidates.add(pnr.slice(0, i) + char + pnr.slice(i + 1));
+      }
+    }
+  }
+
+  for (let i = 0; i < pnr.length - 1; i++) {
+    if (pnr[i] !== pnr[i + 1]) {
+      candidates.add(pnr.slice(0, i) + pnr[i + 1] + pnr[i] + pnr.slice(i + 2));
+    }
+  }
+
+  return [...candidates].filter(isValidPNR);
+}
+
+// 404 body for a PNR with no booking. A failed check character means it was
+// mistyped, so list the PNRs it could have been. These come from the check
+// character alone and say nothing about which bookings exist.
+export function pnrNotFoundBody(pnr) {
+  if (!isValidPNR(pnr)) {
+    return {
+      success: false,
+      error: "Booking not found. This PNR looks mistyped.",
+      didYouMean: suggestPNRCorrections(pnr)
+    };
   }
-  return pnr;
-}
\ No newline at end of file
+
+  return {
+    success: false,
+    error: "Booking not found"
+  };
+}
+
+// Unique index violation on bookings.pnr
+export function isDuplicatePNRError(error) {
+  return error?.code === 11000 && Boolean(error.keyPattern?.pnr || error.message?.includes("pnr"));
+}
@@ -0,0 +1,265 @@
+import { getPricingRulesCollection, getHolidaysCollection } from "../config/database.js";
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import { DAYS_OF_WEEK } from "./timetableService.js";
+import { getFullSegment, getSegmentAvailableSeats } from "./segmentService.js";
+
+// Used for trips no rule in the database matches. Bands are checked in
+// order and the first whose range (min inclusive, max exclusive) contains
+// the value applies: occupancy in percent sold, lead time in days before
+// departure.
+export const DEFAULT_PRICING_RULE = {
+  name: "Default",
+  occupancy: [
+    { min: 90, multiplier: 1.15 },
+    { min: 75, multiplier: 1.08 },
+    { max: 20, multiplier: 0.95 }
+  ],
+  leadTime: [
+    { max: 1, multiplier: 1.05 },
+    { min: 14, multiplier: 0.95 }
+  ],
+  daysOfWeek: { thursday: 1.05, friday: 1.08 },
+  holidayMultiplier: 1.2,
+  floor: null,
+  ceiling: null
+};
+
+// Without a floor or ceiling on the rule, fares stay within these
+// multiples of the timetable price
+export const MIN_PRICE_MULTIPLIER = 0.7;
+export const MAX_PRICE_MULTIPLIER = 1.6;
+
+function bandMultiplier(bands = [], value) {
+  const band = bands.find(band =>
+    (band.min === undefined || value >= band.min) &&
+    (band.max === undefined || value < band.max)
+  );
+  return band ? band.multiplier : 1;
+}
+
+// Most specific active rule for the trip: route counts more than operator,
+// operator more than bus type. Ties go to the most recently updated rule.
+export function selectPricingRule(rules, bus) {
+  const matches = rules.filter(rule =>
+    (!rule.operator || rule.operator === bus.operator) &&
+    (!rule.busType || rule.busType === bus.type) &&
+    (!rule.route || (
+      rule.route.from === bus.route?.from?.city &&
+      rule.route.to === bus.route?.to?.city
+    ))
+  );
+
+  const specificity = rule => (rule.route ? 4 : 0) + (rule.operator ? 2 : 0) + (rule.busType ? 1 : 0);
+
+  return matches.sort((a, b) =>
+    specificity(b) - specificity(a) || new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)
+  )[0] || null;
+}
+
+function findHoliday(holidays, date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  return holidays.find(holiday =>
+    day >= new Date(holiday.startDate) && day <= new Date(holiday.endDate)
+  ) || null;
+}
+
+// Rules and upcoming holidays, loaded once and used for many quotes
+export async function loadPricingContext() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const [rules, holidays] = await Promise.all([
+    getPricingRulesCollection().find({ active: { $ne: false } }).toArray(),
+    getHolidaysCollection().find({ endDate: { $gte: today } }).toArray()
+  ]);
+
+  return { rules, holidays };
+}
+
+// Fare for a trip right now. Occupancy is measured on the segment being
+// sold; prices are for the whole route (segmentView scales them down).
+export function quoteFare(bus, segment, context, now = new Date()) {
+  const rule = selectPricingRule(context.rules, bus) || DEFAULT_PRICING_RULE;
+  const totalSeats = bus.totalSeats || 40;
+  const availableSeats = getSegmentAvailableSeats(bus, segment || getFullSegment(bus));
+
+  const occupancyPercent = Math.round((1 - availableSeats / totalSeats) * 100);
+  const daysBeforeDeparture = Math.max(0, (new Date(bus.departureTime) - now) / (24 * 60 * 60 * 1000));
+  const dayOfWeek = DAYS_OF_WEEK[new Date(bus.departureTime).getDay()];
+  const holiday = findHoliday(context.holidays, bus.departureTime);
+
+  const factors = {
+    occupancy: bandMultiplier(rule.occupancy, occupancyPercent),
+    leadTime: bandMultiplier(rule.leadTime, daysBeforeDeparture),
+    dayOfWeek: rule.daysOfWeek?.[dayOfWeek] ?? 1,
+    holiday: holiday ? holiday.multiplier ?? rule.holidayMultiplier ?? 1 : 1
+  };
+  const multiplier = Object.values(factors).reduce((product, factor) => product * factor, 1);
+
+  const floor = rule.floor ?? Math.round(bus.price * MIN_PRICE_MULTIPLIER);
+  const ceiling = rule.ceiling ?? Math.round(bus.price * MAX_PRICE_MULTIPLIER);
+  const clamp = fare => Math.min(ceiling, Math.max(floor, Math.round(fare * multiplier)));
+
+  const price = clamp(bus.price);
+  const hasDiscount = bus.discountPrice && bus.discountPrice < bus.price;
+
+  return {
+    price,
+    discountPrice: hasDiscount ? Math.min(price, clamp(bus.discountPrice)) : null,
+    basePrice: bus.price,
+    multiplier: Number(multiplier.toFixed(3)),
+    factors,
+    occupancyPercent,
+    daysBeforeDeparture: Number(daysBeforeDeparture.toFixed(1)),
+    holiday: holiday?.name || null,
+    ruleId: rule._id ? rule._id.toString() : null,
+    ruleName: rule.name,
+    quotedAt: now
+  };
+}
+
+// The bus with its prices replaced by a quote (from quoteFare or a hold)
+export function applyQuote(bus, quote) {
+  const discountPrice = quote.discountPrice && quote.discountPrice < quote.price ? quote.discountPrice : null;
+
+  return {
+    ...bus,
+    price: quote.price,
+    discountPrice,
+    discountText: discountPrice ? `Save ${quote.price - discountPrice} TK` : "",
+    pricing: {
+      basePrice: quote.basePrice,
+      multiplier: quote.multiplier,
+      factors: quote.factors,
+      holiday: quote.holiday,
+      rule: quote.ruleName,
+      quotedAt: quote.quotedAt
+    }
+  };
+}
+
+export function priceBus(bus, segment, context, now = new Date()) {
+  return applyQuote(bus, quoteFare(bus, segment, context, now));
+}
+
+// Check a rule from the admin API and bring it into stored form.
+// With partial, only the fields present are checked (for updates).
+export function validatePricingRule(input, { partial = false } = {}) {
+  const errors = [];
+  const rule = {};
+  const has = field => input[field] !== undefined;
+  const isMultiplier = value => typeof value === "number" && value > 0;
+  const validBands = bands => Array.isArray(bands) && bands.every(band =>
+    isMultiplier(band.multiplier) &&
+    (band.min === undefined || typeof band.min === "number") &&
+    (band.max === undefined || typeof band.max === "number")
+  );
+
+  if (has("name") || !partial) {
+    if (!input.name) {
+      errors.push("name is required");
+    } else {
+      rule.name = input.name;
+    }
+  }
+
+  // Scope: null (or left out) applies to every operator / route / bus type
+  if (has("operator")) {
+    if (input.operator !== null && !BUS_OPERATORS.some(op => op.name === input.operator)) {
+      errors.push("operator must be one of the known bus operators");
+    } else {
+      rule.operator = input.operator;
+    }
+  }
+
+  if (has("route")) {
+    if (input.route !== null && (!input.route?.from || !input.route?.to)) {
+      errors.push("route needs from and to");
+    } else {
+      rule.route = input.route && { from: input.route.from, to: input.route.to };
+    }
+  }
+
+  if (has("busType")) {
+    rule.busType = input.busType || null;
+  }
+
+  for (const field of ["occupancy", "leadTime"]) {
+    if (has(field)) {
+      if (!validBands(input[field])) {
+        errors.push(`${field} must be a list of { min?, max?, multiplier } bands`);
+      } else {
+        rule[field] = input[field].map(({ min, max, multiplier }) => ({ min, max, multiplier }));
+      }
+    }
+  }
+
+  if (has("daysOfWeek")) {
+    const days = input.daysOfWeek || {};
+    if (Object.keys(days).some(day => !DAYS_OF_WEEK.includes(day)) || !Object.values(days).every(isMultiplier)) {
+      errors.push(`daysOfWeek must map day names (${DAYS_OF_WEEK.join(", ")}) to multipliers`);
+    } else {
+      rule.daysOfWeek = days;
+    }
+  }
+
+  if (has("holidayMultiplier")) {
+    if (!isMultiplier(input.holidayMultiplier)) {
+      errors.push("holidayMultiplier must be a positive number");
+    } else {
+      rule.holidayMultiplier = input.holidayMultiplier;
+    }
+  }
+
+  for (const field of ["floor", "ceiling"]) {
+    if (has(field)) {
+      if (input[field] !== null && !(input[field] > 0)) {
+        errors.push(`${field} must be a positive price`);
+      } else {
+        rule[field] = input[field];
+      }
+    }
+  }
+
+  if (rule.floor && rule.ceiling && rule.floor > rule.ceiling) {
+    errors.push("floor can't be above ceiling");
+  }
+
+  if (has("active")) {
+    rule.active = Boolean(input.active);
+  }
+
+  return { errors, rule };
+}
+
+// Check a holiday period from the admin API
+export function validateHoliday(input) {
+  const errors = [];
+  const startDate = new Date(input.startDate || input.date);
+  const endDate = new Date(input.endDate || input.startDate || input.date);
+
+  if (!input.name) {
+    errors.push("name is required");
+  }
+  if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+    errors.push("startDate and endDate must be dates, endDate not before startDate");
+  }
+  if (input.multiplier !== undefined && !(input.multiplier > 0)) {
+    errors.push("multiplier must be a positive number");
+  }
+
+  startDate.setHours(0, 0, 0, 0);
+  endDate.setHours(0, 0, 0, 0);
+
+  return {
+    errors,
+    holiday: {
+      name: input.name,
+      startDate,
+      endDate,
+      multiplier: input.multiplier ?? null
+    }
+  };
+}
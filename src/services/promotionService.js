@@ -0,0 +1,300 @@
+import { getPromotionsCollection, getPromoRedemptionsCollection } from "../config/database.js";
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+
+export const DISCOUNT_TYPES = ["percentage", "flat"];
+
+export class PromotionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "PromotionError";
+    this.status = status;
+  }
+}
+
+export function normalizePromoCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+// Who a per-customer limit counts against: the account for signed-in
+// callers. Guests can only be told apart by the contact email (phone without
+// one) they type in, so a guest using new contact details gets a fresh limit.
+export function getPromotionCustomer(contactInfo, user) {
+  if (user?.uid) {
+    return `uid:${user.uid}`;
+  }
+
+  const email = contactInfo?.email?.trim().toLowerCase();
+  return email || contactInfo?.phone?.replace(/\s+/g, "") || null;
+}
+
+function legInScope(promotion, bus) {
+  return (!promotion.operator || promotion.operator === bus.operator) &&
+    (!promotion.busType || promotion.busType === bus.type) &&
+    (!promotion.route || (
+      promotion.route.from === bus.route?.from?.city &&
+      promotion.route.to === bus.route?.to?.city
+    ));
+}
+
+// Whether a code can be used for a new booking right now
+async function checkPromotionAvailable(promotion, customer, now) {
+  if (!promotion.active) {
+    throw new PromotionError("This promo code is no longer active");
+  }
+  if (promotion.validFrom && now < promotion.validFrom) {
+    throw new PromotionError(`This promo code is valid from ${promotion.validFrom.toISOString()}`);
+  }
+  if (promotion.validUntil && now > promotion.validUntil) {
+    throw new PromotionError("This promo code has expired");
+  }
+  if (promotion.usageLimit !== null && promotion.usedCount >= promotion.usageLimit) {
+    throw new PromotionError("This promo code has been fully redeemed", 409);
+  }
+
+  if (promotion.perUserLimit !== null) {
+    if (!customer) {
+      throw new PromotionError("An email or phone number is needed to use this promo code");
+    }
+
+    const redemption = await getPromoRedemptionsCollection().findOne({ promotionId: promotion._id, customer });
+    if ((redemption?.count || 0) >= promotion.perUserLimit) {
+      throw new PromotionError("You have already used this promo code", 409);
+    }
+  }
+}
+
+// Check a code against a booking and work out its discount. buses are the
+// leg views and legFares what each leg costs before the code. The discount
+// is spread over the legs in scope so a cancelled leg gives back only its
+// own share. redeemed re-checks a code a booking already holds: its use was
+// counted when it was booked, so only the trip and fare are checked again.
+export async function quotePromotion(code, { buses, legFares, customer, redeemed = false, now = new Date() }) {
+  const promotion = await getPromotionsCollection().findOne({ code: normalizePromoCode(code) });
+
+  if (!promotion) {
+    throw new PromotionError("Promo code not found", 404);
+  }
+  if (!redeemed) {
+    await checkPromotionAvailable(promotion, customer, now);
+  }
+
+  const inScope = buses.map(bus => legInScope(promotion, bus));
+  const eligibleFare = legFares.reduce((sum, fare, index) => sum + (inScope[index] ? fare : 0), 0);
+
+  if (!inScope.includes(true)) {
+    throw new PromotionError("This promo code doesn't apply to this trip");
+  }
+  if (eligibleFare < promotion.minFare) {
+    throw new PromotionError(`This promo code needs a fare of at least ৳${promotion.minFare}`);
+  }
+
+  let discount = promotion.discountType === "percentage"
+    ? Math.round(eligibleFare * (promotion.discountValue / 100))
+    : promotion.discountValue;
+  if (promotion.maxDiscount !== null) {
+    discount = Math.min(discount, promotion.maxDiscount);
+  }
+  discount = Math.min(discount, eligibleFare);
+
+  const lastInScope = inScope.lastIndexOf(true);
+  let remainingDiscount = discount;
+  const legDiscounts = legFares.map((fare, index) => {
+    if (!inScope[index]) {
+      return 0;
+    }
+    const share = index === lastInScope
+      ? remainingDiscount
+      : Math.round(discount * (fare / eligibleFare));
+    remainingDiscount -= share;
+    return share;
+  });
+
+  return {
+    promotionId: promotion._id,
+    code: promotion.code,
+    description: promotion.description,
+    customer,
+    eligibleFare,
+    discount,
+    legDiscounts
+  };
+}
+
+// Leg fares and total from priceLegs with a quoted code taken off
+export function applyPromotion(pricing, promo) {
+  return {
+    ...pricing,
+    legFares: pricing.legFares.map((fare, index) => fare - promo.legDiscounts[index]),
+    promoDiscount: promo.discount,
+    totalPrice: pricing.totalPrice - promo.discount
+  };
+}
+
+// Count a use of the code against its global and per-customer limits,
+// inside the booking transaction. Fails if either ran out since the quote.
+export async function redeemPromotion(promo, session) {
+  const now = new Date();
+
+  const promotion = await getPromotionsCollection().findOneAndUpdate(
+    {
+      _id: promo.promotionId,
+      active: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } }
+      ]
+    },
+    { $inc: { usedCount: 1 }, $set: { updatedAt: now } },
+    { session, returnDocument: "after" }
+  );
+
+  if (!promotion) {
+    throw new PromotionError("This promo code has just been fully redeemed", 409);
+  }
+
+  const filter = { promotionId: promo.promotionId, customer: promo.customer };
+  if (promotion.perUserLimit !== null) {
+    filter.count = { $lt: promotion.perUserLimit };
+  }
+
+  try {
+    await getPromoRedemptionsCollection().updateOne(
+      filter,
+      { $inc: { count: 1 }, $set: { code: promotion.code, lastRedeemedAt: now } },
+      { session, upsert: true }
+    );
+  } catch (error) {
+    // The counter exists but is at the limit, so the upsert hit the unique index
+    if (error.code === 11000) {
+      throw new PromotionError("You have already used this promo code", 409);
+    }
+    throw error;
+  }
+}
+
+// Give back the use of a code when its booking is cancelled or expires
+export async function releasePromotion(booking, session) {
+  if (!booking.promotion) {
+    return;
+  }
+
+  const { promotionId, customer } = booking.promotion;
+
+  await getPromotionsCollection().updateOne(
+    { _id: promotionId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 }, $set: { updatedAt: new Date() } },
+    { session }
+  );
+  await getPromoRedemptionsCollection().updateOne(
+    { promotionId, customer, count: { $gt: 0 } },
+    { $inc: { count: -1 } },
+    { session }
+  );
+}
+
+// Check a promotion from the admin API and bring it into stored form.
+// With partial, only the fields present are checked (for updates).
+export function validatePromotion(input, { partial = false } = {}) {
+  const errors = [];
+  const promotion = {};
+  const has = field => input[field] !== undefined;
+  const isLimit = value => value === null || (Number.isInteger(value) && value > 0);
+
+  if (has("code") || !partial) {
+    const code = normalizePromoCode(input.code);
+    if (!/^[A-Z0-9-]{3,20}$/.test(code)) {
+      errors.push("code must be 3-20 letters, digits or dashes");
+    } else {
+      promotion.code = code;
+    }
+  }
+
+  if (has("description")) {
+    promotion.description = String(input.description);
+  }
+
+  if (has("discountType") || !partial) {
+    if (!DISCOUNT_TYPES.includes(input.discountType)) {
+      errors.push(`discountType must be one of ${DISCOUNT_TYPES.join(", ")}`);
+    } else {
+      promotion.discountType = input.discountType;
+    }
+  }
+
+  if (has("discountValue") || !partial) {
+    const limit = (promotion.discountType || input.discountType) === "percentage" ? 100 : Infinity;
+    if (typeof input.discountValue !== "number" || input.discountValue <= 0 || input.discountValue > limit) {
+      errors.push("discountValue must be a positive amount (at most 100 for a percentage)");
+    } else {
+      promotion.discountValue = input.discountValue;
+    }
+  }
+
+  if (has("maxDiscount")) {
+    if (input.maxDiscount !== null && !(input.maxDiscount > 0)) {
+      errors.push("maxDiscount must be a positive amount");
+    } else {
+      promotion.maxDiscount = input.maxDiscount;
+    }
+  }
+
+  if (has("minFare")) {
+    if (typeof input.minFare !== "number" || input.minFare < 0) {
+      errors.push("minFare must be zero or more");
+    } else {
+      promotion.minFare = input.minFare;
+    }
+  }
+
+  for (const field of ["validFrom", "validUntil"]) {
+    if (has(field)) {
+      const date = input[field] === null ? null : new Date(input[field]);
+      if (date && isNaN(date)) {
+        errors.push(`${field} must be a date`);
+      } else {
+        promotion[field] = date;
+      }
+    }
+  }
+
+  if (promotion.validFrom && promotion.validUntil && promotion.validUntil < promotion.validFrom) {
+    errors.push("validUntil can't be before validFrom");
+  }
+
+  // Scope: null (or left out) applies to every operator / route / bus type
+  if (has("operator")) {
+    if (input.operator !== null && !BUS_OPERATORS.some(op => op.name === input.operator)) {
+      errors.push("operator must be one of the known bus operators");
+    } else {
+      promotion.operator = input.operator;
+    }
+  }
+
+  if (has("route")) {
+    if (input.route !== null && (!input.route?.from || !input.route?.to)) {
+      errors.push("route needs from and to");
+    } else {
+      promotion.route = input.route && { from: input.route.from, to: input.route.to };
+    }
+  }
+
+  if (has("busType")) {
+    promotion.busType = input.busType || null;
+  }
+
+  for (const field of ["usageLimit", "perUserLimit"]) {
+    if (has(field)) {
+      if (!isLimit(input[field])) {
+        errors.push(`${field} must be a positive whole number or null`);
+      } else {
+        promotion[field] = input[field];
+      }
+    }
+  }
+
+  if (has("active")) {
+    promotion.active = Boolean(input.active);
+  }
+
+  return { errors, promotion };
+}
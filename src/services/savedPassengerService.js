@@ -0,0 +1,155 @@
+import { ObjectId } from "mongodb";
+import { getSavedPassengersCollection } from "../config/database.js";
+import { DEFAULT_PASSENGER_FARES } from "./passengerTypeService.js";
+import { normalizePhone } from "./userService.js";
+
+export const MAX_SAVED_PASSENGERS = 20;
+export const GENDERS = ["male", "female", "other"];
+export const ID_DOCUMENT_TYPES = ["nid", "passport", "birth-certificate", "driving-licence"];
+
+// Fields copied onto a booking passenger when a saved passenger is used
+const PASSENGER_FIELDS = ["name", "age", "gender", "phone", "type", "studentId", "freedomFighterId", "idDocument"];
+
+export class SavedPassengerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "SavedPassengerError";
+    this.status = status;
+  }
+}
+
+// Check a saved passenger. With partial, only the fields sent are checked
+// and null clears an optional one.
+export function validateSavedPassenger(input = {}, { partial = false } = {}) {
+  const errors = [];
+  const passenger = {};
+  const has = field => input[field] !== undefined;
+  const clears = field => partial && input[field] === null;
+
+  if (has("name") || !partial) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name || name.length > 100) {
+      errors.push("name must be 1-100 characters");
+    } else {
+      passenger.name = name;
+    }
+  }
+
+  if (has("age")) {
+    if (clears("age")) {
+      passenger.age = null;
+    } else if (!Number.isInteger(input.age) || input.age < 0 || input.age > 120) {
+      errors.push("age must be a whole number from 0 to 120");
+    } else {
+      passenger.age = input.age;
+    }
+  }
+
+  if (has("gender")) {
+    if (clears("gender")) {
+      passenger.gender = null;
+    } else if (!GENDERS.includes(input.gender)) {
+      errors.push(`gender must be one of ${GENDERS.join(", ")}`);
+    } else {
+      passenger.gender = input.gender;
+    }
+  }
+
+  if (has("phone")) {
+    const phone = clears("phone") ? null : normalizePhone(input.phone);
+    if (!phone && !clears("phone")) {
+      errors.push("phone must be 10-15 digits, optionally starting with +");
+    } else {
+      passenger.phone = phone;
+    }
+  }
+
+  // The fare type used by default when booking them; lap infants ride on
+  // another passenger and can't be booked on their own
+  if (has("type")) {
+    if (clears("type")) {
+      passenger.type = null;
+    } else if (!DEFAULT_PASSENGER_FARES[input.type] || input.type === "lap-infant") {
+      errors.push("type must be a passenger type that takes a seat");
+    } else {
+      passenger.type = input.type;
+    }
+  }
+
+  for (const field of ["studentId", "freedomFighterId"]) {
+    if (has(field)) {
+      passenger[field] = clears(field) ? null : String(input[field]).trim() || null;
+    }
+  }
+
+  if (has("idDocument")) {
+    const { type, number } = input.idDocument || {};
+    if (clears("idDocument")) {
+      passenger.idDocument = null;
+    } else if (!ID_DOCUMENT_TYPES.includes(type) || !/^[A-Za-z0-9-]{4,30}$/.test(String(number || ""))) {
+      errors.push(`idDocument needs a type (${ID_DOCUMENT_TYPES.join(", ")}) and a 4-30 character number`);
+    } else {
+      passenger.idDocument = { type, number: String(number).toUpperCase() };
+    }
+  }
+
+  if (partial && errors.length === 0 && Object.keys(passenger).length === 0) {
+    errors.push("Nothing to update");
+  }
+
+  return { errors, passenger };
+}
+
+// Booking passengers can be { savedPassengerId, ...overrides } instead of
+// full details. Swap each reference for the caller's saved passenger, with
+// anything sent alongside (e.g. a different type or a lapInfant) on top.
+export async function resolveSavedPassengers(passengers, uid) {
+  if (!Array.isArray(passengers)) {
+    return passengers;
+  }
+
+  const references = passengers.filter(passenger => passenger?.savedPassengerId);
+  if (references.length === 0) {
+    return passengers;
+  }
+
+  if (!uid) {
+    throw new SavedPassengerError("Sign in to book with saved passengers", 401);
+  }
+
+  const ids = references.map(passenger => String(passenger.savedPassengerId));
+  if (ids.some(id => !ObjectId.isValid(id))) {
+    throw new SavedPassengerError("Invalid saved passenger ID");
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new SavedPassengerError("A saved passenger can only be booked once per booking");
+  }
+
+  const saved = await getSavedPassengersCollection()
+    .find({ uid, _id: { $in: ids.map(id => new ObjectId(id)) } })
+    .toArray();
+  const savedById = new Map(saved.map(passenger => [passenger._id.toString(), passenger]));
+
+  const missing = ids.filter(id => !savedById.has(id));
+  if (missing.length > 0) {
+    throw new SavedPassengerError(`Saved passenger not found: ${missing.join(", ")}`, 404);
+  }
+
+  return passengers.map(passenger => {
+    if (!passenger?.savedPassengerId) {
+      return passenger;
+    }
+
+    const { savedPassengerId, ...overrides } = passenger;
+    const stored = savedById.get(String(savedPassengerId));
+    const details = {};
+
+    for (const field of PASSENGER_FIELDS) {
+      if (stored[field] !== undefined && stored[field] !== null) {
+        details[field] = stored[field];
+      }
+    }
+
+    return { ...details, ...overrides, savedPassengerId: stored._id.toString() };
+  });
+}
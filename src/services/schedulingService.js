@@ -2,12 +2,22 @@
 import { ObjectId } from "mongodb";
 import { 
   getBusesCollection, 
-  getSchedulesCollection 
+  getSchedulesCollection,
+  getClient
 } from "../config/database.js";
-import { BUS_OPERATORS } from "../constants/busOperators.js";
-import { POPULAR_ROUTES } from "../constants/popularRoutes.js";
-import { getTerminals } from "../constants/cities.js";
+import { getTimetablesForDate, buildTrip, seedDefaultTimetables } from "./timetableService.js";
+import {
+  assignAvailableVehicle,
+  vehicleTripFields,
+  pruneAssignments,
+  seedDefaultVehicles
+} from "./vehicleService.js";
+import { seedDefaultSeatLayouts } from "./seatLayoutService.js";
 
+// Turn the timetables running on a date into trips. Each timetable gets
+// at most one trip per day, so running this again only fills in trips
+// for timetables added since. A trip is only created together with a
+// free vehicle to run it.
 export async function generateDailySchedules(date) {
   try {
     const schedulesCollection = getSchedulesCollection();
@@ -16,130 +26,77 @@ export async function generateDailySchedules(date) {
     const scheduleDate = new Date(date);
     scheduleDate.setHours(0, 0, 0, 0);
     
-    // Check if schedules already exist for this date
-    const existingSchedules = await schedulesCollection.findOne({ 
-      date: scheduleDate 
-    });
+    const timetables = await getTimetablesForDate(scheduleDate);
     
-    if (existingSchedules) {
-      console.log(`✅ Schedules already exist for ${scheduleDate.toDateString()}`);
-      return existingSchedules.schedules.length;
+    if (timetables.length === 0) {
+      console.log(`ℹ️ No timetables run on ${scheduleDate.toDateString()}`);
+      return 0;
     }
     
-    const schedules = [];
+    // Existing trips (and the seats sold on them) are never touched
+    const existing = await busesCollection
+      .find({ scheduleDate, timetableId: { $exists: true } }, { projection: { timetableId: 1 } })
+      .toArray();
+    const existingIds = new Set(existing.map(bus => bus.timetableId));
     
-    for (const route of POPULAR_ROUTES) {
-      // Generate 3-6 buses per route
-      const busesPerRoute = Math.floor(Math.random() * 4) + 3;
-      
-      for (let i = 0; i < busesPerRoute; i++) {
-        const operator = BUS_OPERATORS[Math.floor(Math.random() * BUS_OPERATORS.length)];
-        const busType = operator.types[Math.floor(Math.random() * operator.types.length)];
-        
-        // Generate bus number
-        const randomNum = Math.floor(Math.random() * 9000) + 1000;
-        const busNumber = `${operator.busPrefix}-${randomNum}`;
-        
-        // Generate departure time (between 6 AM and 11 PM)
-        const departureHour = Math.floor(Math.random() * 18) + 6;
-        const departureMinute = Math.floor(Math.random() * 4) * 15;
-        const departureTime = new Date(scheduleDate);
-        departureTime.setHours(departureHour, departureMinute, 0, 0);
-        
-        // Calculate arrival time based on duration
-        const arrivalTime = new Date(departureTime);
-        const travelHours = route.duration + (Math.random() * 1 - 0.5);
-        arrivalTime.setHours(arrivalTime.getHours() + Math.floor(travelHours));
-        arrivalTime.setMinutes(arrivalTime.getMinutes() + Math.floor((travelHours % 1) * 60));
-        
-        // Calculate price
-        const basePrice = route.distance * 2.5;
-        const operatorMultiplier = operator.minPrice / 600;
-        const typeMultiplier = busType.includes("Business") || busType.includes("Executive") ? 1.5 : 
-                             busType.includes("Sleeper") ? 1.3 : 1.0;
-        
-        let price = Math.round(basePrice * operatorMultiplier * typeMultiplier);
-        price += Math.floor(Math.random() * 100) - 50;
-        price = Math.max(operator.minPrice, Math.min(operator.maxPrice, price));
-        
-        // Apply random discount (30% chance)
-        const hasDiscount = Math.random() < 0.3;
-        const discountPrice = hasDiscount ? Math.round(price * 0.85) : price;
-        const discountAmount = hasDiscount ? price - discountPrice : 0;
-        const discountText = hasDiscount ? `Save ${discountAmount} TK` : "";
-        
-        // Seat configuration
-        const totalSeats = busType.includes("Business") || busType.includes("Executive") ? 28 : 40;
-        const availableSeats = Math.floor(Math.random() * (totalSeats - 15)) + 10;
-        
-        // Amenities
-        let amenities = [...operator.amenities];
-        if (!busType.includes("AC")) {
-          amenities = amenities.filter(amenity => amenity !== "ac");
-        }
-        
-        const boardingPoints = getTerminals(route.from);
-        const droppingPoints = getTerminals(route.to);
-        
-        const busSchedule = {
-          operator: operator.name,
-          busNumber: busNumber,
-          type: busType,
-          route: {
-            from: {
-              city: route.from,
-              terminal: boardingPoints[0]
-            },
-            to: {
-              city: route.to,
-              terminal: droppingPoints[0]
-            },
-            distance: `${route.distance} km`,
-            duration: `${Math.floor(route.duration)}h ${Math.round((route.duration % 1) * 60)}m`
-          },
-          departureTime: departureTime,
-          arrivalTime: arrivalTime,
-          price: price,
-          discountPrice: discountPrice,
-          discountText: discountText,
-          availableSeats: availableSeats,
-          totalSeats: totalSeats,
-          amenities: amenities,
-          cancellationPolicy: "Cancellation available with 70% refund up to 24 hours before departure",
-          boardingPoints: boardingPoints,
-          droppingPoints: droppingPoints,
-          features: operator.features,
-          rating: parseFloat((operator.rating + (Math.random() * 0.4 - 0.2)).toFixed(1)),
-          scheduleDate: scheduleDate,
-          createdAt: new Date()
-        };
-        
-        schedules.push(busSchedule);
-      }
-    }
+    let generated = 0;
+    const unassigned = [];
     
-    if (schedules.length > 0) {
-      // Store in schedules collection
-      await schedulesCollection.insertOne({
-        date: scheduleDate,
-        schedules: schedules,
-        generatedAt: new Date(),
-        count: schedules.length
-      });
+    for (const timetable of timetables) {
+      if (existingIds.has(timetable._id.toString())) continue;
       
-      // Store individual buses in buses collection
-      const busesToInsert = schedules.map(schedule => ({
-        ...schedule,
-        _id: new ObjectId()
-      }));
+      const trip = { _id: new ObjectId(), ...buildTrip(timetable, scheduleDate) };
+      const session = getClient().startSession();
+      let created = false;
       
-      const result = await busesCollection.insertMany(busesToInsert);
-      console.log(`✅ Generated ${result.insertedCount} buses for ${scheduleDate.toDateString()}`);
+      try {
+        await session.withTransaction(async () => {
+          created = false;
+          const vehicle = await assignAvailableVehicle(trip, timetable.vehicleId, session);
+          
+          if (!vehicle) return;
+          
+          await busesCollection.insertOne({ ...trip, ...vehicleTripFields(vehicle) }, { session });
+          created = true;
+        });
+      } catch (error) {
+        // Another run created this trip first
+        if (error.code === 11000) continue;
+        throw error;
+      } finally {
+        await session.endSession();
+      }
       
-      return result.insertedCount;
+      if (created) {
+        generated++;
+      } else {
+        unassigned.push(`${timetable.operator} ${timetable.route.from} → ${timetable.route.to} ${timetable.departureTime}`);
+      }
+    }
+    
+    if (unassigned.length > 0) {
+      console.warn(`⚠️ No free vehicle for ${unassigned.length} trips on ${scheduleDate.toDateString()}: ${unassigned.join(", ")}`);
+    }
+    
+    const tripCount = await busesCollection.countDocuments({ scheduleDate });
+    
+    // Per-day summary of what was generated
+    await schedulesCollection.updateOne(
+      { date: scheduleDate },
+      {
+        $set: { count: tripCount, generatedAt: new Date() },
+        $addToSet: { timetableIds: { $each: timetables.map(timetable => timetable._id.toString()) } }
+      },
+      { upsert: true }
+    );
+    
+    if (generated > 0) {
+      console.log(`✅ Generated ${generated} buses for ${scheduleDate.toDateString()}`);
+    } else {
+      console.log(`✅ Schedules already exist for ${scheduleDate.toDateString()}`);
     }
     
-    return 0;
+    return generated;
     
   } catch (error) {
     console.error("Error generating schedules:", error);
@@ -173,6 +130,9 @@ export async function cleanupOldBuses() {
       scheduleDate: { $lt: today }
     });
     
+    // Vehicles are free again once their old trips are gone
+    await pruneAssignments({ departureTime: { $lt: today } });
+    
     // Also delete old schedules
     const scheduleResult = await schedulesCollection.deleteMany({
       date: { $lt: today }
@@ -221,7 +181,6 @@ export async function generateSchedulesForNextDays(days = 7) {
 
 export async function ensureNext7DaysSchedules() {
   try {
-    const busesCollection = getBusesCollection();
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
@@ -232,17 +191,8 @@ export async function ensureNext7DaysSchedules() {
       const checkDate = new Date(today);
       checkDate.setDate(today.getDate() + i);
       
-      const existingBuses = await busesCollection.countDocuments({
-        scheduleDate: checkDate
-      });
-      
-      if (existingBuses === 0) {
-        console.log(`📅 No buses found for ${checkDate.toDateString()}. Generating...`);
-        const generated = await generateDailySchedules(checkDate);
-        busesGenerated += generated;
-      } else {
-        console.log(`✅ ${existingBuses} buses already exist for ${checkDate.toDateString()}`);
-      }
+      // Safe to repeat: only trips missing for that day are created
+      busesGenerated += await generateDailySchedules(checkDate);
     }
     
     return busesGenerated;
@@ -295,22 +245,10 @@ export async function dailyMaintenance() {
       const checkDate = new Date(today);
       checkDate.setDate(today.getDate() + i);
       
-      // Check if we have buses for this date
-      const hasBuses = futureDates.some(date => 
-        date.toDateString() === checkDate.toDateString()
-      );
-      
-      if (!hasBuses) {
-        console.log(`   📅 Missing: ${checkDate.toDateString()}. Generating...`);
-        const generated = await generateDailySchedules(checkDate);
-        generatedBuses += generated;
-        console.log(`   ✅ Generated ${generated} buses`);
-      } else {
-        const dateBuses = await busesCollection.countDocuments({
-          scheduleDate: checkDate
-        });
-        console.log(`   ✅ ${dateBuses} buses already exist for ${checkDate.toDateString()}`);
-      }
+      // Also picks up timetables added since the day was first generated
+      const generated = await generateDailySchedules(checkDate);
+      generatedBuses += generated;
+      console.log(`   ✅ ${checkDate.toDateString()}: ${generated} new buses`);
     }
     
     // 5. Delete any buses BEYOND the 7-day window
@@ -322,6 +260,8 @@ export async function dailyMaintenance() {
       scheduleDate: { $gte: deleteAfterDate }
     });
     
+    await pruneAssignments({ departureTime: { $gte: deleteAfterDate } });
+    
     const beyondSchedules = await getSchedulesCollection().deleteMany({
       date: { $gte: deleteAfterDate }
     });
@@ -367,6 +307,23 @@ export async function initializeSchedules() {
     // Clean up old buses first
     await cleanupOldBuses();
     
+    // A fresh database gets the starter timetables to generate from
+    const seeded = await seedDefaultTimetables();
+    if (seeded > 0) {
+      console.log(`🗓️ Seeded ${seeded} default timetables`);
+    }
+    
+    // ...the standard seat layouts and a fleet to run them
+    const seededLayouts = await seedDefaultSeatLayouts();
+    if (seededLayouts > 0) {
+      console.log(`💺 Seeded ${seededLayouts} default seat layouts`);
+    }
+    
+    const seededVehicles = await seedDefaultVehicles();
+    if (seededVehicles > 0) {
+      console.log(`🚍 Seeded ${seededVehicles} default vehicles`);
+    }
+    
     // Check how many future buses we have
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -0,0 +1,77 @@
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import { pairPassengersWithSeats } from "./cancellationService.js";
+
+// Seat categories a layout can set aside, and which passengers may sit there
+export const SEAT_CATEGORIES = {
+  ladies: {
+    name: "Ladies only",
+    description: "Reserved for female passengers",
+    allows: passenger => ["female", "f"].includes(String(passenger?.gender || "").toLowerCase())
+  },
+  disabled: {
+    name: "Accessible seat",
+    description: "Reserved for passengers with disabilities",
+    allows: passenger => passenger?.disabled === true
+  },
+  staff: {
+    name: "Staff",
+    description: "Reserved for operator staff",
+    allows: () => false
+  }
+};
+
+// Hours before departure when unsold reserved seats open to everyone.
+// Operators can set their own per category (reservedSeatReleaseHours);
+// null there keeps the category reserved until departure.
+export const RESERVED_SEAT_RELEASE_HOURS = Number(process.env.RESERVED_SEAT_RELEASE_HOURS ?? 2);
+
+export function getReleaseHours(operatorName, category) {
+  const operator = BUS_OPERATORS.find(op => op.name === operatorName);
+  const hours = operator?.reservedSeatReleaseHours?.[category];
+
+  return hours === undefined ? RESERVED_SEAT_RELEASE_HOURS : hours;
+}
+
+// Whether anyone may book this category's seats on the trip, either
+// because the release time has passed or the operator released them early
+export function isCategoryReleased(bus, category, now = new Date()) {
+  if (bus.releasedSeatCategories?.includes(category)) {
+    return true;
+  }
+
+  const hours = getReleaseHours(bus.operator, category);
+  if (hours === null) {
+    return false;
+  }
+
+  return new Date(bus.departureTime) - now <= hours * 60 * 60 * 1000;
+}
+
+// The restriction on a seat right now, or null when anyone may book it
+export function getSeatRestriction(bus, seat, now = new Date()) {
+  const category = SEAT_CATEGORIES[seat?.category];
+
+  if (!category || isCategoryReleased(bus, seat.category, now)) {
+    return null;
+  }
+
+  return {
+    category: seat.category,
+    name: category.name,
+    description: category.description
+  };
+}
+
+// Seats booked for a passenger the seat's category doesn't allow. Seats
+// and passengers are paired the same way as everywhere else.
+export function findRestrictedSeats(bus, seats, passengers, now = new Date()) {
+  return pairPassengersWithSeats({ selectedSeats: seats, passengers })
+    .map(({ seat, passenger }) => ({ seat, passenger, restriction: getSeatRestriction(bus, seat, now) }))
+    .filter(({ passenger, restriction }) =>
+      restriction && !SEAT_CATEGORIES[restriction.category].allows(passenger))
+    .map(({ seat, restriction }) => ({
+      seatNumber: seat.seatNumber,
+      label: seat.label,
+      ...restriction
+    }));
+}
@@ -0,0 +1,172 @@
+import { getSeatHoldsCollection } from "../config/database.js";
+
+export const SEAT_HOLD_DURATION_MS = 2 * 60 * 1000; // 2 minutes
+
+export class SeatHoldError extends Error {
+  constructor(message, seats = []) {
+    super(message);
+    this.name = "SeatHoldError";
+    this.seats = seats;
+  }
+}
+
+// Place (or keep) a hold on a seat for the given holder. Holds cover the
+// seat on the whole route, whichever segment the holder is booking. The
+// fare quote given with a new hold is locked in until the hold ends.
+export async function holdSeat({ busId, seatNumber, holderId, userId, socketId, quote }) {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const now = new Date();
+  const seat = Number(seatNumber);
+
+  // Already holding it - keep the original expiry
+  const ownHold = await seatHoldsCollection.findOne({
+    busId: busId.toString(),
+    seatNumber: seat,
+    holderId,
+    expiresAt: { $gt: now }
+  });
+
+  if (ownHold) {
+    return { success: true, hold: ownHold, alreadyHeld: true };
+  }
+
+  try {
+    // Take over the seat if it is free or the previous hold has lapsed
+    // (the TTL monitor only runs once a minute, so lapsed holds can linger)
+    const hold = await seatHoldsCollection.findOneAndUpdate(
+      {
+        busId: busId.toString(),
+        seatNumber: seat,
+        $or: [{ holderId }, { expiresAt: { $lte: now } }]
+      },
+      {
+        $set: {
+          holderId,
+          userId: userId || null,
+          socketId: socketId || null,
+          selectedAt: now,
+          expiresAt: new Date(now.getTime() + SEAT_HOLD_DURATION_MS),
+          quote: quote || null
+        }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+
+    return { success: true, hold };
+  } catch (error) {
+    // Unique index on (busId, seatNumber) - someone else holds it
+    if (error.code === 11000) {
+      const existing = await seatHoldsCollection.findOne({
+        busId: busId.toString(),
+        seatNumber: seat
+      });
+      return { success: false, hold: existing };
+    }
+    throw error;
+  }
+}
+
+// Release a single seat held by the given holder
+export async function releaseSeat(busId, seatNumber, holderId) {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const result = await seatHoldsCollection.deleteOne({
+    busId: busId.toString(),
+    seatNumber: Number(seatNumber),
+    holderId
+  });
+  return result.deletedCount > 0;
+}
+
+// Release every hold placed through a socket connection
+export async function releaseHoldsBySocket(socketId) {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const holds = await seatHoldsCollection.find({ socketId }).toArray();
+
+  if (holds.length > 0) {
+    await seatHoldsCollection.deleteMany({
+      _id: { $in: holds.map(hold => hold._id) }
+    });
+  }
+
+  return holds;
+}
+
+// Get all live holds on a bus
+export async function getActiveHolds(busId) {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  return seatHoldsCollection.find({
+    busId: busId.toString(),
+    expiresAt: { $gt: new Date() }
+  }).toArray();
+}
+
+// Return the seats from the list that the holder does not currently hold
+export async function findUnheldSeats(busId, seatNumbers, holderId) {
+  if (!holderId) {
+    return seatNumbers;
+  }
+
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const holds = await seatHoldsCollection.find({
+    busId: busId.toString(),
+    seatNumber: { $in: seatNumbers.map(Number) },
+    holderId,
+    expiresAt: { $gt: new Date() }
+  }).toArray();
+
+  const heldSeats = holds.map(hold => hold.seatNumber);
+  return seatNumbers.filter(seat => !heldSeats.includes(Number(seat)));
+}
+
+// Fare quotes locked in by the holder's active holds, by seat number
+export async function getHeldQuotes(busId, seatNumbers, holderId) {
+  if (!holderId) {
+    return new Map();
+  }
+
+  const holds = await getSeatHoldsCollection().find({
+    busId: busId.toString(),
+    seatNumber: { $in: seatNumbers.map(Number) },
+    holderId,
+    expiresAt: { $gt: new Date() },
+    quote: { $ne: null }
+  }).toArray();
+
+  return new Map(holds.map(hold => [hold.seatNumber, hold.quote]));
+}
+
+// Turn the holder's holds into a booking (call inside the booking transaction)
+export async function consumeHolds(busId, seatNumbers, holderId, session) {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const result = await seatHoldsCollection.deleteMany(
+    {
+      busId: busId.toString(),
+      seatNumber: { $in: seatNumbers.map(Number) },
+      holderId,
+      expiresAt: { $gt: new Date() }
+    },
+    { session }
+  );
+
+  if (result.deletedCount !== seatNumbers.length) {
+    throw new SeatHoldError("Seat hold expired before the booking completed", seatNumbers);
+  }
+}
+
+// Remove lapsed holds and return them so clients can be notified
+export async function takeExpiredHolds() {
+  const seatHoldsCollection = getSeatHoldsCollection();
+  const now = new Date();
+  const expired = await seatHoldsCollection.find({
+    expiresAt: { $lte: now }
+  }).toArray();
+
+  if (expired.length > 0) {
+    await seatHoldsCollection.deleteMany({
+      _id: { $in: expired.map(hold => hold._id) },
+      expiresAt: { $lte: now }
+    });
+  }
+
+  return expired;
+}
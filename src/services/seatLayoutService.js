@@ -0,0 +1,327 @@
+import { getSeatLayoutsCollection } from "../config/database.js";
+import { SEAT_CATEGORIES, getSeatRestriction } from "./seatCategoryService.js";
+
+// Layout templates describe a coach's seat grid. Each deck has a number of
+// rows and a list of columns where null marks an aisle. Seats are labelled
+// by row letter and column number (A1, A2 ... B1) with an optional deck
+// prefix, and numbered 1..n in deck, row and column order. Blocked labels
+// are positions with no seat (door, washroom). Price modifiers apply by
+// seat position (window/aisle/middle), berth (lower/upper) or label; a
+// label modifier replaces the others for that seat. Categories set seats
+// aside (ladies only, accessible, staff) by label.
+export const DEFAULT_SEAT_LAYOUTS = [
+  {
+    key: "2+2-seater",
+    name: "2+2 seater",
+    busTypes: ["AC Seater", "Non-AC Seater"],
+    decks: [{ deck: "main", rows: 10, columns: [1, 2, null, 3, 4] }],
+    blocked: [],
+    categories: { ladies: ["A1", "A2", "A3", "A4"], disabled: ["B1", "B2"] },
+    priceModifiers: { position: { window: 1.1 } }
+  },
+  {
+    key: "2+1-business",
+    name: "2+1 business class",
+    busTypes: ["AC Business", "Executive"],
+    decks: [{ deck: "main", rows: 10, columns: [1, 2, null, 3] }],
+    blocked: ["J1", "J2"],
+    categories: { ladies: ["A1", "A2", "A3"], disabled: ["B1", "B2"] },
+    priceModifiers: { position: { window: 1.1 } }
+  },
+  {
+    key: "sleeper-1+2",
+    name: "1+2 sleeper, lower and upper berths",
+    busTypes: ["AC Sleeper"],
+    decks: [
+      { deck: "lower", labelPrefix: "L", berth: "lower", rows: 6, columns: [1, null, 2, 3] },
+      { deck: "upper", labelPrefix: "U", berth: "upper", rows: 6, columns: [1, null, 2, 3] }
+    ],
+    blocked: [],
+    categories: { ladies: ["LA1", "LA2", "LA3"] },
+    priceModifiers: { berth: { lower: 1.1 } }
+  }
+];
+
+const FALLBACK_LAYOUT_KEY = "2+2-seater";
+const SEAT_POSITIONS = ["window", "aisle", "middle"];
+const BERTHS = ["lower", "upper"];
+
+const rowLetter = row => String.fromCharCode(65 + row);
+
+function seatPosition(columns, index) {
+  const seatColumns = columns.map((column, i) => (column === null ? null : i)).filter(i => i !== null);
+
+  if (index === seatColumns[0] || index === seatColumns[seatColumns.length - 1]) {
+    return "window";
+  }
+  if (columns[index - 1] === null || columns[index + 1] === null) {
+    return "aisle";
+  }
+  return "middle";
+}
+
+function seatPriceMultiplier(priceModifiers = {}, seat) {
+  const bySeat = priceModifiers.seats?.[seat.label];
+  if (bySeat !== undefined) {
+    return bySeat;
+  }
+
+  const byPosition = priceModifiers.position?.[seat.position] ?? 1;
+  const byBerth = seat.berth ? priceModifiers.berth?.[seat.berth] ?? 1 : 1;
+  return Math.round(byPosition * byBerth * 100) / 100;
+}
+
+// Expand a template into the grid shown to passengers and the flat list of
+// seats that can be sold
+export function buildSeatMap(template) {
+  const blocked = new Set(template.blocked || []);
+  const categoryOf = new Map(
+    Object.entries(template.categories || {}).flatMap(([category, labels]) => labels.map(label => [label, category]))
+  );
+  const seats = [];
+
+  const decks = template.decks.map(deck => {
+    const rows = [];
+
+    for (let row = 0; row < deck.rows; row++) {
+      rows.push(deck.columns.map((column, index) => {
+        if (column === null) {
+          return null;
+        }
+
+        const label = `${deck.labelPrefix || ""}${rowLetter(row)}${column}`;
+        if (blocked.has(label)) {
+          return { label, blocked: true };
+        }
+
+        const seat = {
+          seatNumber: seats.length + 1,
+          label,
+          deck: deck.deck,
+          berth: deck.berth || null,
+          position: seatPosition(deck.columns, index),
+          category: categoryOf.get(label) || null
+        };
+        seat.priceMultiplier = seatPriceMultiplier(template.priceModifiers, seat);
+
+        seats.push(seat);
+        return seat;
+      }));
+    }
+
+    return { deck: deck.deck, berth: deck.berth || null, columns: deck.columns, rows };
+  });
+
+  return {
+    key: template.key,
+    name: template.name,
+    totalSeats: seats.length,
+    decks,
+    seats
+  };
+}
+
+// 2+2 grid for coaches whose seat count matches no template (older trips)
+function buildFallbackSeatMap(totalSeats) {
+  const fallback = DEFAULT_SEAT_LAYOUTS.find(layout => layout.key === FALLBACK_LAYOUT_KEY);
+  const columns = fallback.decks[0].columns;
+  const seatsPerRow = columns.filter(column => column !== null).length;
+  const rows = Math.ceil(totalSeats / seatsPerRow);
+
+  const blocked = [];
+  for (let extra = rows * seatsPerRow; extra > totalSeats; extra--) {
+    blocked.push(`${rowLetter(rows - 1)}${extra - (rows - 1) * seatsPerRow}`);
+  }
+
+  return buildSeatMap({
+    ...fallback,
+    decks: [{ ...fallback.decks[0], rows }],
+    blocked
+  });
+}
+
+// Built-in template for a bus type, used before the database has any
+export function getDefaultSeatLayout(busType) {
+  return DEFAULT_SEAT_LAYOUTS.find(layout => layout.busTypes.includes(busType)) ||
+    DEFAULT_SEAT_LAYOUTS.find(layout => layout.key === FALLBACK_LAYOUT_KEY);
+}
+
+// Template by key, or the one assigned to the bus type
+export async function findSeatLayoutTemplate({ key, busType }) {
+  const seatLayoutsCollection = getSeatLayoutsCollection();
+
+  if (key) {
+    return seatLayoutsCollection.findOne({ key });
+  }
+
+  return await seatLayoutsCollection.findOne({ busTypes: busType }) || getDefaultSeatLayout(busType);
+}
+
+// The seat map every endpoint uses for a bus. The vehicle's template wins
+// over the bus type's; a template that doesn't fit the bus's seat count
+// falls back to a plain grid so seat numbers already sold stay valid.
+export async function getSeatMap(bus) {
+  const totalSeats = bus.totalSeats || 40;
+  const template = await findSeatLayoutTemplate({ key: bus.layoutTemplate, busType: bus.type }) ||
+    getDefaultSeatLayout(bus.type);
+  const seatMap = buildSeatMap(template);
+
+  return seatMap.totalSeats === totalSeats ? seatMap : buildFallbackSeatMap(totalSeats);
+}
+
+// Seats of the map as requested by a booking, with labels and price
+// multipliers filled in by the server. Unknown or blocked seats come back
+// in invalidSeats.
+export function describeSeats(seatMap, seatNumbers) {
+  const byNumber = new Map(seatMap.seats.map(seat => [seat.seatNumber, seat]));
+  const seats = [];
+  const invalidSeats = [];
+
+  seatNumbers.forEach(seatNumber => {
+    const seat = byNumber.get(Number(seatNumber));
+    if (seat) {
+      seats.push({ ...seat });
+    } else {
+      invalidSeats.push(seatNumber);
+    }
+  });
+
+  return { seats, invalidSeats };
+}
+
+// Row-by-row seat list with booking status, the shape seat endpoints
+// return. Pass the bus to include restrictions that apply right now.
+export function getSeatRows(seatMap, bookedSeatNumbers = [], bus = null) {
+  const booked = new Set(bookedSeatNumbers);
+  const now = new Date();
+
+  return seatMap.decks.flatMap(deck =>
+    deck.rows
+      .map(row => row
+        .filter(seat => seat && !seat.blocked)
+        .map(seat => ({
+          ...seat,
+          type: seat.position,
+          status: booked.has(seat.seatNumber) ? "booked" : "available",
+          restriction: bus ? getSeatRestriction(bus, seat, now) : null
+        })))
+      .filter(row => row.length > 0)
+  );
+}
+
+// Grid with aisles (null) and blocked positions, for drawing the coach
+export function getSeatGrid(seatMap) {
+  return {
+    key: seatMap.key,
+    name: seatMap.name,
+    totalSeats: seatMap.totalSeats,
+    decks: seatMap.decks
+  };
+}
+
+// Check a template from the admin API and bring it into stored form.
+// With partial, only the fields present are checked (for updates).
+export function validateSeatLayout(input, { partial = false } = {}) {
+  const errors = [];
+  const layout = {};
+  const has = field => input[field] !== undefined;
+
+  if (has("key") || !partial) {
+    if (!/^[a-z0-9+-]+$/i.test(input.key || "")) {
+      errors.push("key is required (letters, numbers, + and -)");
+    } else {
+      layout.key = input.key;
+    }
+  }
+
+  if (has("name") || !partial) {
+    if (!input.name) {
+      errors.push("name is required");
+    } else {
+      layout.name = input.name;
+    }
+  }
+
+  if (has("busTypes")) {
+    if (!Array.isArray(input.busTypes)) {
+      errors.push("busTypes must be a list");
+    } else {
+      layout.busTypes = input.busTypes;
+    }
+  }
+
+  if (has("decks") || !partial) {
+    const decks = Array.isArray(input.decks) ? input.decks : [];
+    const validDeck = deck =>
+      deck.deck &&
+      Number.isInteger(deck.rows) && deck.rows > 0 && deck.rows <= 26 &&
+      Array.isArray(deck.columns) &&
+      deck.columns.some(column => column !== null) &&
+      deck.columns.every(column => column === null || Number.isInteger(column)) &&
+      (!deck.berth || BERTHS.includes(deck.berth));
+
+    if (decks.length === 0 || !decks.every(validDeck)) {
+      errors.push("decks need a name, 1-26 rows, columns (numbers, null for an aisle) and an optional lower/upper berth");
+    } else {
+      layout.decks = decks.map(deck => ({
+        deck: deck.deck,
+        labelPrefix: deck.labelPrefix || "",
+        berth: deck.berth || null,
+        rows: deck.rows,
+        columns: deck.columns
+      }));
+    }
+  }
+
+  if (has("blocked")) {
+    if (!Array.isArray(input.blocked)) {
+      errors.push("blocked must be a list of seat labels");
+    } else {
+      layout.blocked = input.blocked.map(String);
+    }
+  }
+
+  if (has("categories")) {
+    const categories = input.categories || {};
+    if (Object.keys(categories).some(category => !SEAT_CATEGORIES[category]) ||
+        !Object.values(categories).every(Array.isArray)) {
+      errors.push(`categories must map ${Object.keys(SEAT_CATEGORIES).join("/")} to lists of seat labels`);
+    } else {
+      layout.categories = Object.fromEntries(
+        Object.entries(categories).map(([category, labels]) => [category, labels.map(String)])
+      );
+    }
+  }
+
+  if (has("priceModifiers")) {
+    const { position = {}, berth = {}, seats = {} } = input.priceModifiers || {};
+    const modifiers = [...Object.values(position), ...Object.values(berth), ...Object.values(seats)];
+
+    if (Object.keys(position).some(key => !SEAT_POSITIONS.includes(key)) ||
+        Object.keys(berth).some(key => !BERTHS.includes(key))) {
+      errors.push(`priceModifiers.position must use ${SEAT_POSITIONS.join("/")} and berth must use ${BERTHS.join("/")}`);
+    } else if (modifiers.some(modifier => !(modifier > 0))) {
+      errors.push("price modifiers must be positive numbers");
+    } else {
+      layout.priceModifiers = { position, berth, seats };
+    }
+  }
+
+  return { errors, layout };
+}
+
+// Give a fresh database the built-in templates
+export async function seedDefaultSeatLayouts() {
+  const seatLayoutsCollection = getSeatLayoutsCollection();
+
+  if (await seatLayoutsCollection.countDocuments() > 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const result = await seatLayoutsCollection.insertMany(
+    DEFAULT_SEAT_LAYOUTS.map(layout => ({ ...layout, createdAt: now, updatedAt: now }))
+  );
+
+  return result.insertedCount;
+}
@@ -1,47 +1,170 @@
-export function generateSeatLayout(totalSeats, availableSeats) {
-  const seats = [];
-  const rows = Math.ceil(totalSeats / 4);
-  let seatNumber = 1;
-  
-  const bookedSeats = totalSeats - availableSeats;
-  const bookedSeatNumbers = [];
-  
-  // Randomly select booked seats
-  for (let i = 0; i < bookedSeats; i++) {
-    let randomSeat;
-    do {
-      randomSeat = Math.floor(Math.random() * totalSeats) + 1;
-    } while (bookedSeatNumbers.includes(randomSeat));
-    bookedSeatNumbers.push(randomSeat);
+import { ObjectId } from "mongodb";
+import { getBusesCollection, getBookingsCollection } from "../config/database.js";
+import { getFullSegment, getBookedSegment, segmentsOverlap } from "./segmentService.js";
+
+export class SeatConflictError extends Error {
+  constructor(conflictedSeats, message = "Some seats are no longer available") {
+    super(message);
+    this.name = "SeatConflictError";
+    this.conflictedSeats = conflictedSeats;
   }
-  
-  // Generate seat layout
-  for (let row = 1; row <= rows; row++) {
-    const rowSeats = [];
-    
-    for (let col = 1; col <= 4; col++) {
-      if (seatNumber > totalSeats) break;
-      
-      const seatType = col === 2 ? "aisle" : col === 3 ? "aisle" : "window";
-      const isBooked = bookedSeatNumbers.includes(seatNumber);
-      
-      rowSeats.push({
-        seatNumber: seatNumber,
-        type: seatType,
-        status: isBooked ? "booked" : "available",
-        priceMultiplier: seatType === "window" ? 1.0 : 0.95
-      });
-      
-      seatNumber++;
-    }
-    
-    if (rowSeats.length > 0) {
-      seats.push({
-        rowNumber: row,
-        seats: rowSeats
-      });
-    }
+}
+
+// Seats booked on any stretch of the segment (anywhere on the route when
+// no segment is given)
+export function getBookedSeatNumbers(bus, segment) {
+  const seatNumbers = (bus.bookedSeats || [])
+    .filter(entry => !segment || segmentsOverlap(getBookedSegment(entry), segment))
+    .map(entry => entry.seatNumber);
+
+  return [...new Set(seatNumbers)];
+}
+
+// Requested seats already taken on an overlapping part of the route
+export function findConflictedSeats(bus, seatNumbers, segment) {
+  const takenSeats = getBookedSeatNumbers(bus, segment);
+  return seatNumbers.map(Number).filter(seat => takenSeats.includes(seat));
+}
+
+// Claim seats on the bus document for a segment of the route (the whole
+// route by default). Must run inside the booking transaction: the
+// conditional update only succeeds if none of the seats is taken on an
+// overlapping segment.
+export async function claimSeats(busId, seatNumbers, bookingId, session, segment) {
+  const busesCollection = getBusesCollection();
+  const seats = seatNumbers.map(Number);
+
+  const bus = await busesCollection.findOne({ _id: new ObjectId(busId) }, { session });
+
+  if (!bus) {
+    throw new Error("Bus not found");
   }
-  
-  return seats;
-}
\ No newline at end of file
+
+  const { fromStop, toStop } = segment || getFullSegment(bus);
+
+  const conflictedSeats = findConflictedSeats(bus, seats, { fromStop, toStop });
+
+  if (conflictedSeats.length > 0) {
+    throw new SeatConflictError(conflictedSeats);
+  }
+
+  // availableSeats counts seats free end to end, so it only drops for seats
+  // nobody had booked on any segment yet
+  const bookedAnywhere = getBookedSeatNumbers(bus);
+  const newlyTakenCount = seats.filter(seat => !bookedAnywhere.includes(seat)).length;
+
+  const result = await busesCollection.updateOne(
+    {
+      _id: new ObjectId(busId),
+      availableSeats: { $gte: newlyTakenCount },
+      bookedSeats: {
+        $not: {
+          $elemMatch: {
+            seatNumber: { $in: seats },
+            $and: [
+              { $or: [{ fromStop: { $exists: false } }, { fromStop: { $lt: toStop } }] },
+              { $or: [{ toStop: { $exists: false } }, { toStop: { $gt: fromStop } }] }
+            ]
+          }
+        }
+      }
+    },
+    {
+      $push: {
+        bookedSeats: {
+          $each: seats.map(seatNumber => ({
+            seatNumber,
+            bookingId: bookingId.toString(),
+            fromStop,
+            toStop
+          }))
+        }
+      },
+      $inc: { availableSeats: -newlyTakenCount }
+    },
+    { session }
+  );
+
+  if (result.modifiedCount === 1) {
+    return;
+  }
+
+  // Someone claimed a seat between the read and the update (or the seat
+  // count ran out): report the seats that were taken, or all of them if
+  // none was
+  const current = await busesCollection.findOne({ _id: new ObjectId(busId) }, { session });
+  const takenMeanwhile = current ? findConflictedSeats(current, seats, { fromStop, toStop }) : [];
+
+  if (takenMeanwhile.length > 0) {
+    throw new SeatConflictError(takenMeanwhile);
+  }
+
+  throw new SeatConflictError(seats, `Not enough seats available. Only ${current?.availableSeats ?? bus.availableSeats} seats left.`);
+}
+
+// Give a booking's seats back to the bus (inside the cancelling transaction)
+export async function releaseSeats(busId, seatNumbers, bookingId, session) {
+  const busesCollection = getBusesCollection();
+  const seats = seatNumbers.map(Number);
+
+  const bus = await busesCollection.findOne(
+    { _id: new ObjectId(busId) },
+    { session, projection: { bookedSeats: 1 } }
+  );
+
+  if (!bus) {
+    return;
+  }
+
+  // Seats are free end to end again once no other segment is booked on them
+  const isReleased = entry => entry.bookingId === bookingId.toString() && seats.includes(entry.seatNumber);
+  const remaining = getBookedSeatNumbers({ bookedSeats: (bus.bookedSeats || []).filter(entry => !isReleased(entry)) });
+  const releasedCount = [...new Set((bus.bookedSeats || []).filter(isReleased).map(entry => entry.seatNumber))]
+    .filter(seat => !remaining.includes(seat))
+    .length;
+
+  await busesCollection.updateOne(
+    { _id: new ObjectId(busId) },
+    {
+      $pull: {
+        bookedSeats: { bookingId: bookingId.toString(), seatNumber: { $in: seats } }
+      },
+      $inc: { availableSeats: releasedCount }
+    },
+    { session }
+  );
+}
+
+// Buses created before seat claims lived on the bus document get their
+// bookedSeats rebuilt from active bookings
+export async function backfillBookedSeats() {
+  const busesCollection = getBusesCollection();
+  const bookingsCollection = getBookingsCollection();
+
+  const buses = await busesCollection.find(
+    { bookedSeats: { $exists: false }, departureTime: { $gte: new Date() } },
+    { projection: { _id: 1 } }
+  ).toArray();
+
+  for (const bus of buses) {
+    const bookings = await bookingsCollection.find({
+      busId: bus._id.toString(),
+      status: { $in: ["confirmed", "pending"] }
+    }).toArray();
+
+    const bookedSeats = bookings.flatMap(booking =>
+      (booking.selectedSeats || []).map(seat => ({
+        seatNumber: Number(seat.seatNumber),
+        bookingId: booking._id.toString(),
+        ...booking.segment
+      }))
+    );
+
+    await busesCollection.updateOne(
+      { _id: bus._id, bookedSeats: { $exists: false } },
+      { $set: { bookedSeats } }
+    );
+  }
+
+  return buses.length;
+}
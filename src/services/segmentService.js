@@ -0,0 +1,165 @@
+// Ordered stops of a bus with their offset from departure. Buses without
+// intermediate stops simply run from origin to destination.
+export function getRouteStops(bus) {
+  if (bus.route?.stops?.length >= 2) {
+    return bus.route.stops;
+  }
+
+  return [
+    {
+      city: bus.route.from.city,
+      terminal: bus.route.from.terminal,
+      offsetMinutes: 0,
+      distanceKm: 0
+    },
+    {
+      city: bus.route.to.city,
+      terminal: bus.route.to.terminal,
+      offsetMinutes: Math.round((new Date(bus.arrivalTime) - new Date(bus.departureTime)) / (1000 * 60)),
+      distanceKm: parseInt(bus.route.distance) || null
+    }
+  ];
+}
+
+export function getFullSegment(bus) {
+  return { fromStop: 0, toStop: getRouteStops(bus).length - 1 };
+}
+
+// Segment of the route between two cities, or null if the bus doesn't
+// travel from one to the other
+export function findSegment(bus, fromCity, toCity) {
+  const stops = getRouteStops(bus);
+  const matches = (stop, city) => stop.city.toLowerCase() === String(city).toLowerCase();
+
+  const fromStop = stops.findIndex(stop => matches(stop, fromCity));
+  const toStop = stops.findIndex((stop, index) => index > fromStop && matches(stop, toCity));
+
+  if (fromStop === -1 || toStop === -1) {
+    return null;
+  }
+
+  return { fromStop, toStop };
+}
+
+// Requested boarding/dropping cities to a segment; either one left out
+// means the end of the route
+export function resolveSegment(bus, fromCity, toCity) {
+  if (!fromCity && !toCity) {
+    return getFullSegment(bus);
+  }
+
+  const stops = getRouteStops(bus);
+  return findSegment(bus, fromCity || stops[0].city, toCity || stops[stops.length - 1].city);
+}
+
+// Two segments share at least one stretch of road
+export function segmentsOverlap(a, b) {
+  return a.fromStop < b.toStop && b.fromStop < a.toStop;
+}
+
+// Segment a bookedSeats entry occupies. Entries written before stops
+// existed cover the whole route.
+export function getBookedSegment(entry) {
+  return {
+    fromStop: entry.fromStop ?? 0,
+    toStop: entry.toStop ?? Infinity
+  };
+}
+
+// Share of the full fare charged for a segment: by distance when the stops
+// carry it, otherwise by travel time
+export function getSegmentFareRatio(bus, segment) {
+  const stops = getRouteStops(bus);
+  const from = stops[segment.fromStop];
+  const to = stops[segment.toStop];
+  const last = stops[stops.length - 1];
+
+  if (last.distanceKm > 0 && from.distanceKm != null && to.distanceKm != null) {
+    return (to.distanceKm - from.distanceKm) / last.distanceKm;
+  }
+
+  if (last.offsetMinutes > 0) {
+    return (to.offsetMinutes - from.offsetMinutes) / last.offsetMinutes;
+  }
+
+  return 1;
+}
+
+// Seats free on every stretch of the segment: the seats nobody has booked
+// plus booked seats whose bookings are all on other parts of the route
+export function getSegmentAvailableSeats(bus, segment) {
+  const entries = bus.bookedSeats || [];
+  const bookedSeatNumbers = [...new Set(entries.map(entry => entry.seatNumber))];
+  const freeOnSegment = bookedSeatNumbers.filter(seatNumber =>
+    !entries.some(entry =>
+      entry.seatNumber === seatNumber && segmentsOverlap(getBookedSegment(entry), segment)
+    )
+  );
+
+  return (bus.availableSeats || 0) + freeOnSegment.length;
+}
+
+// The bus as a passenger riding only this segment sees it: its endpoints,
+// times, fare and free seats
+export function segmentView(bus, segment) {
+  const stops = getRouteStops(bus);
+  const from = stops[segment.fromStop];
+  const to = stops[segment.toStop];
+  const departure = new Date(bus.departureTime).getTime();
+  const fareRatio = getSegmentFareRatio(bus, segment);
+
+  return {
+    ...bus,
+    route: {
+      ...bus.route,
+      from: { city: from.city, terminal: from.terminal },
+      to: { city: to.city, terminal: to.terminal }
+    },
+    departureTime: new Date(departure + from.offsetMinutes * 60 * 1000),
+    arrivalTime: new Date(departure + to.offsetMinutes * 60 * 1000),
+    price: Math.round(bus.price * fareRatio),
+    discountPrice: bus.discountPrice ? Math.round(bus.discountPrice * fareRatio) : bus.discountPrice,
+    availableSeats: getSegmentAvailableSeats(bus, segment),
+    segment
+  };
+}
+
+// Search query matching buses that pass through both cities, departing
+// from the origin up to a day before the window (the boarding stop may be
+// hours down the road). Narrow the results with matchSegments.
+export function buildStopQuery(from, to, windowStart, windowEnd) {
+  const fromPattern = new RegExp(`^${from}$`, "i");
+  const toPattern = new RegExp(`^${to}$`, "i");
+
+  return {
+    $or: [
+      { "route.from.city": fromPattern, "route.to.city": toPattern },
+      { "route.stops.city": { $all: [fromPattern, toPattern] } }
+    ],
+    departureTime: {
+      $gte: new Date(windowStart.getTime() - 24 * 60 * 60 * 1000),
+      $lt: windowEnd
+    }
+  };
+}
+
+// Narrow search results to the searched segment, keeping only buses that
+// board within the window and have enough free seats on it. priceBus, when
+// given, sets the fare for the segment before the price filter applies.
+export function matchSegments(buses, { from, to, windowStart, windowEnd, passengers = 1, priceRange, priceBus }) {
+  return buses.flatMap(bus => {
+    const segment = findSegment(bus, from, to);
+    if (!segment) return [];
+
+    const view = segmentView(priceBus ? priceBus(bus, segment) : bus, segment);
+
+    if (view.departureTime < windowStart || view.departureTime >= windowEnd) return [];
+    if (view.availableSeats < parseInt(passengers)) return [];
+    if (priceRange && (
+      view.price < (priceRange.min || 0) ||
+      view.price > (priceRange.max || 10000)
+    )) return [];
+
+    return [view];
+  });
+}
@@ -0,0 +1,19 @@
+import crypto from "crypto";
+
+// Development provider: prints messages to the server log instead of sending
+// them. OTP codes end up in the log, so it only runs when SMS_PROVIDER=console.
+const consoleProvider = {
+  name: "console",
+
+  isEnabled() {
+    return process.env.SMS_PROVIDER === "console";
+  },
+
+  async send({ to, message }) {
+    const messageId = `CONSOLE-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { messageId };
+  }
+};
+
+export default consoleProvider;
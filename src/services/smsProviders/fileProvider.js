@@ -0,0 +1,24 @@
+import crypto from "crypto";
+import { appendFile } from "fs/promises";
+
+// Development provider: appends messages to SMS_OUTBOX_FILE, one JSON line
+// each, so scripts and tests can read the codes back. Only when
+// SMS_PROVIDER=file, and the file is readable by the server's user alone.
+const outboxFile = () => process.env.SMS_OUTBOX_FILE || "sms-outbox.log";
+
+const fileProvider = {
+  name: "file",
+
+  isEnabled() {
+    return process.env.SMS_PROVIDER === "file";
+  },
+
+  async send({ to, message }) {
+    const messageId = `FILE-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
+    const line = JSON.stringify({ messageId, to, message, sentAt: new Date().toISOString() });
+    await appendFile(outboxFile(), `${line}\n`, { mode: 0o600 });
+    return { messageId };
+  }
+};
+
+export default fileProvider;
@@ -0,0 +1,18 @@
+import consoleProvider from "./consoleProvider.js";
+import fileProvider from "./fileProvider.js";
+
+// Every provider implements the same interface:
+//   name
+//   isEnabled()                 -> credentials configured / allowed here?
+//   send({ to, message })       -> { messageId }, throws if the message wasn't accepted
+// SMS_PROVIDER picks the one in use. There is no default: without it booking
+// OTPs are refused rather than sent somewhere the customer can't see them.
+const PROVIDERS = {
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider
+};
+
+export function getSmsProvider() {
+  const provider = PROVIDERS[process.env.SMS_PROVIDER];
+  return provider && provider.isEnabled() ? provider : null;
+}
@@ -1,5 +1,7 @@
 import { ObjectId } from "mongodb";
 import { getBusesCollection } from "../config/database.js";
+import { getBookedSeatNumbers } from "./seatService.js";
+import { getSeatMap, getSeatRows, getSeatGrid } from "./seatLayoutService.js";
 
 export class SeatSelectionService {
   constructor(io) {
@@ -16,32 +18,14 @@ export class SeatSelectionService {
         return null;
       }
 
-      const totalSeats = bus.totalSeats || 40;
-      const availableSeats = bus.availableSeats || totalSeats;
-      const rows = Math.ceil(totalSeats / 4);
-      const seatLayout = [];
-
-      for (let row = 0; row < rows; row++) {
-        const rowSeats = [];
-        for (let col = 0; col < 4; col++) {
-          const seatNumber = row * 4 + col + 1;
-          if (seatNumber > totalSeats) break;
-
-          const seatType = col === 0 || col === 3 ? 'window' : 'aisle';
-          
-          rowSeats.push({
-            seatNumber,
-            type: seatType,
-            priceMultiplier: seatType === 'window' ? 1.1 : 1.0
-          });
-        }
-        if (rowSeats.length > 0) {
-          seatLayout.push(rowSeats);
-        }
-      }
+      const seatMap = await getSeatMap(bus);
+      const totalSeats = seatMap.totalSeats;
+      const availableSeats = bus.availableSeats ?? totalSeats;
+      const seatLayout = getSeatRows(seatMap, getBookedSeatNumbers(bus), bus);
 
       return {
         layout: seatLayout,
+        grid: getSeatGrid(seatMap),
         busInfo: {
           operator: bus.operator,
           busNumber: bus.busNumber,
@@ -0,0 +1,273 @@
+import { ObjectId } from "mongodb";
+import { getTimetablesCollection } from "../config/database.js";
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import { POPULAR_ROUTES } from "../constants/popularRoutes.js";
+import { getTerminals } from "../constants/cities.js";
+import { getCancellationPolicy, describeCancellationPolicy } from "./cancellationService.js";
+
+// Index matches Date.getDay()
+export const DAYS_OF_WEEK = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Check a timetable from the admin API and bring it into stored form.
+// With partial, only the fields present are checked (for updates).
+export function validateTimetable(input, { partial = false } = {}) {
+  const errors = [];
+  const timetable = {};
+  const has = field => input[field] !== undefined;
+
+  if (has("operator") || !partial) {
+    const operator = BUS_OPERATORS.find(op => op.name === input.operator);
+    if (!operator) {
+      errors.push("operator must be one of the known bus operators");
+    } else {
+      timetable.operator = operator.name;
+    }
+  }
+
+  if (has("busType") || !partial) {
+    if (!input.busType) {
+      errors.push("busType is required");
+    } else {
+      timetable.busType = input.busType;
+    }
+  }
+
+  // Vehicle to run the trips when it is free; otherwise any matching one is used
+  if (has("vehicleId")) {
+    if (input.vehicleId !== null && !ObjectId.isValid(input.vehicleId)) {
+      errors.push("vehicleId must be a vehicle ID");
+    } else {
+      timetable.vehicleId = input.vehicleId === null ? null : String(input.vehicleId);
+    }
+  }
+
+  if (has("route") || !partial) {
+    const route = input.route || {};
+    if (!route.from || !route.to || !(route.duration > 0) || !(route.distance > 0)) {
+      errors.push("route needs from, to, distance (km) and duration (hours)");
+    } else {
+      timetable.route = {
+        from: route.from,
+        to: route.to,
+        distance: Number(route.distance),
+        duration: Number(route.duration),
+        stops: (route.stops || []).map(stop => ({
+          city: stop.city,
+          distance: Number(stop.distance),
+          duration: Number(stop.duration)
+        }))
+      };
+    }
+  }
+
+  if (has("departureTime") || !partial) {
+    if (!TIME_PATTERN.test(input.departureTime || "")) {
+      errors.push("departureTime must be HH:mm (24-hour)");
+    } else {
+      timetable.departureTime = input.departureTime;
+    }
+  }
+
+  // Days as names ("friday") or numbers (5); none means every day
+  if (has("daysOfWeek") || !partial) {
+    const days = (input.daysOfWeek || []).map(day =>
+      typeof day === "number" ? day : DAYS_OF_WEEK.indexOf(String(day).toLowerCase())
+    );
+    if (days.some(day => day < 0 || day > 6)) {
+      errors.push(`daysOfWeek must be day names (${DAYS_OF_WEEK.join(", ")}) or numbers 0-6`);
+    } else {
+      timetable.daysOfWeek = [...new Set(days)].sort();
+    }
+  }
+
+  if (has("price") || !partial) {
+    if (!(input.price > 0)) {
+      errors.push("price must be a positive number");
+    } else {
+      timetable.price = Number(input.price);
+    }
+  }
+
+  if (has("discountPrice")) {
+    if (input.discountPrice !== null && !(input.discountPrice > 0)) {
+      errors.push("discountPrice must be a positive number");
+    } else {
+      timetable.discountPrice = input.discountPrice === null ? null : Number(input.discountPrice);
+    }
+  }
+
+  for (const field of ["validFrom", "validUntil"]) {
+    if (has(field)) {
+      const value = input[field] === null ? null : new Date(input[field]);
+      if (value && isNaN(value)) {
+        errors.push(`${field} must be a date`);
+      } else {
+        timetable[field] = value;
+      }
+    }
+  }
+
+  if (has("active")) {
+    timetable.active = Boolean(input.active);
+  }
+
+  return { errors, timetable };
+}
+
+// Whether the timetable has a trip on the given day
+export function runsOn(timetable, date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+
+  if (timetable.active === false) return false;
+  if (timetable.validFrom && day < new Date(timetable.validFrom).setHours(0, 0, 0, 0)) return false;
+  if (timetable.validUntil && day > new Date(timetable.validUntil).setHours(0, 0, 0, 0)) return false;
+
+  return !timetable.daysOfWeek?.length || timetable.daysOfWeek.includes(day.getDay());
+}
+
+// Ordered stops from origin to destination with minutes from departure
+function buildRouteStops(route, originTerminal, destinationTerminal) {
+  const toMinutes = hours => Math.round(hours * 60);
+
+  return [
+    { city: route.from, terminal: originTerminal, offsetMinutes: 0, distanceKm: 0 },
+    ...(route.stops || []).map(stop => ({
+      city: stop.city,
+      terminal: getTerminals(stop.city)[0],
+      offsetMinutes: toMinutes(stop.duration),
+      distanceKm: stop.distance
+    })),
+    { city: route.to, terminal: destinationTerminal, offsetMinutes: toMinutes(route.duration), distanceKm: route.distance }
+  ];
+}
+
+// The bus document for one day of a timetable. Every trip starts empty.
+// Registration, seats and amenities come from the vehicle assigned to it.
+export function buildTrip(timetable, date) {
+  const scheduleDate = new Date(date);
+  scheduleDate.setHours(0, 0, 0, 0);
+
+  const operator = BUS_OPERATORS.find(op => op.name === timetable.operator);
+  const { route } = timetable;
+
+  const [hours, minutes] = timetable.departureTime.split(":").map(Number);
+  const departureTime = new Date(scheduleDate);
+  departureTime.setHours(hours, minutes, 0, 0);
+  const arrivalTime = new Date(departureTime.getTime() + Math.round(route.duration * 60) * 60 * 1000);
+
+  const hasDiscount = timetable.discountPrice && timetable.discountPrice < timetable.price;
+  const discountPrice = hasDiscount ? timetable.discountPrice : timetable.price;
+
+  const boardingPoints = getTerminals(route.from);
+  const droppingPoints = getTerminals(route.to);
+
+  return {
+    timetableId: timetable._id.toString(),
+    operator: timetable.operator,
+    type: timetable.busType,
+    route: {
+      from: {
+        city: route.from,
+        terminal: boardingPoints[0]
+      },
+      to: {
+        city: route.to,
+        terminal: droppingPoints[0]
+      },
+      distance: `${route.distance} km`,
+      duration: `${Math.floor(route.duration)}h ${Math.round((route.duration % 1) * 60)}m`,
+      stops: buildRouteStops(route, boardingPoints[0], droppingPoints[0])
+    },
+    departureTime: departureTime,
+    arrivalTime: arrivalTime,
+    price: timetable.price,
+    discountPrice: discountPrice,
+    discountText: hasDiscount ? `Save ${timetable.price - discountPrice} TK` : "",
+    bookedSeats: [],
+    cancellationPolicy: describeCancellationPolicy(getCancellationPolicy(timetable.operator, timetable.busType)),
+    boardingPoints: boardingPoints,
+    droppingPoints: droppingPoints,
+    features: operator?.features || [],
+    rating: operator?.rating || null,
+    scheduleDate: scheduleDate,
+    createdAt: new Date()
+  };
+}
+
+// Active timetables with a trip on the given day
+export async function getTimetablesForDate(date) {
+  const timetables = await getTimetablesCollection().find({ active: { $ne: false } }).toArray();
+  return timetables.filter(timetable => runsOn(timetable, date));
+}
+
+// Starter service patterns for a fresh database: three departures a day on
+// every popular route, plus a Friday-only night coach to the beach
+export function buildDefaultTimetables() {
+  const departures = ["07:30", "14:00", "22:30"];
+  const timetables = [];
+
+  POPULAR_ROUTES.forEach((route, routeIndex) => {
+    departures.forEach((departureTime, slot) => {
+      const operator = BUS_OPERATORS[(routeIndex + slot * 2) % BUS_OPERATORS.length];
+      const busType = operator.types[slot % operator.types.length];
+      const isPremium = busType.includes("Business") || busType.includes("Executive");
+      const typeMultiplier = isPremium ? 1.5 : busType.includes("Sleeper") ? 1.3 : 1.0;
+
+      const basePrice = Math.round(route.distance * 2.5 * (operator.minPrice / 600) * typeMultiplier);
+      const price = Math.max(operator.minPrice, Math.min(operator.maxPrice, basePrice));
+
+      timetables.push({
+        operator: operator.name,
+        busType,
+        route: {
+          from: route.from,
+          to: route.to,
+          distance: route.distance,
+          duration: route.duration,
+          stops: route.stops || []
+        },
+        departureTime,
+        daysOfWeek: [],
+        price,
+        discountPrice: null,
+        active: true
+      });
+    });
+  });
+
+  const beachRoute = POPULAR_ROUTES.find(route => route.to === "Cox's Bazar");
+  if (beachRoute) {
+    const operator = BUS_OPERATORS[0];
+    timetables.push({
+      operator: operator.name,
+      busType: operator.types[0],
+      route: { ...beachRoute, stops: beachRoute.stops || [] },
+      departureTime: "23:00",
+      daysOfWeek: [DAYS_OF_WEEK.indexOf("friday")],
+      price: operator.maxPrice,
+      discountPrice: null,
+      active: true
+    });
+  }
+
+  return timetables;
+}
+
+// Give a fresh database something to run; existing timetables are left alone
+export async function seedDefaultTimetables() {
+  const timetablesCollection = getTimetablesCollection();
+
+  if (await timetablesCollection.countDocuments() > 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const result = await timetablesCollection.insertMany(
+    buildDefaultTimetables().map(timetable => ({ ...timetable, createdAt: now, updatedAt: now }))
+  );
+
+  return result.insertedCount;
+}
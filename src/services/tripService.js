@@ -0,0 +1,116 @@
+// Percent off the combined fare when the last leg returns to where the first
+// one started. Set to 0 to turn the discount off.
+export const ROUND_TRIP_DISCOUNT_PERCENT = Number(process.env.ROUND_TRIP_DISCOUNT_PERCENT ?? 5);
+
+// Shortest time allowed between arriving on one leg and departing on the next
+export const MIN_TRANSFER_MINUTES = parseInt(process.env.MIN_TRANSFER_MINUTES) || 30;
+
+export const MAX_LEGS = 4;
+
+// Legs of a booking. One-way bookings keep their bus and seats at the top
+// level, so they are presented as a single leg.
+export function getBookingLegs(booking) {
+  if (booking.legs?.length) {
+    return booking.legs;
+  }
+
+  return [{
+    legIndex: 0,
+    busId: booking.busId,
+    selectedSeats: booking.selectedSeats,
+    segment: booking.segment,
+    busDetails: booking.busDetails,
+    departureDate: booking.departureDate,
+    fare: booking.totalPrice,
+    cancellationPolicy: booking.cancellationPolicy,
+    status: "active"
+  }];
+}
+
+export function getActiveLegs(booking) {
+  return getBookingLegs(booking).filter(leg => leg.status !== "cancelled");
+}
+
+// Fields copied to the top level of a multi-leg booking so code that only
+// knows about one bus keeps seeing the next leg to travel
+export function mirrorLeg(leg) {
+  return {
+    busId: leg.busId,
+    selectedSeats: leg.selectedSeats,
+    segment: leg.segment,
+    busDetails: leg.busDetails,
+    departureDate: leg.departureDate,
+    cancellationPolicy: leg.cancellationPolicy
+  };
+}
+
+// The booking as if it only covered this leg (for cancellation rules)
+export function legAsBooking(booking, leg) {
+  return {
+    ...booking,
+    ...mirrorLeg(leg),
+    totalPrice: leg.fare
+  };
+}
+
+// Each leg must start where the previous one ends, with time to transfer.
+// Pass segment views for legs that only ride part of a route. Returns an
+// error message, or null when the legs form one journey.
+export function validateLegSequence(buses) {
+  for (let i = 1; i < buses.length; i++) {
+    const previous = buses[i - 1];
+    const next = buses[i];
+
+    if (previous.route?.to?.city !== next.route?.from?.city) {
+      return `Leg ${i + 1} must start in ${previous.route?.to?.city}, where leg ${i} ends`;
+    }
+
+    const transferMinutes = (new Date(next.departureTime) - new Date(previous.arrivalTime)) / (1000 * 60);
+
+    if (transferMinutes < MIN_TRANSFER_MINUTES) {
+      return `Leg ${i + 1} must depart at least ${MIN_TRANSFER_MINUTES} minutes after leg ${i} arrives`;
+    }
+  }
+
+  return null;
+}
+
+export function getTripType(buses) {
+  if (buses.length === 1) {
+    return "one-way";
+  }
+
+  const first = buses[0];
+  const last = buses[buses.length - 1];
+
+  if (buses.length === 2 && last.route?.to?.city === first.route?.from?.city) {
+    return "round-trip";
+  }
+
+  return "multi-leg";
+}
+
+// Combine leg fares. The round-trip discount is spread over the legs by
+// fare so a cancelled leg gives back only its own share.
+export function priceLegs(legFares, tripType) {
+  const subtotal = legFares.reduce((sum, fare) => sum + fare, 0);
+  const discountPercentage = tripType === "round-trip" ? ROUND_TRIP_DISCOUNT_PERCENT : 0;
+  const roundTripDiscount = Math.round(subtotal * (discountPercentage / 100));
+
+  let remainingDiscount = roundTripDiscount;
+  const discountedFares = legFares.map((fare, index) => {
+    const share = index === legFares.length - 1 || subtotal === 0
+      ? remainingDiscount
+      : Math.round(roundTripDiscount * (fare / subtotal));
+    remainingDiscount -= share;
+    return fare - share;
+  });
+
+  return {
+    legFares: discountedFares,
+    subtotal,
+    discountPercentage,
+    roundTripDiscount,
+    totalPrice: subtotal - roundTripDiscount
+  };
+}
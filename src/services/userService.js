@@ -0,0 +1,125 @@
+import { getBookingsCollection } from "../config/database.js";
+
+const MAX_NAME_LENGTH = 100;
+
+// Phone numbers are stored without spaces or dashes, e.g. +8801712345678
+export function normalizePhone(phone) {
+  const normalized = String(phone).replace(/[\s-]/g, "");
+  return /^\+?\d{10,15}$/.test(normalized) ? normalized : null;
+}
+
+// Check a profile update. Phone and photo can be removed by sending null or "".
+export function validateProfileUpdate(input = {}) {
+  const errors = [];
+  const update = {};
+
+  if (input.name !== undefined) {
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      errors.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+    } else {
+      update.name = name;
+    }
+  }
+
+  if (input.phone !== undefined) {
+    if (input.phone === null || input.phone === "") {
+      update.phone = "";
+    } else {
+      const phone = normalizePhone(input.phone);
+      if (!phone) {
+        errors.push("phone must be 10-15 digits, optionally starting with +");
+      } else {
+        update.phone = phone;
+      }
+    }
+  }
+
+  if (input.photoURL !== undefined) {
+    if (input.photoURL === null || input.photoURL === "") {
+      update.photoURL = "";
+    } else if (typeof input.photoURL !== "string" || !/^https?:\/\/\S+$/i.test(input.photoURL)) {
+      errors.push("photoURL must be an http(s) URL");
+    } else {
+      update.photoURL = input.photoURL;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(update).length === 0) {
+    errors.push("Nothing to update. Send name, phone or photoURL.");
+  }
+
+  return { errors, update };
+}
+
+// Claim bookings made before bookings carried a userId. Only verified
+// emails are trusted, otherwise anyone could sign up with someone else's
+// address and pick up their trips.
+export async function linkBookingsToUser(identity) {
+  if (!identity.email || !identity.emailVerified) {
+    return 0;
+  }
+
+  const result = await getBookingsCollection().updateMany(
+    { userId: null, "contactInfo.email": identity.email },
+    { $set: { userId: identity.uid } }
+  );
+
+  return result.modifiedCount;
+}
+
+export function formatUserBooking(booking) {
+  return {
+    ...booking,
+    _id: booking._id.toString(),
+    bookingDate: booking.bookingDate.toISOString(),
+    departureDate: booking.departureDate.toISOString(),
+    busDetails: {
+      ...booking.busDetails,
+      departureTime: booking.busDetails.departureTime.toISOString(),
+      arrivalTime: booking.busDetails.arrivalTime.toISOString()
+    }
+  };
+}
+
+// Split a user's bookings into upcoming, completed and cancelled trips,
+// bookings still waiting for payment and ones that expired unpaid
+export function categorizeBookings(bookings, currentTime = new Date()) {
+  const upcoming = bookings.filter(booking =>
+    new Date(booking.departureDate) > currentTime &&
+    booking.status === "confirmed"
+  );
+  const completed = bookings.filter(booking =>
+    booking.status === "completed" || (
+      new Date(booking.departureDate) <= currentTime &&
+      booking.status === "confirmed"
+    )
+  );
+  const cancelled = bookings.filter(booking =>
+    booking.status === "cancelled"
+  );
+  const pending = bookings.filter(booking =>
+    booking.status === "pending"
+  );
+  const expired = bookings.filter(booking =>
+    booking.status === "expired"
+  );
+
+  return {
+    categorized: {
+      upcoming,
+      completed,
+      cancelled,
+      pending,
+      expired
+    },
+    stats: {
+      total: bookings.length,
+      upcoming: upcoming.length,
+      completed: completed.length,
+      cancelled: cancelled.length,
+      pending: pending.length,
+      expired: expired.length
+    }
+  };
+}
@@ -0,0 +1,277 @@
+import { ObjectId } from "mongodb";
+import { getVehiclesCollection, getTimetablesCollection } from "../config/database.js";
+import { BUS_OPERATORS } from "../constants/busOperators.js";
+import { getDefaultSeatLayout, buildSeatMap } from "./seatLayoutService.js";
+
+export const VEHICLE_STATUSES = ["in-service", "maintenance", "retired"];
+
+// Time a coach needs between arriving from one trip and leaving on the next
+export const VEHICLE_TURNAROUND_MINUTES = parseInt(process.env.VEHICLE_TURNAROUND_MINUTES) || 60;
+
+export class VehicleAssignmentError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = "VehicleAssignmentError";
+    this.status = status;
+  }
+}
+
+// "dhaka metro ba 11-2345" and "DHAKA METRO-BA-11-2345" are the same plate
+export function normalizeRegistration(registration) {
+  return String(registration || "").trim().toUpperCase().replace(/[\s-]+/g, "-");
+}
+
+// Check a vehicle from the admin API and bring it into stored form.
+// With partial, only the fields present are checked (for updates).
+export function validateVehicle(input, { partial = false } = {}) {
+  const errors = [];
+  const vehicle = {};
+  const has = field => input[field] !== undefined;
+
+  if (has("registration") || !partial) {
+    const registration = normalizeRegistration(input.registration);
+    if (!registration) {
+      errors.push("registration is required");
+    } else {
+      vehicle.registration = registration;
+    }
+  }
+
+  if (has("operator") || !partial) {
+    const operator = BUS_OPERATORS.find(op => op.name === input.operator);
+    if (!operator) {
+      errors.push("operator must be one of the known bus operators");
+    } else {
+      vehicle.operator = operator.name;
+    }
+  }
+
+  if (has("busType") || !partial) {
+    if (!input.busType) {
+      errors.push("busType is required");
+    } else {
+      vehicle.busType = input.busType;
+    }
+  }
+
+  // Optional when a layout template decides the seat count
+  if (has("totalSeats")) {
+    if (!Number.isInteger(input.totalSeats) || input.totalSeats <= 0) {
+      errors.push("totalSeats must be a positive whole number");
+    } else {
+      vehicle.totalSeats = input.totalSeats;
+    }
+  }
+
+  // Key of the seat layout template; none means the bus type's default
+  if (has("layoutTemplate")) {
+    vehicle.layoutTemplate = input.layoutTemplate || null;
+  }
+
+  if (has("amenities")) {
+    if (!Array.isArray(input.amenities)) {
+      errors.push("amenities must be a list");
+    } else {
+      vehicle.amenities = input.amenities;
+    }
+  }
+
+  if (has("status")) {
+    if (!VEHICLE_STATUSES.includes(input.status)) {
+      errors.push(`status must be one of ${VEHICLE_STATUSES.join(", ")}`);
+    } else {
+      vehicle.status = input.status;
+    }
+  }
+
+  return { errors, vehicle };
+}
+
+// Matches vehicles with nothing booked that overlaps the trip, turnaround included
+function freeForTripQuery(trip) {
+  const turnaroundMs = VEHICLE_TURNAROUND_MINUTES * 60 * 1000;
+
+  return {
+    assignments: {
+      $not: {
+        $elemMatch: {
+          departureTime: { $lt: new Date(new Date(trip.arrivalTime).getTime() + turnaroundMs) },
+          arrivalTime: { $gt: new Date(new Date(trip.departureTime).getTime() - turnaroundMs) }
+        }
+      }
+    }
+  };
+}
+
+function assignmentFor(trip) {
+  return {
+    busId: trip._id.toString(),
+    departureTime: trip.departureTime,
+    arrivalTime: trip.arrivalTime,
+    route: `${trip.route.from.city} → ${trip.route.to.city}`
+  };
+}
+
+// Put a vehicle on a trip. The conditional update is the only guard needed:
+// it fails if the vehicle is not in service or already busy at that time.
+export async function assignVehicle(vehicleId, trip, session) {
+  const vehiclesCollection = getVehiclesCollection();
+
+  const vehicle = await vehiclesCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(vehicleId),
+      status: "in-service",
+      operator: trip.operator,
+      ...freeForTripQuery(trip)
+    },
+    {
+      $push: { assignments: assignmentFor(trip) },
+      $set: { updatedAt: new Date() }
+    },
+    { session, returnDocument: "after" }
+  );
+
+  if (vehicle) {
+    return vehicle;
+  }
+
+  // Explain why
+  const current = await vehiclesCollection.findOne({ _id: new ObjectId(vehicleId) }, { session });
+
+  if (!current) {
+    throw new VehicleAssignmentError("Vehicle not found", 404);
+  }
+  if (current.status !== "in-service") {
+    throw new VehicleAssignmentError(`Vehicle ${current.registration} is ${current.status} and can't be assigned`);
+  }
+  if (current.operator !== trip.operator) {
+    throw new VehicleAssignmentError(`Vehicle ${current.registration} belongs to ${current.operator}`);
+  }
+  throw new VehicleAssignmentError(`Vehicle ${current.registration} is already assigned to an overlapping trip`);
+}
+
+// Assign the preferred vehicle if it is free, otherwise any in-service
+// vehicle of the same operator and bus type. Returns null when none is free.
+export async function assignAvailableVehicle(trip, preferredVehicleId, session) {
+  if (preferredVehicleId && ObjectId.isValid(preferredVehicleId)) {
+    try {
+      return await assignVehicle(preferredVehicleId, trip, session);
+    } catch (error) {
+      if (!(error instanceof VehicleAssignmentError)) throw error;
+    }
+  }
+
+  const candidates = await getVehiclesCollection().find(
+    {
+      status: "in-service",
+      operator: trip.operator,
+      busType: trip.type,
+      ...freeForTripQuery(trip)
+    },
+    { session, projection: { _id: 1 } }
+  ).sort({ registration: 1 }).toArray();
+
+  for (const candidate of candidates) {
+    try {
+      return await assignVehicle(candidate._id, trip, session);
+    } catch (error) {
+      // Taken by someone else in the meantime - try the next one
+      if (!(error instanceof VehicleAssignmentError)) throw error;
+    }
+  }
+
+  return null;
+}
+
+export async function releaseVehicle(vehicleId, busId, session) {
+  await getVehiclesCollection().updateOne(
+    { _id: new ObjectId(vehicleId) },
+    {
+      $pull: { assignments: { busId: busId.toString() } },
+      $set: { updatedAt: new Date() }
+    },
+    { session }
+  );
+}
+
+// Drop assignments for trips that are removed from the buses collection
+export async function pruneAssignments(filter) {
+  const result = await getVehiclesCollection().updateMany(
+    { assignments: { $elemMatch: filter } },
+    { $pull: { assignments: filter } }
+  );
+  return result.modifiedCount;
+}
+
+// Trip fields that come from the coach actually driving it
+export function vehicleTripFields(vehicle) {
+  return {
+    vehicleId: vehicle._id.toString(),
+    busNumber: vehicle.registration,
+    totalSeats: vehicle.totalSeats,
+    availableSeats: vehicle.totalSeats,
+    layoutTemplate: vehicle.layoutTemplate || null,
+    amenities: vehicle.amenities
+  };
+}
+
+// One coach per timetable of each operator and bus type, plus a spare,
+// each with the bus type's standard layout
+export function buildDefaultVehicles(timetables) {
+  const needed = new Map();
+  timetables.forEach(timetable => {
+    const key = `${timetable.operator}|${timetable.busType}`;
+    needed.set(key, (needed.get(key) || 0) + 1);
+  });
+
+  const vehicles = [];
+  needed.forEach((count, key) => {
+    const [operatorName, busType] = key.split("|");
+    const operatorIndex = BUS_OPERATORS.findIndex(op => op.name === operatorName);
+    const operator = BUS_OPERATORS[operatorIndex];
+    const layout = getDefaultSeatLayout(busType);
+
+    let amenities = [...(operator?.amenities || [])];
+    if (!busType.includes("AC") || busType.includes("Non-AC")) {
+      amenities = amenities.filter(amenity => amenity !== "ac");
+    }
+
+    for (let i = 0; i <= count; i++) {
+      vehicles.push({
+        registration: `DHAKA-METRO-BA-${11 + operatorIndex}-${String(vehicles.length + 1).padStart(4, "0")}`,
+        operator: operatorName,
+        busType,
+        totalSeats: buildSeatMap(layout).totalSeats,
+        layoutTemplate: null,
+        amenities,
+        status: "in-service",
+        assignments: []
+      });
+    }
+  });
+
+  return vehicles;
+}
+
+// Give a fresh database a fleet that covers its timetables
+export async function seedDefaultVehicles() {
+  const vehiclesCollection = getVehiclesCollection();
+
+  if (await vehiclesCollection.countDocuments() > 0) {
+    return 0;
+  }
+
+  const timetables = await getTimetablesCollection().find({ active: { $ne: false } }).toArray();
+  const vehicles = buildDefaultVehicles(timetables);
+
+  if (vehicles.length === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const result = await vehiclesCollection.insertMany(
+    vehicles.map(vehicle => ({ ...vehicle, createdAt: now, updatedAt: now }))
+  );
+
+  return result.insertedCount;
+}
@@ -0,0 +1,56 @@
+import { describe, test, before } from "node:test";
+import assert from "node:assert/strict";
+import { verifyIdToken, signLocalToken, AuthError } from "../src/services/authService.js";
+
+// Tokens are signed with the in-memory local key pair, shaped like Firebase
+// ID tokens for a test project
+describe("verifyIdToken", () => {
+  before(() => {
+    process.env.NODE_ENV = "test";
+    process.env.AUTH_LOCAL_KEYS = "true";
+    process.env.FIREBASE_PROJECT_ID = "bus-ticketing-test";
+    delete process.env.AUTH_PUBLIC_KEYS;
+    delete process.env.AUTH_ISSUER;
+  });
+
+  const rejectsWith = (promise, message) => assert.rejects(promise, error => {
+    assert.ok(error instanceof AuthError, `expected an AuthError, got ${error}`);
+    assert.equal(error.status, 401);
+    assert.equal(error.message, message);
+    return true;
+  });
+
+  test("accepts a valid token and returns the user", async () => {
+    const token = signLocalToken({ uid: "user-123", email: "Rahim@Example.com", name: "Rahim" });
+
+    const user = await verifyIdToken(token);
+
+    assert.equal(user.uid, "user-123");
+    assert.equal(user.email, "rahim@example.com");
+    assert.equal(user.emailVerified, true);
+    assert.equal(user.name, "Rahim");
+  });
+
+  test("rejects a token whose payload was changed after signing", async () => {
+    const [header, , signature] = signLocalToken({ uid: "user-123", email: "rahim@example.com" }).split(".");
+    const forged = signLocalToken({ uid: "admin-1", email: "admin@example.com" }).split(".")[1];
+
+    await rejectsWith(verifyIdToken(`${header}.${forged}.${signature}`), "Invalid token signature");
+  });
+
+  test("rejects an expired token", async () => {
+    const token = signLocalToken({ uid: "user-123", email: "rahim@example.com" }, -3600);
+
+    await rejectsWith(verifyIdToken(token), "Token has expired");
+  });
+
+  test("rejects a token issued for another project", async () => {
+    const token = signLocalToken({ uid: "user-123", email: "rahim@example.com", aud: "someone-elses-project" });
+
+    await rejectsWith(verifyIdToken(token), "Token was issued for another project");
+  });
+
+  test("rejects a malformed token", async () => {
+    await rejectsWith(verifyIdToken("not-a-token"), "Malformed token");
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { pairPassengersWithSeats, fareForSeats } from "../src/services/cancellationService.js";
+
+const seats = seatNumbers => seatNumbers.map(seatNumber => ({ seatNumber }));
+
+describe("pairPassengersWithSeats", () => {
+  test("follows seat order when passengers carry no seatNumber", () => {
+    const pairs = pairPassengersWithSeats({
+      selectedSeats: seats([4, 5]),
+      passengers: [{ name: "Karim" }, { name: "Rahim" }]
+    });
+
+    assert.deepEqual(pairs.map(pair => [pair.seat.seatNumber, pair.passenger.name]), [[4, "Karim"], [5, "Rahim"]]);
+  });
+
+  test("gives every passenger one seat when only some carry a seatNumber", () => {
+    const pairs = pairPassengersWithSeats({
+      selectedSeats: seats([4, 5, 6]),
+      passengers: [{ name: "Karim" }, { name: "Rahim", seatNumber: 4 }, { name: "Salma" }]
+    });
+
+    assert.deepEqual(
+      pairs.map(pair => [pair.seat.seatNumber, pair.passenger.name]),
+      [[4, "Rahim"], [5, "Karim"], [6, "Salma"]]
+    );
+  });
+});
+
+describe("fareForSeats", () => {
+  test("weighs seats by their fare breakdown line", () => {
+    const booking = {
+      totalPrice: 1200,
+      selectedSeats: seats([1, 2]),
+      fareBreakdown: {
+        seats: [
+          { seatNumber: 1, legIndex: 0, fare: 800 },
+          { seatNumber: 2, legIndex: 0, fare: 400 }
+        ]
+      }
+    };
+
+    assert.equal(fareForSeats(booking, [2]), 400);
+  });
+
+  test("only uses the lines of the given leg on multi-leg bookings", () => {
+    // Seat 1 on the way out is a premium seat, on the way back it isn't
+    const legBooking = {
+      totalPrice: 1000,
+      selectedSeats: seats([1, 2]),
+      fareBreakdown: {
+        seats: [
+          { seatNumber: 1, legIndex: 0, fare: 900 },
+          { seatNumber: 2, legIndex: 0, fare: 300 },
+          { seatNumber: 1, legIndex: 1, fare: 500 },
+          { seatNumber: 2, legIndex: 1, fare: 500 }
+        ]
+      }
+    };
+
+    assert.equal(fareForSeats(legBooking, [1], 1), 500);
+    assert.equal(fareForSeats(legBooking, [1], 0), 750);
+  });
+});
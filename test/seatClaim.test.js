@@ -0,0 +1,92 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { ObjectId } from "mongodb";
+
+// Seat claiming runs in transactions, so these tests need a MongoDB replica
+// set: TEST_MONGODB_URI=mongodb://localhost:27017/?replicaSet=rs0 npm test
+// They use the busVaraDB_test database (MONGODB_DB_NAME to change it).
+const uri = process.env.TEST_MONGODB_URI;
+
+describe("claimSeats under concurrency", { skip: !uri && "TEST_MONGODB_URI is not set" }, () => {
+  let database;
+  let seatService;
+  let busId;
+
+  before(async () => {
+    process.env.MONGODB_URI = uri;
+    process.env.MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || "busVaraDB_test";
+
+    database = await import("../src/config/database.js");
+    seatService = await import("../src/services/seatService.js");
+
+    assert.ok(await database.connectToDatabase(), "could not connect to TEST_MONGODB_URI");
+
+    const departureTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const result = await database.getBusesCollection().insertOne({
+      busName: "Concurrency Test Express",
+      operator: "Test Operator",
+      route: {
+        from: { city: "Dhaka", terminal: "Gabtoli" },
+        to: { city: "Chittagong", terminal: "Dampara" }
+      },
+      departureTime,
+      arrivalTime: new Date(departureTime.getTime() + 6 * 60 * 60 * 1000),
+      totalSeats: 40,
+      availableSeats: 40,
+      bookedSeats: []
+    });
+    busId = result.insertedId;
+  });
+
+  after(async () => {
+    if (busId) {
+      await database.getBusesCollection().deleteOne({ _id: busId });
+    }
+    await database?.closeDatabase();
+  });
+
+  // The same path createBooking takes: claim inside a transaction
+  async function bookSeat(seatNumber) {
+    const session = database.getClient().startSession();
+    try {
+      await session.withTransaction(async () => {
+        await seatService.claimSeats(busId, [seatNumber], new ObjectId(), session);
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  test("exactly one of many parallel claims on one seat succeeds", async () => {
+    const attempts = 12;
+    const results = await Promise.allSettled(
+      Array.from({ length: attempts }, () => bookSeat(7))
+    );
+
+    const succeeded = results.filter(result => result.status === "fulfilled");
+    const failed = results.filter(result => result.status === "rejected");
+
+    assert.equal(succeeded.length, 1);
+    assert.equal(failed.length, attempts - 1);
+
+    // createBooking turns these into 409 { error, conflictedSeats }
+    for (const { reason } of failed) {
+      assert.ok(reason instanceof seatService.SeatConflictError, `unexpected error: ${reason}`);
+      assert.deepEqual(reason.conflictedSeats, [7]);
+    }
+
+    const bus = await database.getBusesCollection().findOne({ _id: busId });
+    assert.equal(bus.bookedSeats.filter(entry => entry.seatNumber === 7).length, 1);
+    assert.equal(bus.availableSeats, 39);
+  });
+
+  test("parallel claims on different seats all succeed", async () => {
+    const seats = [1, 2, 3, 4];
+    const results = await Promise.allSettled(seats.map(seat => bookSeat(seat)));
+
+    assert.deepEqual(results.map(result => result.status), seats.map(() => "fulfilled"));
+
+    const bus = await database.getBusesCollection().findOne({ _id: busId });
+    assert.equal(bus.availableSeats, 39 - seats.length);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { getBookedSeatNumbers, findConflictedSeats } from "../src/services/seatService.js";
+import { segmentsOverlap, getBookedSegment } from "../src/services/segmentService.js";
+
+// The checks claimSeats runs before its conditional update. A bus runs
+// Dhaka (0) -> Cumilla (1) -> Feni (2) -> Chittagong (3).
+const bus = {
+  bookedSeats: [
+    { seatNumber: 1, bookingId: "a", fromStop: 0, toStop: 3 },
+    { seatNumber: 2, bookingId: "b", fromStop: 0, toStop: 1 },
+    { seatNumber: 3, bookingId: "c", fromStop: 2, toStop: 3 },
+    // Claimed before segments existed: covers the whole route
+    { seatNumber: 4, bookingId: "d" }
+  ]
+};
+
+describe("segmentsOverlap", () => {
+  test("segments sharing a stretch of road overlap", () => {
+    assert.equal(segmentsOverlap({ fromStop: 0, toStop: 2 }, { fromStop: 1, toStop: 3 }), true);
+    assert.equal(segmentsOverlap({ fromStop: 1, toStop: 2 }, { fromStop: 0, toStop: 3 }), true);
+  });
+
+  test("back-to-back segments don't overlap", () => {
+    assert.equal(segmentsOverlap({ fromStop: 0, toStop: 1 }, { fromStop: 1, toStop: 3 }), false);
+    assert.equal(segmentsOverlap({ fromStop: 2, toStop: 3 }, { fromStop: 0, toStop: 2 }), false);
+  });
+
+  test("entries without stops cover the whole route", () => {
+    assert.deepEqual(getBookedSegment({ seatNumber: 4 }), { fromStop: 0, toStop: Infinity });
+    assert.equal(segmentsOverlap(getBookedSegment({ seatNumber: 4 }), { fromStop: 2, toStop: 3 }), true);
+  });
+});
+
+describe("getBookedSeatNumbers", () => {
+  test("lists every booked seat without a segment", () => {
+    assert.deepEqual(getBookedSeatNumbers(bus).sort(), [1, 2, 3, 4]);
+  });
+
+  test("only lists seats booked on an overlapping segment", () => {
+    assert.deepEqual(getBookedSeatNumbers(bus, { fromStop: 1, toStop: 2 }).sort(), [1, 4]);
+  });
+
+  test("handles buses without bookedSeats", () => {
+    assert.deepEqual(getBookedSeatNumbers({}), []);
+  });
+});
+
+describe("findConflictedSeats", () => {
+  test("reports the requested seats taken on an overlapping segment", () => {
+    assert.deepEqual(findConflictedSeats(bus, [1, 2, 5], { fromStop: 0, toStop: 3 }), [1, 2]);
+  });
+
+  test("lets a seat be booked again on a stretch it is free for", () => {
+    assert.deepEqual(findConflictedSeats(bus, [2, 3], { fromStop: 1, toStop: 2 }), []);
+  });
+
+  test("compares seat numbers sent as strings", () => {
+    assert.deepEqual(findConflictedSeats(bus, ["1", "5"], { fromStop: 0, toStop: 1 }), [1]);
+  });
+
+  test("a seat claimed by a concurrent booking shows up as a conflict", () => {
+    const afterRace = {
+      bookedSeats: [...bus.bookedSeats, { seatNumber: 7, bookingId: "e", fromStop: 0, toStop: 3 }]
+    };
+
+    assert.deepEqual(findConflictedSeats(bus, [7], { fromStop: 0, toStop: 3 }), []);
+    assert.deepEqual(findConflictedSeats(afterRace, [7], { fromStop: 0, toStop: 3 }), [7]);
+  });
+});